@@ -0,0 +1,151 @@
+-- Tables the backend reads and writes through Supabase.
+-- "if not exists" lets databases whose tables were created by hand adopt the migrations;
+-- the "add column if not exists" lines bring those tables up to date.
+
+-- RemoteAuth sessions, stored as base64 chunks (SupabaseRemoteAuthStore)
+create table if not exists whatsapp_sessions (
+  id text primary key,
+  session text not null,
+  client_id text not null,
+  chunks_count integer not null default 0,
+  total_size bigint not null default 0,
+  last_accessed timestamptz,
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists whatsapp_sessions_client_id_idx on whatsapp_sessions (client_id);
+
+create table if not exists whatsapp_session_chunks (
+  id bigserial primary key,
+  session_id text not null,
+  chunk_index integer not null,
+  chunk_data text not null,
+  total_chunks integer not null,
+  updated_at timestamptz not null default now(),
+  constraint whatsapp_session_chunks_session_id_chunk_index_key unique (session_id, chunk_index)
+);
+
+-- Key/value settings: active groups, group settings, rate limits and the bot list.
+-- Bots other than the default one use "<name>:<botId>" keys.
+create table if not exists bot_settings (
+  key text primary key,
+  value jsonb,
+  updated_at timestamptz not null default now()
+);
+
+-- Token buckets and daily quotas (rateLimiter.js)
+create table if not exists rate_limit_state (
+  key text primary key,
+  tokens double precision,
+  updated_at timestamptz not null default now(),
+  daily_count integer not null default 0,
+  daily_date text
+);
+
+-- Group messages used as AI context (messageHistoryStore.js)
+create table if not exists message_history (
+  message_id text primary key,
+  group_id text not null,
+  sender_id text,
+  sender_name text,
+  body text,
+  media_type text,
+  media_filename text,
+  media_mimetype text,
+  media_url text,
+  quoted_message_id text,
+  quoted_sender_id text,
+  quoted_from_me boolean not null default false,
+  quoted_body text,
+  timestamp timestamptz not null
+);
+
+create index if not exists message_history_group_timestamp_idx on message_history (group_id, timestamp);
+
+-- Bot answers by WhatsApp message id, so replies to them continue the thread (threadStore.js)
+create table if not exists conversation_threads (
+  reply_message_id text primary key,
+  thread_id text not null,
+  group_id text not null,
+  prompt text,
+  answer text,
+  command_type text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists conversation_threads_thread_id_idx on conversation_threads (thread_id, created_at);
+create index if not exists conversation_threads_group_created_idx on conversation_threads (group_id, created_at);
+
+-- AI requests waiting in the processing queue, restored after a restart (queueStore.js)
+create table if not exists queued_requests (
+  id text primary key,
+  bot_id text,
+  group_id text not null,
+  message_id text,
+  sender_id text,
+  prompt text,
+  command_type text,
+  bypass_cache boolean not null default false,
+  enqueued_at timestamptz not null default now()
+);
+
+-- Scheduled group digests (digestStore.js)
+create table if not exists digest_schedules (
+  id text primary key,
+  bot_id text,
+  group_id text not null,
+  cron text not null,
+  timezone text not null default 'UTC',
+  period text not null default 'day',
+  enabled boolean not null default true,
+  last_run_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+-- Messages sent from the dashboard (outboundStore.js)
+create table if not exists outbound_messages (
+  id text primary key,
+  bot_id text,
+  broadcast_id text,
+  group_id text not null,
+  body text not null,
+  status text not null,
+  scheduled_at timestamptz not null,
+  created_at timestamptz not null default now(),
+  sent_at timestamptz,
+  delivered_at timestamptz,
+  whatsapp_message_id text,
+  error text
+);
+
+create index if not exists outbound_messages_status_idx on outbound_messages (status, created_at);
+
+-- Dashboard logins when DASHBOARD_USERS is not set (auth.js)
+create table if not exists dashboard_users (
+  username text primary key,
+  password_hash text not null,
+  role text not null check (role in ('viewer', 'operator', 'admin')),
+  disabled boolean not null default false,
+  created_at timestamptz not null default now()
+);
+
+-- Dashboard actions and WhatsApp connection events (auditStore.js)
+create table if not exists audit_log (
+  id text primary key,
+  action text not null,
+  actor text not null,
+  category text not null default 'admin',
+  bot_id text,
+  details jsonb not null default '{}',
+  created_at timestamptz not null default now()
+);
+
+create index if not exists audit_log_created_at_idx on audit_log (created_at desc);
+create index if not exists audit_log_action_idx on audit_log (action);
+
+-- Columns added after the first hand-made tables: multi-account support and audit categories
+alter table queued_requests add column if not exists bot_id text;
+alter table digest_schedules add column if not exists bot_id text;
+alter table outbound_messages add column if not exists bot_id text;
+alter table audit_log add column if not exists bot_id text;
+alter table audit_log add column if not exists category text not null default 'admin';
@@ -0,0 +1,48 @@
+-- Encrypted, versioned session saves (sessionCrypto.js, SupabaseRemoteAuthStore.writeSessionData).
+-- Each save writes its chunks under a new version, then a whatsapp_session_versions row,
+-- then points whatsapp_sessions at it.
+
+alter table whatsapp_sessions add column if not exists encryption_key_id text;
+alter table whatsapp_sessions add column if not exists version bigint;
+alter table whatsapp_sessions add column if not exists checksum text;
+
+-- Chunks saved before versioning become version 0
+alter table whatsapp_session_chunks add column if not exists version bigint not null default 0;
+
+-- Chunks of a new version land before its session row exists, so chunks cannot reference
+-- whatsapp_sessions, and (session_id, chunk_index) is no longer unique across versions.
+-- Hand-made tables may name these constraints differently, so look them up.
+do $$
+declare
+  con record;
+begin
+  for con in
+    select c.conname
+    from pg_constraint c
+    where c.conrelid = 'whatsapp_session_chunks'::regclass
+      and (
+        c.contype = 'f'
+        or (c.contype in ('u', 'p') and (
+          select array_agg(a.attname::text order by a.attname::text)
+          from pg_attribute a
+          where a.attrelid = c.conrelid and a.attnum = any(c.conkey)
+        ) = array['chunk_index', 'session_id'])
+      )
+  loop
+    execute format('alter table whatsapp_session_chunks drop constraint %I', con.conname);
+  end loop;
+end $$;
+
+alter table whatsapp_session_chunks
+  add constraint whatsapp_session_chunks_session_version_chunk_key unique (session_id, version, chunk_index);
+
+create table if not exists whatsapp_session_versions (
+  session_id text not null,
+  version bigint not null,
+  checksum text not null,
+  chunks_count integer not null,
+  total_size bigint not null,
+  encryption_key_id text,
+  created_at timestamptz not null default now(),
+  primary key (session_id, version)
+);
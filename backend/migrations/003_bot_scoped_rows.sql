@@ -0,0 +1,55 @@
+-- Every bot-scoped table gets a required bot_id (messageHistoryStore.js, threadStore.js, queueStore.js,
+-- digestStore.js, outboundStore.js). Two bots in the same group see the same WhatsApp message ids,
+-- so for history and threads the bot id is also part of the key.
+-- Rows from before multi-account support belong to the default bot: 'admin' is DEFAULT_BOT_ID in
+-- src/utils.js. audit_log.bot_id stays nullable, logins and other global actions have no bot.
+
+alter table message_history add column if not exists bot_id text;
+update message_history set bot_id = 'admin' where bot_id is null;
+alter table message_history alter column bot_id set not null;
+
+alter table conversation_threads add column if not exists bot_id text;
+update conversation_threads set bot_id = 'admin' where bot_id is null;
+alter table conversation_threads alter column bot_id set not null;
+
+update queued_requests set bot_id = 'admin' where bot_id is null;
+alter table queued_requests alter column bot_id set not null;
+
+update digest_schedules set bot_id = 'admin' where bot_id is null;
+alter table digest_schedules alter column bot_id set not null;
+
+update outbound_messages set bot_id = 'admin' where bot_id is null;
+alter table outbound_messages alter column bot_id set not null;
+
+-- Replace the single-column keys; hand-made tables may name them differently, so look them up
+do $$
+declare
+  con record;
+begin
+  for con in
+    select c.conrelid::regclass as table_name, c.conname
+    from pg_constraint c
+    where c.contype in ('u', 'p')
+      and (
+        (c.conrelid = 'message_history'::regclass and (
+          select array_agg(a.attname::text) from pg_attribute a
+          where a.attrelid = c.conrelid and a.attnum = any(c.conkey)
+        ) = array['message_id'])
+        or (c.conrelid = 'conversation_threads'::regclass and (
+          select array_agg(a.attname::text) from pg_attribute a
+          where a.attrelid = c.conrelid and a.attnum = any(c.conkey)
+        ) = array['reply_message_id'])
+      )
+  loop
+    execute format('alter table %s drop constraint %I', con.table_name, con.conname);
+  end loop;
+end $$;
+
+alter table message_history add constraint message_history_pkey primary key (bot_id, message_id);
+alter table conversation_threads add constraint conversation_threads_pkey primary key (bot_id, reply_message_id);
+
+drop index if exists message_history_group_timestamp_idx;
+create index if not exists message_history_bot_group_timestamp_idx on message_history (bot_id, group_id, timestamp);
+
+drop index if exists conversation_threads_group_created_idx;
+create index if not exists conversation_threads_bot_group_created_idx on conversation_threads (bot_id, group_id, created_at);
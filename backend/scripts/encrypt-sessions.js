@@ -0,0 +1,68 @@
+// backend/scripts/encrypt-sessions.js
+// Usage: npm run encrypt-sessions [-- --dry-run]
+// Re-encrypts every stored WhatsApp session with the active key from SESSION_ENCRYPTION_KEYS:
+// plaintext sessions from before encryption, and sessions under an older key after a rotation.
+// Keep the old key in SESSION_ENCRYPTION_KEYS until this has run.
+// Covers the Supabase store; sessions in the other stores are re-encrypted on their next save.
+import { supabase } from '../src/supabaseClient.js';
+import { SupabaseRemoteAuthStore } from '../src/SupabaseRemoteAuthStore.js';
+import { getSessionCipher } from '../src/sessionCrypto.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+const cipher = getSessionCipher();
+if (!cipher.enabled) {
+  console.error('SESSION_ENCRYPTION_KEYS is not set - nothing to encrypt with');
+  process.exit(1);
+}
+
+const { data: sessions, error } = await supabase
+  .from('whatsapp_sessions')
+  .select('id, client_id');
+
+if (error) {
+  console.error('Failed to list sessions:', error);
+  process.exit(1);
+}
+
+const stores = new Map();
+const counts = { current: 0, encrypted: 0, failed: 0 };
+
+for (const session of sessions || []) {
+  try {
+    if (!stores.has(session.client_id)) {
+      stores.set(session.client_id, new SupabaseRemoteAuthStore(session.client_id));
+    }
+    const store = stores.get(session.client_id);
+
+    const storedData = await store.readStoredData(session.id);
+    if (!storedData) {
+      console.warn(`⚠️ ${session.id}: no usable version, skipped`);
+      continue;
+    }
+
+    const keyId = cipher.keyIdOf(storedData);
+    if (keyId === cipher.activeKeyId) {
+      counts.current++;
+      continue;
+    }
+
+    // decrypt() throws if the old key is missing or the data was modified
+    const sessionData = keyId === null ? storedData : cipher.decrypt(storedData, session.id);
+    const from = keyId === null ? 'plaintext' : `key ${keyId}`;
+
+    if (dryRun) {
+      console.log(`🔍 ${session.id}: would re-encrypt (${from} -> key ${cipher.activeKeyId})`);
+    } else {
+      await store.writeSessionData(session.id, sessionData);
+      console.log(`🔐 ${session.id}: re-encrypted (${from} -> key ${cipher.activeKeyId})`);
+    }
+    counts.encrypted++;
+  } catch (sessionError) {
+    console.error(`❌ ${session.id}: ${sessionError.message}`);
+    counts.failed++;
+  }
+}
+
+console.log(`${counts.encrypted} ${dryRun ? 'to re-encrypt' : 're-encrypted'}, ${counts.current} already on key ${cipher.activeKeyId}, ${counts.failed} failed`);
+process.exit(counts.failed > 0 ? 1 : 0);
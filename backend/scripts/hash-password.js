@@ -0,0 +1,12 @@
+// backend/scripts/hash-password.js
+// Usage: npm run hash-password -- <password>
+// Prints a hash for DASHBOARD_USERS or the password_hash column of dashboard_users
+import { hashPassword } from '../src/passwords.js';
+
+const password = process.argv[2];
+if (!password) {
+  console.error('Usage: npm run hash-password -- <password>');
+  process.exit(1);
+}
+
+console.log(await hashPassword(password));
@@ -0,0 +1,61 @@
+// backend/scripts/migrate-session.js
+// Usage: npm run migrate-session -- --from <store> --to <store> [--bot <botId>] [--delete-source]
+// Copies a bot's WhatsApp session between session stores (supabase, local, s3, mongo), e.g. before
+// switching SESSION_STORE. Both stores are configured from the same environment variables as the server.
+// The session is decrypted from the source and re-encrypted for the target with the active key.
+import { createHash } from 'crypto';
+import { createSessionStore, SESSION_STORE_TYPES } from '../src/sessionStore.js';
+import { DEFAULT_BOT_ID } from '../src/utils.js';
+
+function readOption(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+const from = readOption('from');
+const to = readOption('to');
+const botId = readOption('bot') || DEFAULT_BOT_ID;
+const deleteSource = process.argv.includes('--delete-source');
+
+if (!SESSION_STORE_TYPES.includes(from) || !SESSION_STORE_TYPES.includes(to) || from === to) {
+  console.error(`Usage: npm run migrate-session -- --from <store> --to <store> [--bot <botId>] [--delete-source]`);
+  console.error(`Stores: ${SESSION_STORE_TYPES.join(', ')} (--from and --to must differ)`);
+  process.exit(1);
+}
+
+const sha256 = (data) => createHash('sha256').update(data).digest('hex');
+
+// Same ids BotManager gives RemoteAuth
+const session = `RemoteAuth-${botId}`;
+const sessionId = `${botId}-${session}`;
+
+try {
+  const source = await createSessionStore(botId, from);
+  const target = await createSessionStore(botId, to);
+
+  const sessionData = await source.readSessionData(sessionId);
+  if (!sessionData) {
+    throw new Error(`No usable session ${sessionId} in ${source.storageType}`);
+  }
+  console.log(`📦 Read ${sessionId} from ${source.storageType} (${Math.round(sessionData.length / 1024)}KB)`);
+
+  await target.writeSessionData(sessionId, sessionData);
+
+  // Read it back before touching the source
+  const copied = await target.readSessionData(sessionId);
+  if (!copied || sha256(copied) !== sha256(sessionData)) {
+    throw new Error(`Session read back from ${target.storageType} does not match the source`);
+  }
+  console.log(`✅ Copied ${sessionId} to ${target.storageType} and verified it`);
+
+  if (deleteSource) {
+    await source.delete({ session });
+    console.log(`🗑️ Deleted ${sessionId} from ${source.storageType}`);
+  }
+
+  console.log(`Set SESSION_STORE=${to} to use the copied session`);
+  process.exit(0);
+} catch (error) {
+  console.error(`❌ Migration failed: ${error.message}`);
+  process.exit(1);
+}
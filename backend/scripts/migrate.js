@@ -0,0 +1,31 @@
+// backend/scripts/migrate.js
+// Usage: npm run migrate [-- --status | --check]
+// Applies pending SQL files from backend/migrations to DATABASE_URL.
+//   --status  lists every migration and when it was applied
+//   --check   only compares the database with what the code expects
+import { runMigrations, getMigrationStatus, checkSchema, schemaForEnv } from '../src/migrations.js';
+
+try {
+  if (process.argv.includes('--status')) {
+    for (const migration of await getMigrationStatus()) {
+      const state = migration.appliedAt ? `applied ${new Date(migration.appliedAt).toISOString()}` : 'pending';
+      console.log(`${migration.version}_${migration.name}: ${state}${migration.modified ? ' (file changed since)' : ''}`);
+    }
+  } else if (process.argv.includes('--check')) {
+    const problems = await checkSchema(process.env.DATABASE_URL, schemaForEnv());
+    if (problems.length > 0) {
+      problems.forEach(problem => console.error(`❌ ${problem}`));
+      process.exit(1);
+    }
+    console.log('✅ Database schema OK');
+  } else {
+    const applied = await runMigrations();
+    console.log(applied.length > 0
+      ? `✅ Applied ${applied.length} migration(s): ${applied.map(m => `${m.version}_${m.name}`).join(', ')}`
+      : '✅ Database is up to date');
+  }
+  process.exit(0);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
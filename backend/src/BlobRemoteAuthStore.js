@@ -0,0 +1,172 @@
+// backend/src/BlobRemoteAuthStore.js
+import { promises as fs } from 'fs';
+import { createHash } from 'crypto';
+import { getSessionCipher } from './sessionCrypto.js';
+
+const sha256 = (data) => createHash('sha256').update(data).digest('hex');
+
+// The RemoteAuth store contract (sessionExists/save/extract/delete plus the list and cleanup
+// helpers BotManager uses) for backends that keep each session as one object.
+// Subclasses implement hasBlob, readBlob, writeBlob, deleteBlob, touchBlob and listBlobs; writeBlob must
+// replace the object atomically so a crash never leaves half a session behind. listBlobs reports
+// lastAccessedAt from touchBlob, which records when a session was last restored.
+export class BlobRemoteAuthStore {
+  constructor(clientId, storageType) {
+    this.clientId = clientId;
+    this.storageType = storageType;
+    this.cipher = getSessionCipher();
+  }
+
+  async sessionExists(options) {
+    try {
+      return await this.hasBlob(`${this.clientId}-${options.session}`);
+    } catch (error) {
+      console.error(`Error checking session in ${this.storageType}:`, error);
+      return false;
+    }
+  }
+
+  // Reads the zip file RemoteAuth created in the working directory
+  async save(options) {
+    try {
+      const sessionId = `${this.clientId}-${options.session}`;
+      const zipFileName = `${options.session}.zip`;
+
+      const sessionData = await fs.readFile(zipFileName).catch(() => null);
+      if (!sessionData || sessionData.length === 0) {
+        console.error(`❌ Zip file ${zipFileName} missing or empty. Current directory: ${process.cwd()}`);
+        return false;
+      }
+
+      await this.writeSessionData(sessionId, sessionData);
+      return true;
+    } catch (error) {
+      console.error(`❌ Error saving session to ${this.storageType}:`, error);
+      return false;
+    }
+  }
+
+  async writeSessionData(sessionId, sessionData) {
+    const storedData = this.cipher.seal(sessionData, sessionId);
+
+    await this.writeBlob(sessionId, storedData, {
+      checksum: sha256(storedData),
+      encryptionKeyId: this.cipher.keyIdOf(storedData)
+    });
+
+    console.log(`✅ Session saved to ${this.storageType}: ${sessionId} (${Math.round(sessionData.length / 1024)}KB)`);
+  }
+
+  // Returns the session zip (or the stored bytes with decode=false), or null if missing or corrupt
+  async readSessionData(sessionId, { decode = true } = {}) {
+    try {
+      const blob = await this.readBlob(sessionId);
+      if (!blob) return null;
+
+      if (blob.checksum && sha256(blob.data) !== blob.checksum) {
+        throw new Error('checksum mismatch');
+      }
+      return decode ? this.cipher.open(blob.data, sessionId) : blob.data;
+    } catch (error) {
+      console.error(`❌ Session ${sessionId} in ${this.storageType} is unusable: ${error.message}`);
+      return null;
+    }
+  }
+
+  async readStoredData(sessionId) {
+    return this.readSessionData(sessionId, { decode: false });
+  }
+
+  async extract(options) {
+    try {
+      const sessionId = `${this.clientId}-${options.session}`;
+
+      const sessionData = await this.readSessionData(sessionId);
+      if (!sessionData) {
+        console.log('No usable session data found for:', sessionId);
+        return null;
+      }
+
+      await fs.writeFile(options.path, sessionData);
+      await this.markAccessed(sessionId);
+      console.log(`✅ Session extracted from ${this.storageType}: ${sessionId} (${sessionData.length} bytes)`);
+      return sessionData;
+    } catch (error) {
+      console.error(`❌ Error extracting session from ${this.storageType}:`, error);
+      return null;
+    }
+  }
+
+  // Like last_accessed in SupabaseRemoteAuthStore.extract; failing to record it must not fail the restore
+  async markAccessed(sessionId) {
+    try {
+      await this.touchBlob(sessionId);
+    } catch (error) {
+      console.warn(`⚠️ Could not record access to ${sessionId} in ${this.storageType}: ${error.message}`);
+    }
+  }
+
+  async delete(options) {
+    try {
+      const sessionId = `${this.clientId}-${options.session}`;
+      await this.deleteBlob(sessionId);
+      console.log(`✅ Session deleted from ${this.storageType}: ${sessionId}`);
+      return true;
+    } catch (error) {
+      console.error(`Error deleting session from ${this.storageType}:`, error);
+      return false;
+    }
+  }
+
+  // Same row shape as SupabaseRemoteAuthStore.list
+  async list() {
+    try {
+      const blobs = await this.listBlobs();
+      return blobs.map(blob => ({
+        id: blob.id,
+        client_id: this.clientId,
+        total_size: blob.size,
+        version: blob.version ?? null,
+        encryption_key_id: blob.encryptionKeyId ?? null,
+        // A save is also a use of the session, so whichever happened last
+        last_accessed: [blob.lastAccessedAt, blob.updatedAt].filter(Boolean).sort().at(-1),
+        updated_at: blob.updatedAt
+      }));
+    } catch (error) {
+      console.error(`Error listing sessions in ${this.storageType}:`, error);
+      return [];
+    }
+  }
+
+  async getSessionInfo(options) {
+    const sessionId = `${this.clientId}-${options.session}`;
+    const sessions = await this.list();
+    return sessions.find(session => session.id === sessionId) || null;
+  }
+
+  async cleanupOldSessions(maxAgeHours = 24) {
+    const cutoffTime = Date.now() - (maxAgeHours * 60 * 60 * 1000);
+    const oldSessions = (await this.list()).filter(session => new Date(session.last_accessed).getTime() < cutoffTime);
+
+    let deletedCount = 0;
+    for (const session of oldSessions) {
+      if (await this.delete({ session: session.id.replace(`${this.clientId}-`, '') })) deletedCount++;
+    }
+
+    console.log(`🧹 Cleaned up ${deletedCount} old sessions from ${this.storageType}`);
+    return deletedCount;
+  }
+
+  async getStorageStats() {
+    const sessions = await this.list();
+    const totalSize = sessions.reduce((sum, session) => sum + (session.total_size || 0), 0);
+
+    return {
+      sessionsCount: sessions.length,
+      totalSize,
+      totalSizeMB: Math.round(totalSize / 1024 / 1024 * 100) / 100,
+      totalChunks: sessions.length,
+      lastUpdated: new Date().toISOString()
+    };
+  }
+}
@@ -0,0 +1,97 @@
+// backend/src/LocalRemoteAuthStore.js
+import { promises as fs } from 'fs';
+import path from 'path';
+import { BlobRemoteAuthStore } from './BlobRemoteAuthStore.js';
+
+// Sessions as files in SESSION_STORE_DIR/<clientId> (default ./session-store), for offline development and tests.
+// Each save writes <id>.<version>.session, then atomically renames <id>.json to point at it.
+export class LocalRemoteAuthStore extends BlobRemoteAuthStore {
+  constructor(clientId, directory = process.env.SESSION_STORE_DIR || './session-store') {
+    super(clientId, `local directory ${directory}`);
+    this.directory = path.resolve(directory, clientId);
+  }
+
+  metaPath(sessionId) {
+    return path.join(this.directory, `${sessionId}.json`);
+  }
+
+  async readMeta(sessionId) {
+    try {
+      return JSON.parse(await fs.readFile(this.metaPath(sessionId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async writeMeta(sessionId, meta) {
+    const tmpPath = `${this.metaPath(sessionId)}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(meta, null, 2));
+    await fs.rename(tmpPath, this.metaPath(sessionId));
+  }
+
+  // Data files of a session other than the one its metadata points at
+  async staleDataFiles(sessionId, currentFile) {
+    const files = await fs.readdir(this.directory).catch(() => []);
+    return files.filter(file => file.startsWith(`${sessionId}.`) && file.endsWith('.session') && file !== currentFile);
+  }
+
+  async hasBlob(sessionId) {
+    return (await this.readMeta(sessionId)) !== null;
+  }
+
+  async readBlob(sessionId) {
+    const meta = await this.readMeta(sessionId);
+    if (!meta) return null;
+
+    const data = await fs.readFile(path.join(this.directory, meta.file));
+    return { data, checksum: meta.checksum };
+  }
+
+  async writeBlob(sessionId, data, { checksum, encryptionKeyId }) {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    const file = `${sessionId}.${Date.now()}.session`;
+    await fs.writeFile(path.join(this.directory, file), data);
+
+    const meta = { file, checksum, encryptionKeyId, size: data.length, updatedAt: new Date().toISOString() };
+    await this.writeMeta(sessionId, meta);
+
+    for (const stale of await this.staleDataFiles(sessionId, file)) {
+      await fs.rm(path.join(this.directory, stale), { force: true });
+    }
+  }
+
+  async touchBlob(sessionId) {
+    const meta = await this.readMeta(sessionId);
+    if (meta) await this.writeMeta(sessionId, { ...meta, lastAccessedAt: new Date().toISOString() });
+  }
+
+  async deleteBlob(sessionId) {
+    await fs.rm(this.metaPath(sessionId), { force: true });
+    for (const file of await this.staleDataFiles(sessionId, null)) {
+      await fs.rm(path.join(this.directory, file), { force: true });
+    }
+  }
+
+  async listBlobs() {
+    const files = await fs.readdir(this.directory).catch(() => []);
+    const blobs = [];
+
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      const sessionId = file.slice(0, -'.json'.length);
+      const meta = await this.readMeta(sessionId);
+      if (!meta) continue;
+      blobs.push({
+        id: sessionId,
+        size: meta.size,
+        version: Number(meta.file.split('.').at(-2)),
+        encryptionKeyId: meta.encryptionKeyId,
+        updatedAt: meta.updatedAt,
+        lastAccessedAt: meta.lastAccessedAt
+      });
+    }
+
+    return blobs;
+  }
+}
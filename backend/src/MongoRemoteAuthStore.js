@@ -0,0 +1,119 @@
+// backend/src/MongoRemoteAuthStore.js
+import mongoose from 'mongoose';
+import { BlobRemoteAuthStore } from './BlobRemoteAuthStore.js';
+
+// One connection per URI, shared by every bot's store
+const connections = new Map();
+
+function getConnection(uri) {
+  if (!connections.has(uri)) {
+    const connecting = mongoose.createConnection(uri).asPromise();
+    connecting.catch(() => connections.delete(uri)); // retry on the next call
+    connections.set(uri, connecting);
+  }
+  return connections.get(uri);
+}
+
+// Sessions as GridFS files in MongoDB:
+//   SESSION_MONGO_URI     connection string (falls back to MONGODB_URI)
+//   SESSION_MONGO_BUCKET  GridFS bucket name (default whatsapp_sessions)
+// GridFS only writes the file document after its last chunk, so a save that dies midway is never read.
+// The previous file is removed once the new one is complete.
+export class MongoRemoteAuthStore extends BlobRemoteAuthStore {
+  constructor(clientId, env = process.env) {
+    const uri = env.SESSION_MONGO_URI || env.MONGODB_URI;
+    if (!uri) {
+      throw new Error('SESSION_STORE=mongo needs SESSION_MONGO_URI or MONGODB_URI');
+    }
+
+    const bucketName = env.SESSION_MONGO_BUCKET || 'whatsapp_sessions';
+    super(clientId, `MongoDB GridFS ${bucketName}`);
+    this.uri = uri;
+    this.bucketName = bucketName;
+  }
+
+  async getBucket() {
+    const connection = await getConnection(this.uri);
+    return new mongoose.mongo.GridFSBucket(connection.db, { bucketName: this.bucketName });
+  }
+
+  async findFiles(sessionId) {
+    const bucket = await this.getBucket();
+    const files = await bucket.find({ filename: sessionId, 'metadata.clientId': this.clientId })
+      .sort({ uploadDate: -1 })
+      .toArray();
+    return { bucket, files };
+  }
+
+  async hasBlob(sessionId) {
+    const { files } = await this.findFiles(sessionId);
+    return files.length > 0;
+  }
+
+  async readBlob(sessionId) {
+    const { bucket, files } = await this.findFiles(sessionId);
+    if (files.length === 0) return null;
+
+    const chunks = [];
+    for await (const chunk of bucket.openDownloadStream(files[0]._id)) {
+      chunks.push(chunk);
+    }
+    return { data: Buffer.concat(chunks), checksum: files[0].metadata?.checksum };
+  }
+
+  async writeBlob(sessionId, data, { checksum, encryptionKeyId }) {
+    const bucket = await this.getBucket();
+
+    const upload = bucket.openUploadStream(sessionId, {
+      metadata: { clientId: this.clientId, checksum, encryptionKeyId }
+    });
+    await new Promise((resolve, reject) => {
+      upload.once('finish', resolve);
+      upload.once('error', reject);
+      upload.end(data);
+    });
+
+    const { files } = await this.findFiles(sessionId);
+    for (const file of files.filter(f => !f._id.equals(upload.id))) {
+      await bucket.delete(file._id);
+    }
+  }
+
+  async touchBlob(sessionId) {
+    const { files } = await this.findFiles(sessionId);
+    if (files.length === 0) return;
+
+    const connection = await getConnection(this.uri);
+    await connection.db.collection(`${this.bucketName}.files`)
+      .updateOne({ _id: files[0]._id }, { $set: { 'metadata.lastAccessedAt': new Date() } });
+  }
+
+  async deleteBlob(sessionId) {
+    const { bucket, files } = await this.findFiles(sessionId);
+    for (const file of files) {
+      await bucket.delete(file._id);
+    }
+  }
+
+  async listBlobs() {
+    const bucket = await this.getBucket();
+    const files = await bucket.find({ 'metadata.clientId': this.clientId })
+      .sort({ uploadDate: -1 })
+      .toArray();
+
+    // Newest file per session; older ones only exist while a save is finishing
+    const newest = new Map();
+    for (const file of files) {
+      if (!newest.has(file.filename)) newest.set(file.filename, file);
+    }
+
+    return Array.from(newest.values()).map(file => ({
+      id: file.filename,
+      size: file.length,
+      version: file.uploadDate.getTime(),
+      encryptionKeyId: file.metadata?.encryptionKeyId,
+      updatedAt: file.uploadDate.toISOString(),
+      lastAccessedAt: file.metadata?.lastAccessedAt?.toISOString()
+    }));
+  }
+}
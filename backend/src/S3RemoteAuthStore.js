@@ -0,0 +1,115 @@
+// backend/src/S3RemoteAuthStore.js
+import {
+  S3Client,
+  GetObjectCommand,
+  PutObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} from '@aws-sdk/client-s3';
+import { BlobRemoteAuthStore } from './BlobRemoteAuthStore.js';
+
+const isNotFound = (error) => error?.name === 'NotFound' || error?.name === 'NoSuchKey' || error?.$metadata?.httpStatusCode === 404;
+
+// Sessions as objects in an S3 bucket, or any S3-compatible service such as MinIO:
+//   SESSION_S3_BUCKET            required
+//   SESSION_S3_PREFIX            key prefix (default whatsapp-sessions/)
+//   SESSION_S3_REGION            default us-east-1
+//   SESSION_S3_ENDPOINT          e.g. http://localhost:9000 for MinIO (uses path-style URLs)
+// Credentials come from the usual AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY variables.
+// A PutObject replaces the object atomically, so readers see the old or the new session, never half.
+// Metadata cannot change without rewriting the object, so restores are recorded in an empty
+// <id>.accessed marker whose LastModified is the last access.
+export class S3RemoteAuthStore extends BlobRemoteAuthStore {
+  constructor(clientId, env = process.env) {
+    if (!env.SESSION_S3_BUCKET) {
+      throw new Error('SESSION_STORE=s3 needs SESSION_S3_BUCKET');
+    }
+
+    super(clientId, `S3 bucket ${env.SESSION_S3_BUCKET}`);
+    this.bucket = env.SESSION_S3_BUCKET;
+    this.prefix = `${env.SESSION_S3_PREFIX ?? 'whatsapp-sessions/'}${clientId}/`;
+    this.s3 = new S3Client({
+      region: env.SESSION_S3_REGION || 'us-east-1',
+      ...(env.SESSION_S3_ENDPOINT && { endpoint: env.SESSION_S3_ENDPOINT, forcePathStyle: true })
+    });
+  }
+
+  keyFor(sessionId) {
+    return `${this.prefix}${sessionId}.session`;
+  }
+
+  accessKeyFor(sessionId) {
+    return `${this.prefix}${sessionId}.accessed`;
+  }
+
+  async hasBlob(sessionId) {
+    try {
+      await this.s3.send(new HeadObjectCommand({ Bucket: this.bucket, Key: this.keyFor(sessionId) }));
+      return true;
+    } catch (error) {
+      if (isNotFound(error)) return false;
+      throw error;
+    }
+  }
+
+  async readBlob(sessionId) {
+    try {
+      const response = await this.s3.send(new GetObjectCommand({ Bucket: this.bucket, Key: this.keyFor(sessionId) }));
+      const data = Buffer.from(await response.Body.transformToByteArray());
+      return { data, checksum: response.Metadata?.checksum };
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  }
+
+  async writeBlob(sessionId, data, { checksum, encryptionKeyId }) {
+    await this.s3.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.keyFor(sessionId),
+      Body: data,
+      ContentType: 'application/octet-stream',
+      Metadata: { checksum, 'encryption-key-id': encryptionKeyId || 'none' }
+    }));
+  }
+
+  async touchBlob(sessionId) {
+    await this.s3.send(new PutObjectCommand({ Bucket: this.bucket, Key: this.accessKeyFor(sessionId), Body: '' }));
+  }
+
+  async deleteBlob(sessionId) {
+    await this.s3.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: this.keyFor(sessionId) }));
+    await this.s3.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: this.accessKeyFor(sessionId) }));
+  }
+
+  async listBlobs() {
+    const blobs = [];
+    const accessedAt = new Map();
+    let continuationToken;
+
+    do {
+      const response = await this.s3.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: this.prefix,
+        ContinuationToken: continuationToken
+      }));
+
+      for (const object of response.Contents || []) {
+        if (object.Key.endsWith('.accessed')) {
+          accessedAt.set(object.Key.slice(this.prefix.length, -'.accessed'.length), new Date(object.LastModified).toISOString());
+          continue;
+        }
+        if (!object.Key.endsWith('.session')) continue;
+        blobs.push({
+          id: object.Key.slice(this.prefix.length, -'.session'.length),
+          size: object.Size,
+          updatedAt: new Date(object.LastModified).toISOString()
+        });
+      }
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return blobs.map(blob => ({ ...blob, lastAccessedAt: accessedAt.get(blob.id) }));
+  }
+}
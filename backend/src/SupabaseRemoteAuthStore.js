@@ -2,42 +2,29 @@
 import { supabase } from './supabaseClient.js';
 import { promises as fs } from 'fs'; // Add fs import
 import path from 'path';
+import { createHash } from 'crypto';
+import { getSessionCipher } from './sessionCrypto.js';
+
+// Postgres and PostgREST codes for a duplicate key, missing column and missing table. When saving a
+// version they mean the session tables predate versioned saves (migration 002 not applied).
+const OUTDATED_SCHEMA_CODES = new Set(['23505', '42703', '42P01', 'PGRST204', 'PGRST205']);
+
+function explainSaveError(error) {
+  if (!OUTDATED_SCHEMA_CODES.has(error?.code)) return error;
+  return new Error(`Session tables are older than this backend (${error.message}) - run "npm run migrate" to apply 002_session_encryption_and_versions.sql`);
+}
 
 export class SupabaseRemoteAuthStore {
   constructor(clientId) {
     this.clientId = clientId;
     this.tableName = 'whatsapp_sessions';
     this.chunksTableName = 'whatsapp_session_chunks';
-    this.initTables();
-  }
-
-  async initTables() {
-    try {
-      // Create sessions table if it doesn't exist
-      const { error: sessionsError } = await supabase
-        .from(this.tableName)
-        .select('*')
-        .limit(1);
-
-      if (sessionsError && sessionsError.code === '42P01') { // Table doesn't exist
-        console.log('Creating sessions table...');
-        // You would need to create this table in Supabase manually
-      }
-
-      // Create chunks table if it doesn't exist
-      const { error: chunksError } = await supabase
-        .from(this.chunksTableName)
-        .select('*')
-        .limit(1);
-
-      if (chunksError && chunksError.code === '42P01') {
-        console.log('Creating chunks table...');
-      }
-
-      console.log('✅ Supabase store initialized for client:', this.clientId);
-    } catch (error) {
-      console.error('Error initializing Supabase tables:', error);
-    }
+    this.versionsTableName = 'whatsapp_session_versions';
+    this.storageType = 'Supabase PostgreSQL';
+    this.cipher = getSessionCipher();
+    // How many complete saves to keep for rollback
+    this.versionsToKeep = Math.max(1, parseInt(process.env.SESSION_VERSIONS_KEEP, 10) || 3);
+    // Tables come from backend/migrations and are checked at startup (migrations.js)
   }
 
   // Store session data (GridFS-like storage)
@@ -86,73 +73,212 @@ export class SupabaseRemoteAuthStore {
         console.warn('⚠️ Empty session data in zip file');
         return false;
       }
-      
-      // Convert session data to base64 for storage
-      const base64Data = sessionData.toString('base64');
-      
-      // Split into chunks if data is too large
-      const chunkSize = 1024 * 1024; // 1MB chunks
-      const chunks = [];
-      
-      for (let i = 0; i < base64Data.length; i += chunkSize) {
-        chunks.push(base64Data.substring(i, i + chunkSize));
-      }
 
-      // ✅ FIX: Insert session metadata FIRST
-      const { error: sessionError } = await supabase
-        .from(this.tableName)
-        .upsert({
-          id: sessionId,
-          session: sessionId,
-          client_id: this.clientId,
-          chunks_count: chunks.length,
-          total_size: base64Data.length,
-          last_accessed: new Date().toISOString(),
+      await this.writeSessionData(sessionId, sessionData);
+      return true;
+    } catch (error) {
+      console.error('❌ Error saving session to Supabase:', error);
+      return false;
+    }
+  }
+
+  // Each save becomes a new version: chunks first, then the version row with its checksum,
+  // then the metadata row is pointed at it. A save that dies midway leaves the live version untouched.
+  async writeSessionData(sessionId, sessionData) {
+    const storedData = this.cipher.seal(sessionData, sessionId);
+    const version = Date.now();
+    const checksum = createHash('sha256').update(storedData).digest('hex');
+    const encryptionKeyId = this.cipher.keyIdOf(storedData);
+
+    // Convert session data to base64 for storage
+    const base64Data = storedData.toString('base64');
+    
+    // Split into chunks if data is too large
+    const chunkSize = 1024 * 1024; // 1MB chunks
+    const chunks = [];
+    
+    for (let i = 0; i < base64Data.length; i += chunkSize) {
+      chunks.push(base64Data.substring(i, i + chunkSize));
+    }
+
+    // Save each chunk under the new version
+    for (let i = 0; i < chunks.length; i++) {
+      const { error } = await supabase
+        .from(this.chunksTableName)
+        .insert({
+          session_id: sessionId,
+          version,
+          chunk_index: i,
+          chunk_data: chunks[i],
+          total_chunks: chunks.length,
           updated_at: new Date().toISOString()
-        }, {
-          onConflict: 'id'
         });
 
-      if (sessionError) throw sessionError;
-      console.log(`✅ Session metadata created: ${sessionId}`);
+      if (error) {
+        console.error(`❌ Error saving chunk ${i} of version ${version}:`, error);
+        throw explainSaveError(error);
+      }
+    }
+
+    // The version row is only written once every chunk has landed
+    const { error: versionError } = await supabase
+      .from(this.versionsTableName)
+      .insert({
+        session_id: sessionId,
+        version,
+        checksum,
+        chunks_count: chunks.length,
+        total_size: base64Data.length,
+        encryption_key_id: encryptionKeyId,
+        created_at: new Date().toISOString()
+      });
+
+    if (versionError) throw explainSaveError(versionError);
+
+    // Switch the live version
+    const { error: sessionError } = await supabase
+      .from(this.tableName)
+      .upsert({
+        id: sessionId,
+        session: sessionId,
+        client_id: this.clientId,
+        version,
+        checksum,
+        chunks_count: chunks.length,
+        total_size: base64Data.length,
+        encryption_key_id: encryptionKeyId,
+        last_accessed: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }, {
+        onConflict: 'id'
+      });
+
+    if (sessionError) throw explainSaveError(sessionError);
+
+    const keyInfo = this.cipher.enabled ? `, key ${this.cipher.activeKeyId}` : '';
+    console.log(`✅ Session saved to Supabase: ${sessionId} v${version} (${chunks.length} chunks, ${Math.round(sessionData.length / 1024)}KB${keyInfo})`);
+
+    await this.pruneVersions(sessionId);
+  }
+
+  // Keeps the newest versions and drops everything else, including chunks of saves that never finished
+  async pruneVersions(sessionId) {
+    try {
+      const { data: versions, error } = await supabase
+        .from(this.versionsTableName)
+        .select('version')
+        .eq('session_id', sessionId)
+        .order('version', { ascending: false });
 
-      // ✅ FIX: Delete existing chunks first
-      const { error: deleteChunksError } = await supabase
+      if (error) throw error;
+      if (!versions || versions.length === 0) return;
+
+      const kept = versions.slice(0, this.versionsToKeep).map(v => v.version);
+      const keptList = `(${kept.join(',')})`;
+
+      const { error: chunksError } = await supabase
         .from(this.chunksTableName)
         .delete()
-        .eq('session_id', sessionId);
+        .eq('session_id', sessionId)
+        .not('version', 'in', keptList);
+      if (chunksError) throw chunksError;
 
-      if (deleteChunksError) {
-        console.error('Error deleting chunks:', deleteChunksError);
-        // Continue anyway, might be first time
-      }
+      const { error: versionsError } = await supabase
+        .from(this.versionsTableName)
+        .delete()
+        .eq('session_id', sessionId)
+        .not('version', 'in', keptList);
+      if (versionsError) throw versionsError;
+    } catch (error) {
+      // Old versions only cost storage; the save itself succeeded
+      console.error(`⚠️ Failed to prune old versions of ${sessionId}:`, error);
+    }
+  }
+
+  // Versions to try when restoring: the live one first, then older ones newest first.
+  // Sessions saved before versioning have no version rows; their chunks are version 0.
+  async getVersionCandidates(sessionId) {
+    const { data: session, error } = await supabase
+      .from(this.tableName)
+      .select('version, checksum, chunks_count')
+      .eq('id', sessionId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    if (!session) return [];
+
+    const { data: versions, error: versionsError } = await supabase
+      .from(this.versionsTableName)
+      .select('version, checksum, chunks_count')
+      .eq('session_id', sessionId)
+      .order('version', { ascending: false });
+
+    if (versionsError) throw versionsError;
+
+    if (!versions || versions.length === 0) {
+      return [{ version: session.version || 0, checksum: session.checksum || null, chunks_count: session.chunks_count }];
+    }
+
+    const live = versions.find(v => v.version === session.version);
+    return live ? [live, ...versions.filter(v => v !== live)] : versions;
+  }
+
+  // Joins one version's chunks back together and checks them against its version row
+  async readVersion(sessionId, candidate) {
+    const { data: chunks, error } = await supabase
+      .from(this.chunksTableName)
+      .select('chunk_index, chunk_data')
+      .eq('session_id', sessionId)
+      .eq('version', candidate.version)
+      .order('chunk_index', { ascending: true });
+
+    if (error) throw error;
+
+    const count = chunks?.length || 0;
+    const indexesMatch = (chunks || []).every((chunk, i) => chunk.chunk_index === i);
+    if (count === 0 || count !== candidate.chunks_count || !indexesMatch) {
+      throw new Error(`has ${count} of ${candidate.chunks_count} chunks`);
+    }
+
+    // Reconstruct the base64 string
+    let base64Data = '';
+    for (const chunk of chunks) {
+      base64Data += chunk.chunk_data;
+    }
+
+    const storedData = Buffer.from(base64Data, 'base64');
+    if (candidate.checksum && createHash('sha256').update(storedData).digest('hex') !== candidate.checksum) {
+      throw new Error('checksum mismatch');
+    }
+
+    return storedData;
+  }
+
+  // Walks the versions until one is complete, matches its checksum and decrypts.
+  // decode=false returns the stored (possibly encrypted) bytes instead, for re-encryption.
+  async readSessionData(sessionId, { decode = true } = {}) {
+    const candidates = await this.getVersionCandidates(sessionId);
 
-      // Save each chunk
-      for (let i = 0; i < chunks.length; i++) {
-        const { error } = await supabase
-          .from(this.chunksTableName)
-          .upsert({
-            session_id: sessionId,
-            chunk_index: i,
-            chunk_data: chunks[i],
-            total_chunks: chunks.length,
-            updated_at: new Date().toISOString()
-          }, {
-            onConflict: 'session_id,chunk_index'
-          });
-
-        if (error) {
-          console.error(`❌ Error saving chunk ${i}:`, error);
-          throw error;
+    for (let i = 0; i < candidates.length; i++) {
+      const candidate = candidates[i];
+      try {
+        const storedData = await this.readVersion(sessionId, candidate);
+        const sessionData = decode ? this.cipher.open(storedData, sessionId) : storedData;
+
+        if (i > 0) {
+          console.warn(`⚠️ Restored ${sessionId} from older version ${candidate.version} after ${i} unusable version(s)`);
         }
+        return sessionData;
+      } catch (error) {
+        console.error(`❌ Session ${sessionId} version ${candidate.version} is unusable: ${error.message}`);
       }
-
-      console.log(`✅ Session saved to Supabase: ${sessionId} (${chunks.length} chunks, ${Math.round(sessionData.length / 1024)}KB)`);
-      return true;
-    } catch (error) {
-      console.error('❌ Error saving session to Supabase:', error);
-      return false;
     }
+
+    return null;
+  }
+
+  async readStoredData(sessionId) {
+    return this.readSessionData(sessionId, { decode: false });
   }
 
   // Extract session from chunks and write to file
@@ -163,29 +289,12 @@ export class SupabaseRemoteAuthStore {
       
       console.log(`🔄 Extracting session to: ${outputPath} for session: ${sessionId}`);
       
-      // Get all chunks for this session
-      const { data: chunks, error } = await supabase
-        .from(this.chunksTableName)
-        .select('chunk_index, chunk_data, total_chunks')
-        .eq('session_id', sessionId)
-        .order('chunk_index', { ascending: true });
-
-      if (error) throw error;
-      
-      if (!chunks || chunks.length === 0) {
-        console.log('No session chunks found for:', sessionId);
+      const sessionData = await this.readSessionData(sessionId);
+      if (!sessionData) {
+        console.log('No usable session data found for:', sessionId);
         return null;
       }
 
-      // Reconstruct the base64 string
-      let base64Data = '';
-      for (const chunk of chunks) {
-        base64Data += chunk.chunk_data;
-      }
-
-      // Convert back to Buffer
-      const sessionData = Buffer.from(base64Data, 'base64');
-
       // Write the buffer to the output file
       await fs.writeFile(outputPath, sessionData);
       console.log(`✅ Session extracted to file: ${outputPath} (${sessionData.length} bytes)`);
@@ -199,7 +308,7 @@ export class SupabaseRemoteAuthStore {
         })
         .eq('id', sessionId);
 
-      console.log(`✅ Session extracted from Supabase: ${sessionId} (${chunks.length} chunks)`);
+      console.log(`✅ Session extracted from Supabase: ${sessionId}`);
       return sessionData;
     } catch (error) {
       console.error('❌ Error extracting session from Supabase:', error);
@@ -220,6 +329,13 @@ export class SupabaseRemoteAuthStore {
 
       if (chunksError) console.error('Error deleting chunks:', chunksError);
 
+      const { error: versionsError } = await supabase
+        .from(this.versionsTableName)
+        .delete()
+        .eq('session_id', sessionId);
+
+      if (versionsError) console.error('Error deleting session versions:', versionsError);
+
       // Then delete session metadata
       const { error } = await supabase
         .from(this.tableName)
@@ -241,7 +357,7 @@ export class SupabaseRemoteAuthStore {
     try {
       const { data, error } = await supabase
         .from(this.tableName)
-        .select('id, client_id, chunks_count, total_size, last_accessed, updated_at')
+        .select('id, client_id, version, checksum, chunks_count, total_size, encryption_key_id, last_accessed, updated_at')
         .eq('client_id', this.clientId);
 
       if (error) throw error;
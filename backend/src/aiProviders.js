@@ -0,0 +1,195 @@
+// backend/src/aiProviders.js
+import axios from 'axios';
+import { readEventStream } from './utils.js';
+
+// Every provider exposes the same shape:
+//   name, label, supportsSearch, supportsStreaming, defaultModel
+//   generate(payload, { model, search, onText }) -> answer text, throws on failure
+// When streaming, onText is called with the full text generated so far.
+// `payload` is the request built by BotManager.executeCommand.
+
+const REQUEST_TIMEOUT = 10 * 60 * 1000;
+
+// The original backend: `${API_ENDPOINT}/generate_real_time` and `/generate_realtime_search`
+export class LegacyApiProvider {
+  constructor(baseUrl = process.env.API_ENDPOINT) {
+    this.name = 'legacy';
+    this.label = 'Bot API (API_ENDPOINT)';
+    this.supportsSearch = true;
+    // The endpoint streams SSE or NDJSON events ({ delta } / { token } / { text }) when asked to
+    this.supportsStreaming = process.env.API_STREAMING === 'true';
+    this.defaultModel = '';
+    this.baseUrl = baseUrl;
+  }
+
+  async generate(payload, { model, search, onText } = {}) {
+    if (!this.baseUrl) throw new Error('API_ENDPOINT is not configured');
+
+    const endpoint = `${this.baseUrl}/${search ? 'generate_realtime_search' : 'generate_real_time'}`;
+    console.log(`[AI:legacy] Calling: ${endpoint}`);
+
+    const body = {
+      messages: payload.messages,
+      prompt: payload.prompt,
+      group_name: payload.groupName,
+      cache_info: {
+        total_messages: payload.totalMessageCount,
+        new_messages: payload.newMessageCount,
+        has_cached_context: payload.totalMessageCount > payload.newMessageCount,
+        last_message_id: payload.lastMessageId
+      },
+      conversation_history: payload.conversationHistory
+    };
+    if (search) {
+      body.enable_search = true;
+      body.max_search_results = 3;
+    }
+    if (model) body.model = model;
+
+    const stream = Boolean(onText && this.supportsStreaming);
+    if (stream) body.stream = true;
+
+    const response = await axios.post(endpoint, body, {
+      timeout: REQUEST_TIMEOUT,
+      headers: { 'Content-Type': 'application/json' },
+      responseType: stream ? 'stream' : 'json',
+    });
+
+    let data = response.data;
+    if (stream) {
+      let streamed = '';
+      let final = {};
+      await readEventStream(response.data, (event) => {
+        const chunk = event.delta ?? event.token ?? event.text;
+        if (typeof chunk === 'string' && chunk) {
+          streamed += chunk;
+          onText(streamed);
+        }
+        // A closing event may carry the full answer and search info
+        if (event.response || event.answer || event.search_info) final = { ...final, ...event };
+      });
+      data = { ...final, response: final.response || final.answer || streamed };
+    }
+
+    let text = data.response || data.answer || data.text;
+    if (!text) throw new Error('AI provider returned an empty response');
+
+    if (search && data.search_info && data.search_info.search_query) {
+      text += `\n\n*Search Info:* Queried "${data.search_info.search_query}"`;
+      if (data.search_info.articles_found) {
+        text += `, found ${data.search_info.articles_found} articles`;
+      }
+    }
+
+    return text;
+  }
+}
+
+// Any server speaking the OpenAI chat-completions API (OpenAI, a local llama.cpp/Ollama/vLLM server, ...)
+export class OpenAICompatibleProvider {
+  constructor({
+    baseUrl = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey = process.env.OPENAI_API_KEY,
+    defaultModel = process.env.OPENAI_MODEL || 'gpt-4o-mini'
+  } = {}) {
+    this.name = 'openai';
+    this.label = 'OpenAI-compatible (OPENAI_BASE_URL)';
+    this.supportsSearch = false;
+    this.supportsStreaming = process.env.OPENAI_STREAMING !== 'false';
+    this.defaultModel = defaultModel;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+  }
+
+  buildMessages(payload) {
+    const context = payload.messages
+      .map(msg => {
+        const reply = msg.reply_to ? ` (replying to ${msg.reply_to.user}: "${msg.reply_to.message}")` : '';
+        return `[${msg.timestamp}] ${msg.user}${reply}: ${msg.message}`;
+      })
+      .join('\n');
+
+    const messages = [{
+      role: 'system',
+      content: `You are a helpful assistant in the WhatsApp group "${payload.groupName}". ` +
+               `Answer concisely using WhatsApp formatting.` +
+               (context ? `\n\nRecent messages in the group:\n${context}` : '')
+    }];
+
+    for (const turn of payload.conversationHistory || []) {
+      messages.push({ role: 'user', content: turn.prompt });
+      messages.push({ role: 'assistant', content: turn.answer });
+    }
+
+    messages.push({ role: 'user', content: `${payload.sender}: ${payload.prompt}` });
+    return messages;
+  }
+
+  async generate(payload, { model, onText } = {}) {
+    const endpoint = `${this.baseUrl}/chat/completions`;
+    console.log(`[AI:openai] Calling: ${endpoint} (${model || this.defaultModel})`);
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    const stream = Boolean(onText && this.supportsStreaming);
+    const response = await axios.post(endpoint, {
+      model: model || this.defaultModel,
+      messages: this.buildMessages(payload),
+      stream
+    }, {
+      timeout: REQUEST_TIMEOUT,
+      headers,
+      responseType: stream ? 'stream' : 'json',
+    });
+
+    let text;
+    if (stream) {
+      text = '';
+      await readEventStream(response.data, (event) => {
+        const chunk = event.choices?.[0]?.delta?.content;
+        if (chunk) {
+          text += chunk;
+          onText(text);
+        }
+      });
+    } else {
+      text = response.data?.choices?.[0]?.message?.content;
+    }
+
+    if (!text) throw new Error('AI provider returned an empty response');
+    return text.trim();
+  }
+}
+
+// Deterministic provider for tests and local development: no network, same input gives the same answer
+export class EchoProvider {
+  constructor() {
+    this.name = 'echo';
+    this.label = 'Echo (testing)';
+    this.supportsSearch = true;
+    this.supportsStreaming = true;
+    this.defaultModel = 'echo';
+  }
+
+  async generate(payload, { model, search, onText } = {}) {
+    const text = `[${model || this.defaultModel}${search ? ', search' : ''}] ${payload.prompt}\n\n` +
+                 `_Context: ${payload.messages.length} messages, ${(payload.conversationHistory || []).length} earlier turns_`;
+
+    if (onText) {
+      const words = text.split(' ');
+      for (let i = 1; i <= words.length; i++) onText(words.slice(0, i).join(' '));
+    }
+    return text;
+  }
+}
+
+export const PROVIDER_NAMES = ['legacy', 'openai', 'echo'];
+
+export function createProviders() {
+  return new Map([
+    ['legacy', new LegacyApiProvider()],
+    ['openai', new OpenAICompatibleProvider()],
+    ['echo', new EchoProvider()],
+  ]);
+}
@@ -0,0 +1,69 @@
+// backend/src/auditStore.js
+import { randomUUID } from 'crypto';
+import { supabase } from './supabaseClient.js';
+
+const MAX_QUERY_LIMIT = 5000;
+
+// Who did what and when: dashboard actions (actor = dashboard username)
+// and WhatsApp client lifecycle events (actor = 'system'). bot_id is null for actions not tied to one bot, like logins.
+export class AuditStore {
+  constructor() {
+    this.tableName = 'audit_log';
+  }
+
+  async record({ action, actor, category, botId = null, details = {} }) {
+    try {
+      const { error } = await supabase
+        .from(this.tableName)
+        .insert({
+          id: randomUUID(),
+          action,
+          actor,
+          category,
+          bot_id: botId,
+          details,
+          created_at: new Date().toISOString()
+        });
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error(`[AUDIT] Failed to record "${action}":`, error);
+      return false;
+    }
+  }
+
+  // Newest first. since/until are ISO dates, actor is a case-insensitive substring
+  async query({ action, actor, category, botId, since, until, limit = 200 } = {}) {
+    try {
+      let query = supabase
+        .from(this.tableName)
+        .select('*')
+        .order('created_at', { ascending: false })
+        .limit(Math.min(limit, MAX_QUERY_LIMIT));
+
+      if (action) query = query.eq('action', action);
+      if (category) query = query.eq('category', category);
+      if (botId) query = query.eq('bot_id', botId);
+      if (actor) query = query.ilike('actor', `%${actor}%`);
+      if (since) query = query.gte('created_at', since);
+      if (until) query = query.lte('created_at', until);
+
+      const { data, error } = await query;
+      if (error) throw error;
+
+      return (data || []).map(row => ({
+        id: row.id,
+        action: row.action,
+        actor: row.actor,
+        category: row.category,
+        botId: row.bot_id || null,
+        details: row.details || {},
+        createdAt: new Date(row.created_at).getTime()
+      }));
+    } catch (error) {
+      console.error('[AUDIT] Failed to query audit log:', error);
+      return [];
+    }
+  }
+}
@@ -0,0 +1,280 @@
+// backend/src/auth.js
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { supabase } from './supabaseClient.js';
+import { hashPassword, verifyPassword } from './passwords.js';
+
+// Ordered from least to most privileged
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+const TOKEN_TTL_SECONDS = Number(process.env.JWT_TTL_HOURS) * 60 * 60 || 12 * 60 * 60;
+
+// setTimeout can't wait longer than this (about 24 days)
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// How long a user looked up for a token is trusted before the user store is asked again
+const USER_CACHE_MS = 30 * 1000;
+
+export function hasRole(user, requiredRole) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(requiredRole);
+}
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+// HS256 JSON Web Tokens
+export function signToken(claims, secret, ttlSeconds = TOKEN_TTL_SECONDS) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({ ...claims, iat: now, exp: now + ttlSeconds }));
+  const signature = createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+// Returns the token's claims, or null if it is malformed, forged or expired
+export function verifyToken(token, secret) {
+  if (typeof token !== 'string') return null;
+
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  const [header, payload, signature] = parts;
+  const expected = createHmac('sha256', secret).update(`${header}.${payload}`).digest();
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) return null;
+
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString());
+    if (alg !== 'HS256') return null;
+
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (!claims.exp || claims.exp < Math.floor(Date.now() / 1000)) return null;
+    return claims;
+  } catch (error) {
+    return null;
+  }
+}
+
+// DASHBOARD_USERS="alice:admin:scrypt$...,bob:viewer:scrypt$..." (hashes from `npm run hash-password`)
+function parseLocalUsers(value) {
+  const users = new Map();
+  for (const entry of (value || '').split(',').map(e => e.trim()).filter(Boolean)) {
+    const [username, role, ...hash] = entry.split(':');
+    if (!username || !ROLES.includes(role) || hash.length === 0) {
+      console.error(`[AUTH] Ignoring invalid DASHBOARD_USERS entry for "${username || '?'}"`);
+      continue;
+    }
+    users.set(username.toLowerCase(), { username, role, passwordHash: hash.join(':') });
+  }
+  return users;
+}
+
+// Dashboard users come from DASHBOARD_USERS first, then the Supabase `dashboard_users` table
+export class AuthService {
+  constructor() {
+    this.tableName = 'dashboard_users';
+    this.localUsers = parseLocalUsers(process.env.DASHBOARD_USERS);
+    this.disabled = process.env.AUTH_DISABLED === 'true';
+
+    this.secret = process.env.JWT_SECRET;
+    if (!this.secret) {
+      this.secret = randomBytes(32).toString('hex');
+      console.warn('⚠️ [AUTH] JWT_SECRET is not set; using a random secret, so logins end when the server restarts');
+    }
+    if (this.disabled) {
+      console.warn('⚠️ [AUTH] AUTH_DISABLED=true: every request is treated as an admin. Do not use this in production');
+    }
+
+    // Unknown usernames are checked against this so they take as long as wrong passwords
+    this.dummyHash = hashPassword(randomBytes(16).toString('hex'));
+
+    // Users behind valid tokens, so demoting, disabling or removing one takes effect within USER_CACHE_MS
+    this.userCache = new Map();
+
+    // Failed logins per username and client IP, to slow down password guessing
+    this.failedLogins = new Map();
+    this.maxFailedLogins = 5;
+    this.lockoutMs = 15 * 60 * 1000;
+
+    console.log(`[AUTH] ${this.localUsers.size} local dashboard users configured`);
+  }
+
+  // The active user with this name, or null. Throws if the users table can't be read.
+  async fetchUser(username) {
+    const local = this.localUsers.get(username.toLowerCase());
+    if (local) return local;
+
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .select('username, password_hash, role, disabled')
+      .eq('username', username.toLowerCase())
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    if (!data || data.disabled || !ROLES.includes(data.role)) return null;
+    return { username: data.username, role: data.role, passwordHash: data.password_hash };
+  }
+
+  async findUser(username) {
+    try {
+      return await this.fetchUser(username);
+    } catch (error) {
+      console.error('[AUTH] Failed to look up dashboard user:', error);
+      return null;
+    }
+  }
+
+  // Like findUser, cached for USER_CACHE_MS. While the users table can't be read the last known
+  // answer is used, so a database hiccup doesn't log everyone out.
+  async currentUser(username) {
+    const key = username.toLowerCase();
+    const cached = this.userCache.get(key);
+    if (cached && Date.now() - cached.at < USER_CACHE_MS) return cached.user;
+
+    try {
+      const user = await this.fetchUser(username);
+      if (this.userCache.size > 1000) this.userCache.clear();
+      this.userCache.set(key, { user, at: Date.now() });
+      return user;
+    } catch (error) {
+      console.error('[AUTH] Failed to look up dashboard user:', error);
+      return cached ? cached.user : null;
+    }
+  }
+
+  // The token's user if it still exists, is enabled and has the role the token was issued with
+  async refresh(user) {
+    if (this.disabled) return user;
+
+    const current = await this.currentUser(user.username);
+    if (!current || current.role !== user.role) {
+      console.log(`[AUTH] Rejecting the login of ${user.username}: the user was ${current ? `changed to ${current.role}` : 'removed or disabled'}`);
+      return null;
+    }
+    return user;
+  }
+
+  // One client guessing one account is locked out without locking anyone else out of it
+  loginKey(username, ip) {
+    return `${username.toLowerCase()}|${ip}`;
+  }
+
+  isLockedOut(clientKey) {
+    const entry = this.failedLogins.get(clientKey);
+    if (!entry) return false;
+    if (Date.now() - entry.firstAt > this.lockoutMs) {
+      this.failedLogins.delete(clientKey);
+      return false;
+    }
+    return entry.count >= this.maxFailedLogins;
+  }
+
+  recordFailedLogin(clientKey) {
+    for (const [key, { firstAt }] of this.failedLogins) {
+      if (Date.now() - firstAt > this.lockoutMs) this.failedLogins.delete(key);
+    }
+
+    const entry = this.failedLogins.get(clientKey);
+    if (!entry || Date.now() - entry.firstAt > this.lockoutMs) {
+      this.failedLogins.set(clientKey, { count: 1, firstAt: Date.now() });
+    } else {
+      entry.count++;
+    }
+  }
+
+  // Returns { token, user, expiresAt }, or null for wrong credentials
+  async login(username, password, clientKey) {
+    const user = await this.findUser(username);
+    const valid = await verifyPassword(password, user ? user.passwordHash : await this.dummyHash) && Boolean(user);
+
+    if (!valid) {
+      this.recordFailedLogin(clientKey);
+      console.log(`[AUTH] Failed login for "${username}" from ${clientKey}`);
+      return null;
+    }
+
+    this.failedLogins.delete(clientKey);
+    this.userCache.delete(user.username.toLowerCase());
+    console.log(`[AUTH] ${user.username} logged in as ${user.role}`);
+
+    const token = signToken({ sub: user.username, role: user.role }, this.secret);
+    return {
+      token,
+      user: { username: user.username, role: user.role },
+      expiresAt: verifyToken(token, this.secret).exp * 1000
+    };
+  }
+
+  // The user a token belongs to, or null. The user store is checked again (see currentUser),
+  // so a token stops working once its user is removed, disabled or given another role.
+  async authenticate(token) {
+    if (this.disabled) return { username: 'local', role: 'admin' };
+
+    const claims = verifyToken(token, this.secret);
+    if (!claims || typeof claims.sub !== 'string' || !ROLES.includes(claims.role)) return null;
+    return this.refresh({ username: claims.sub, role: claims.role, expiresAt: claims.exp * 1000 });
+  }
+
+  // Express middleware: reject requests without a token for at least `role`
+  requireRole(role) {
+    return async (req, res, next) => {
+      const header = req.headers.authorization || '';
+      const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+      const user = await this.authenticate(token);
+
+      if (!user) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      if (!hasRole(user, role)) {
+        return res.status(403).json({ error: `This action requires the ${role} role` });
+      }
+
+      req.user = user;
+      next();
+    };
+  }
+
+  // socket.io middleware: the dashboard sends its token in the handshake (`auth: { token }`).
+  // The token is only checked on connect, so the socket is closed when it expires.
+  socketMiddleware() {
+    return async (socket, next) => {
+      const user = await this.authenticate(socket.handshake.auth?.token);
+      if (!user) {
+        return next(new Error('Unauthorized'));
+      }
+      socket.data.user = user;
+      socket.data.auth = this;
+
+      if (user.expiresAt) {
+        const expiryTimer = setTimeout(() => {
+          console.log(`[AUTH] Session of ${user.username} expired, closing socket ${socket.id}`);
+          socket.emit('auth-expired');
+          socket.disconnect(true);
+        }, Math.min(MAX_TIMER_MS, user.expiresAt - Date.now()));
+        socket.on('disconnect', () => clearTimeout(expiryTimer));
+      }
+      next();
+    };
+  }
+}
+
+export function isSessionExpired(user) {
+  return Boolean(user?.expiresAt) && user.expiresAt <= Date.now();
+}
+
+// Register a socket event handler that only runs for users with at least `role`.
+// The user is checked against the user store again, since a socket can stay open for hours.
+export function onWithRole(socket, event, role, handler) {
+  socket.on(event, async (...args) => {
+    const user = socket.data.auth ? await socket.data.auth.refresh(socket.data.user) : socket.data.user;
+    if (!user || isSessionExpired(user)) {
+      socket.emit('auth-expired');
+      socket.disconnect(true);
+      return;
+    }
+    if (!hasRole(socket.data.user, role)) {
+      console.log(`[AUTH] ${socket.data.user?.username} (${socket.data.user?.role}) denied "${event}"`);
+      socket.emit('bot-error', { error: `"${event}" requires the ${role} role` });
+      return;
+    }
+    return handler(...args);
+  });
+}
@@ -6,14 +6,32 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs-extra';
 import axios from 'axios';
+import { randomUUID, createHash } from 'crypto';
 import { supabase } from './supabaseClient.js';
-import { SupabaseRemoteAuthStore } from './SupabaseRemoteAuthStore.js';
+import { createSessionStore } from './sessionStore.js';
+import { SessionIntegrityError } from './sessionCrypto.js';
+import { normalizeGroupSettings } from './groupSettings.js';
+import { createCommandRegistry } from './commands.js';
+import { RateLimiter, normalizeRateLimits } from './rateLimiter.js';
+import { QueueStore } from './queueStore.js';
+import { pickNextRequest, scheduledOrder, ProcessingTimeTracker } from './queueScheduler.js';
+import { MessageHistoryStore } from './messageHistoryStore.js';
+import { extractMessageDetails, describeMedia, uploadMedia } from './mediaMessages.js';
+import { ThreadStore } from './threadStore.js';
+import { createProviders, PROVIDER_NAMES } from './aiProviders.js';
+import { ProgressiveReply } from './progressiveReply.js';
+import { ReplyCache, cachedReplyNote } from './replyCache.js';
+import { DigestScheduler } from './digestScheduler.js';
+import { OutboundQueue } from './outboundQueue.js';
+import { AuditStore } from './auditStore.js';
+import { CircuitBreaker, callWithRetry, DEFAULT_RETRY_POLICY, DEFAULT_BREAKER_OPTIONS } from './resilience.js';
+import { formatDuration, DEFAULT_BOT_ID } from './utils.js';
 
 // Error handling
 process.on('unhandledRejection', (reason, promise) => {
   console.log('🔶 Unhandled Rejection at:', promise, 'reason:', reason);
   
-  if (reason.code === 'ENOENT' && reason.path && reason.path.includes('wwebjs_temp_session_admin')) {
+  if (reason.code === 'ENOENT' && reason.path && reason.path.includes('wwebjs_temp_session_')) {
     console.log('🔶 Ignoring RemoteAuth temporary directory cleanup error - this is normal');
     return;
   }
@@ -24,7 +42,7 @@ process.on('unhandledRejection', (reason, promise) => {
 process.on('uncaughtException', (error) => {
   console.error('🔴 Uncaught Exception:', error);
   
-  if (error.code === 'ENOENT' && error.path && error.path.includes('wwebjs_temp_session_admin')) {
+  if (error.code === 'ENOENT' && error.path && error.path.includes('wwebjs_temp_session_')) {
     console.log('🔶 Ignoring RemoteAuth file system error - this is normal');
     return;
   }
@@ -35,10 +53,25 @@ process.on('uncaughtException', (error) => {
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Marks files written by exportSessionBackup
+const SESSION_BACKUP_FORMAT = 'whatsapp-session-backup/1';
+
+// One WhatsApp account. BotRegistry (botRegistry.js) runs one BotManager per bot id.
 class BotManager {
-  constructor() {
+  constructor(botId = DEFAULT_BOT_ID, { name, auditStore = new AuditStore(), onStatusChange } = {}) {
+    this.botId = botId;
+    this.name = name || botId;
+    this.onStatusChange = onStatusChange;
+    this.isShutDown = false;
+    this.timers = [];
+    // One-shot timers from schedule(), cleared by shutdown() like the intervals in this.timers
+    this.timeouts = new Set();
+
     this.client = null;
     this.activeGroups = [];
+    this.groupSettings = {};
+    this.commandRegistry = createCommandRegistry();
+    this.connectedAt = null;
     this.socketConnections = [];
     this.isInitializing = false;
     this.currentQrCode = null;
@@ -52,7 +85,7 @@ class BotManager {
       lastSessionTime: null
     };
     
-    this.supabaseStore = null;
+    this.sessionStore = null;
     
     // Paths biasa, gak ada mode GitHub Actions
     this.authPath = process.env.NODE_ENV === 'production' 
@@ -74,20 +107,81 @@ class BotManager {
       isUpdating: false
     };
     
-    // Global queue
+    // Global queue: pending requests wait in processingQueue, running ones live in activeRequests
     this.processingQueue = [];
-    this.isProcessing = false;
-    this.currentProcessingRequest = null;
+    this.activeRequests = new Map();
     this.maxQueueSize = 10;
+    this.queueWorkers = Number(process.env.QUEUE_WORKERS) || 2;
+    this.perGroupLimit = Number(process.env.QUEUE_PER_GROUP_LIMIT) || 1;
+    this.lastServedByGroup = new Map();
+    this.processingTimes = new ProcessingTimeTracker();
+    this.failedRequests = [];
+    this.maxFailedRequests = 20;
+    
+    // Queued requests are persisted so they survive restarts; stale ones are dropped on resume
+    this.queueStore = new QueueStore(this.botId);
+    this.requestTtlMs = (Number(process.env.QUEUE_REQUEST_TTL_MINUTES) || 30) * 60 * 1000;
     
-    // Rate limiting
-    this.lastCommandTime = 0;
-    this.minCommandInterval = 3000;
+    // Rate limiting (per group and per sender)
+    this.rateLimits = normalizeRateLimits();
+    this.rateLimiter = new RateLimiter(this.rateLimits, { botId: this.botId });
     
-    // In-memory cache
+    // Persistent conversation history, used to build AI context
+    this.historyStore = new MessageHistoryStore(this.botId);
+    this.historyCleanupInterval = 6 * 60 * 60 * 1000;
+
+    // Optional upload of media bytes for groups that enable it
+    this.mediaUpload = {
+      endpoint: process.env.MEDIA_UPLOAD_ENDPOINT || null,
+      maxBytes: (Number(process.env.MEDIA_UPLOAD_MAX_MB) || 5) * 1024 * 1024
+    };
+
+    // AI providers; each group can pick one in its settings
+    this.aiProviders = createProviders();
+    this.defaultAIProvider = PROVIDER_NAMES.includes(process.env.AI_PROVIDER) ? process.env.AI_PROVIDER : 'legacy';
+
+    // Retries with backoff and one circuit breaker per provider endpoint
+    this.retryPolicy = {
+      maxRetries: process.env.AI_MAX_RETRIES !== undefined ? Number(process.env.AI_MAX_RETRIES) : DEFAULT_RETRY_POLICY.maxRetries,
+      baseDelayMs: Number(process.env.AI_RETRY_BASE_DELAY_MS) || DEFAULT_RETRY_POLICY.baseDelayMs,
+      maxDelayMs: Number(process.env.AI_RETRY_MAX_DELAY_MS) || DEFAULT_RETRY_POLICY.maxDelayMs
+    };
+    this.breakerOptions = {
+      failureThreshold: Number(process.env.AI_BREAKER_FAILURE_THRESHOLD) || DEFAULT_BREAKER_OPTIONS.failureThreshold,
+      resetTimeoutMs: (Number(process.env.AI_BREAKER_RESET_SECONDS) * 1000) || DEFAULT_BREAKER_OPTIONS.resetTimeoutMs
+    };
+    this.circuitBreakers = new Map();
+    for (const provider of this.aiProviders.values()) {
+      this.getCircuitBreaker(provider.name);
+      if (provider.supportsSearch) this.getCircuitBreaker(`${provider.name}:search`);
+    }
+
+    // Answers to repeated questions, see replyCache.js
+    this.replyCache = new ReplyCache();
+
+    // How answers are delivered while they stream in: 'edit' a placeholder, send 'chunks', or 'none'
+    this.replyStreaming = {
+      mode: ['edit', 'chunks', 'none'].includes(process.env.STREAM_REPLY_MODE) ? process.env.STREAM_REPLY_MODE : 'edit',
+      maxLength: Number(process.env.WHATSAPP_MAX_MESSAGE_LENGTH) || 4000,
+      editIntervalMs: Number(process.env.STREAM_EDIT_INTERVAL_MS) || 1500
+    };
+
+    // Reply-threading: how many earlier prompt/answer pairs a follow-up gets
+    this.threadStore = new ThreadStore(this.botId);
+    this.maxThreadTurns = Number(process.env.THREAD_MAX_TURNS) || 5;
+
+    // Scheduled summaries, see digestScheduler.js
+    this.digestScheduler = new DigestScheduler(this);
+
+    // Throttled queue for messages sent from the dashboard
+    this.outboundQueue = new OutboundQueue(this);
+
+    // Who did what from the dashboard, plus WhatsApp client lifecycle events
+    this.auditStore = auditStore;
+
+    // In-memory record of which message ids were already sent to the AI, per group
     this.groupCaches = new Map();
     this.maxCachedGroups = 5;
-    this.maxCachedMessages = 30;
 
     this.sessionRetryAttempts = 0;
     this.maxSessionRetries = 3;
@@ -103,25 +197,39 @@ class BotManager {
     };
 
     // Start monitoring
-    setTimeout(() => {
+    this.schedule(() => {
       this.startSupabaseMonitoring();
     }, 10000);
     
     this.startMemoryMonitoring();
+    this.startHistoryCleanup();
     this.loadActiveGroupsFromSupabase();
+    this.loadGroupSettingsFromSupabase();
+    this.loadRateLimitsFromSupabase();
+    this.digestScheduler.start();
+    this.outboundQueue.start();
     this.initializeBot();
   }
 
   startSupabaseMonitoring() {
-    setInterval(async () => {
+    this.timers.push(setInterval(async () => {
       await this.checkSupabaseStorage();
-    }, this.supabaseMonitor.checkInterval);
+    }, this.supabaseMonitor.checkInterval));
     
-    setTimeout(() => {
+    this.schedule(() => {
       this.checkSupabaseStorage();
     }, 60000);
   }
 
+  // setTimeout that never fires once the bot is shut down
+  schedule(callback, delayMs) {
+    const timeout = setTimeout(() => {
+      this.timeouts.delete(timeout);
+      if (!this.isShutDown) callback();
+    }, delayMs);
+    this.timeouts.add(timeout);
+  }
+
   async checkSupabaseStorage() {
     try {
       const now = Date.now();
@@ -129,13 +237,13 @@ class BotManager {
         return;
       }
 
-      if (this.supabaseStore) {
-        const stats = await this.supabaseStore.getStorageStats();
+      if (this.sessionStore) {
+        const stats = await this.sessionStore.getStorageStats();
         console.log(`📊 Supabase session storage: ${stats.sessionsCount} sessions, ${stats.totalSizeMB}MB`);
         
         // Clean up sessions older than 7 days
         if (stats.sessionsCount > 5) {
-          const cleaned = await this.supabaseStore.cleanupOldSessions(7 * 24);
+          const cleaned = await this.sessionStore.cleanupOldSessions(7 * 24);
           if (cleaned > 0) {
             console.log(`🧹 Cleaned ${cleaned} old sessions from Supabase`);
             this.supabaseMonitor.lastPurgeTime = Date.now();
@@ -147,6 +255,32 @@ class BotManager {
     }
   }
 
+  startHistoryCleanup() {
+    this.timers.push(setInterval(() => {
+      this.cleanupMessageHistory();
+    }, this.historyCleanupInterval));
+
+    this.schedule(() => {
+      this.cleanupMessageHistory();
+    }, 2 * 60 * 1000);
+  }
+
+  // Apply each group's retention period to its recorded history
+  async cleanupMessageHistory() {
+    const groupIds = new Set([...this.activeGroups, ...Object.keys(this.groupSettings)]);
+    let deletedCount = 0;
+
+    for (const groupId of groupIds) {
+      const { retentionDays } = this.getGroupSettings(groupId);
+      deletedCount += await this.historyStore.cleanup(groupId, retentionDays);
+      deletedCount += await this.threadStore.cleanup(groupId, retentionDays);
+    }
+
+    if (deletedCount > 0) {
+      console.log(`[HISTORY] Removed ${deletedCount} messages and thread turns past their retention period`);
+    }
+  }
+
   ensureDirectoryExists(dirPath) {
     try {
       if (!fs.existsSync(dirPath)) {
@@ -159,9 +293,9 @@ class BotManager {
   }
 
   startMemoryMonitoring() {
-    setInterval(() => {
+    this.timers.push(setInterval(() => {
       this.checkMemoryUsage();
-    }, 30000);
+    }, 30000));
   }
 
   checkMemoryUsage() {
@@ -359,109 +493,308 @@ class BotManager {
     return await this.getGroups(true);
   }
 
-  async addToQueue(message, chat, prompt, isSearchCommand) {
-    const now = Date.now();
-    if (now - this.lastCommandTime < this.minCommandInterval) {
+  async addToQueue(message, chat, prompt, commandType, options = {}) {
+    if (this.processingQueue.length >= this.maxQueueSize) {
       try {
-        await message.reply('Please wait a few seconds before sending another command.');
+        await message.reply('*Queue is full!*\n\nPlease try again later when the queue has space.');
       } catch (error) {
-        console.error('Failed to send rate limit message:', error);
+        console.error('Failed to send queue full message:', error);
       }
       return;
     }
 
-    if (this.processingQueue.length >= this.maxQueueSize) {
+    const senderId = message.author || message.from;
+    const limit = await this.rateLimiter.consume(chat.id._serialized, senderId);
+    if (!limit.allowed) {
       try {
-        await message.reply('*Queue is full!*\n\nPlease try again later when the queue has space.');
+        await message.reply(this.getRateLimitMessage(limit));
       } catch (error) {
-        console.error('Failed to send queue full message:', error);
+        console.error('Failed to send rate limit message:', error);
       }
       return;
     }
 
     const request = {
+      id: randomUUID(),
       message,
       chat,
       prompt,
-      isSearchCommand,
+      commandType,
       timestamp: Date.now(),
       groupId: chat.id._serialized,
-      groupName: chat.name
+      groupName: chat.name,
+      messageId: message.id._serialized,
+      senderId,
+      senderName: message._data?.notifyName || senderId.split('@')[0],
+      bypassCache: Boolean(options.bypassCache)
     };
 
     this.processingQueue.push(request);
-    const queuePosition = this.processingQueue.length;
+    await this.queueStore.add(request);
+    this.processQueue();
+    this.emitQueueUpdate();
+
+    if (this.activeRequests.has(request.id)) {
+      console.log(`[QUEUE] Started request immediately. Group: ${chat.name}`);
+      return;
+    }
+
+    const queuePosition = this.getQueuePosition(request);
+    const estimatedWait = this.processingTimes.estimateWait(queuePosition, this.queueWorkers);
     console.log(`[QUEUE] Added request. Position: ${queuePosition}, Group: ${chat.name}`);
 
-    if (!this.isProcessing) {
-      this.processQueue();
-    } else {
-      const waitMessage = `*Your request has been added to the queue.*\n\n` +
-                         `*Position in queue:* ${queuePosition}\n` +
-                         `*Estimated wait time:* ${queuePosition * 1} minute(s)\n\n` +
-                         `_Only one message can be processed at a time across all groups._`;
-      
-      try {
-        await message.reply(waitMessage);
-      } catch (error) {
-        console.error(`[QUEUE] Failed to send queue notification:`, error);
-      }
+    const waitMessage = `*Your request has been added to the queue.*\n\n` +
+                       `*Position in queue:* ${queuePosition}\n` +
+                       `*Estimated wait time:* ~${formatDuration(estimatedWait)}\n\n` +
+                       `_Up to ${this.queueWorkers} requests are processed at a time, taking turns between groups._`;
+    
+    try {
+      await message.reply(waitMessage);
+      request.notifiedQueued = true;
+    } catch (error) {
+      console.error(`[QUEUE] Failed to send queue notification:`, error);
     }
+  }
 
-    this.lastCommandTime = now;
+  // 1-based position among pending requests, in the order the scheduler will start them
+  getQueuePosition(request) {
+    return scheduledOrder(this.processingQueue, this.lastServedByGroup).indexOf(request) + 1;
   }
 
-  async processQueue() {
-    if (this.processingQueue.length === 0) {
-      this.isProcessing = false;
-      this.currentProcessingRequest = null;
-      return;
+  getRateLimitMessage(limit) {
+    const retryIn = formatDuration(limit.retryAfterMs);
+
+    if (limit.reason === 'quota') {
+      return limit.scope === 'group'
+        ? `*Daily limit reached for this group* (${limit.limit} requests).\n\nTry again in ${retryIn}.`
+        : `*You've reached your daily limit* (${limit.limit} requests).\n\nTry again in ${retryIn}.`;
     }
 
-    this.isProcessing = true;
-    const request = this.processingQueue[0];
-    this.currentProcessingRequest = request;
-    
-    console.log(`[QUEUE] Processing request. Group: ${request.groupName}, Remaining: ${this.processingQueue.length - 1}`);
+    return limit.scope === 'group'
+      ? `*This group is sending requests too quickly.*\n\nTry again in ${retryIn}.`
+      : `*You're sending requests too quickly.*\n\nTry again in ${retryIn}.`;
+  }
+
+  get isProcessing() {
+    return this.activeRequests.size > 0;
+  }
+
+  getInFlightByGroup() {
+    const inFlight = new Map();
+    for (const request of this.activeRequests.values()) {
+      inFlight.set(request.groupId, (inFlight.get(request.groupId) || 0) + 1);
+    }
+    return inFlight;
+  }
+
+  // Start as many pending requests as there are free workers
+  processQueue() {
+    while (this.activeRequests.size < this.queueWorkers) {
+      const request = pickNextRequest(
+        this.processingQueue,
+        this.getInFlightByGroup(),
+        this.lastServedByGroup,
+        this.perGroupLimit
+      );
+      if (!request) break;
+
+      this.processingQueue = this.processingQueue.filter(r => r.id !== request.id);
+      this.activeRequests.set(request.id, request);
+      this.lastServedByGroup.set(request.groupId, Date.now());
+      this.runRequest(request);
+      this.emitQueueUpdate();
+    }
+  }
+
+  async runRequest(request) {
+    request.startedAt = Date.now();
+    console.log(`[QUEUE] Processing request. Group: ${request.groupName}, Active: ${this.activeRequests.size}, Pending: ${this.processingQueue.length}`);
 
     try {
-      if (this.processingQueue.length > 1) {
+      if (request.notifiedQueued) {
         const startMessage = `*Starting to process your request...*\n\n` +
                             `_Please wait while I generate your response..._`;
         await request.message.reply(startMessage);
       }
 
-      await this.executeCommand(request.message, request.chat, request.prompt, request.isSearchCommand);
-      
-      this.processingQueue.shift();
-      this.currentProcessingRequest = null;
-      console.log(`[QUEUE] Request completed. Queue length: ${this.processingQueue.length}`);
+      await this.executeCommand(request.message, request.chat, request.prompt, request.commandType, {
+        bypassCache: request.bypassCache
+      });
+      this.processingTimes.record(Date.now() - request.startedAt);
+      console.log(`[QUEUE] Request completed in ${Date.now() - request.startedAt}ms. Pending: ${this.processingQueue.length}`);
       
     } catch (error) {
       console.error(`[QUEUE] Error processing request for group ${request.groupName}:`, error);
-      this.processingQueue.shift();
-      this.currentProcessingRequest = null;
+      this.recordFailedRequest(request, error);
       
       try {
-        await request.message.reply('Sorry, there was an error processing your request. Please try again.');
+        await request.message.reply(this.getErrorReply(error));
       } catch (replyError) {
         console.error('Failed to send error notification:', replyError);
       }
     } finally {
-      if (this.processingQueue.length > 0) {
-        setTimeout(() => this.processQueue(), 1000);
-      } else {
-        this.isProcessing = false;
-        this.currentProcessingRequest = null;
+      this.activeRequests.delete(request.id);
+      this.queueStore.remove(request.id);
+      this.emitQueueUpdate();
+      this.schedule(() => this.processQueue(), 1000);
+    }
+  }
+
+  recordFailedRequest(request, error) {
+    request.failedAt = Date.now();
+    request.error = error.message;
+    this.failedRequests.unshift(request);
+    this.failedRequests = this.failedRequests.slice(0, this.maxFailedRequests);
+  }
+
+  // Admin action: drop a pending request
+  async cancelRequest(id) {
+    const request = this.processingQueue.find(r => r.id === id);
+    if (!request) return false;
+
+    this.processingQueue = this.processingQueue.filter(r => r.id !== id);
+    await this.queueStore.remove(id);
+    console.log(`[QUEUE] Request ${id} cancelled by admin`);
+
+    try {
+      await request.message.reply('Your request was cancelled by an admin.');
+    } catch (error) {
+      console.error('[QUEUE] Failed to send cancellation notice:', error);
+    }
+
+    this.emitQueueUpdate();
+    return true;
+  }
+
+  // Admin action: start this request before any other waiting request
+  prioritizeRequest(id) {
+    const request = this.processingQueue.find(r => r.id === id);
+    if (!request) return false;
+
+    request.prioritized = true;
+    this.processingQueue = [request, ...this.processingQueue.filter(r => r.id !== id)];
+    console.log(`[QUEUE] Request ${id} moved to the front by admin`);
+
+    this.emitQueueUpdate();
+    return true;
+  }
+
+  // Admin action: put a failed request back at the front of the queue
+  async retryRequest(id) {
+    const request = this.failedRequests.find(r => r.id === id);
+    if (!request || !this.client) return false;
+
+    this.failedRequests = this.failedRequests.filter(r => r.id !== id);
+    delete request.failedAt;
+    delete request.error;
+    request.prioritized = true;
+    request.notifiedQueued = true;
+
+    this.processingQueue.unshift(request);
+    await this.queueStore.add(request);
+    console.log(`[QUEUE] Retrying failed request ${id}`);
+
+    this.processQueue();
+    this.emitQueueUpdate();
+    return true;
+  }
+
+  getQueueSnapshot() {
+    const describe = (request) => ({
+      id: request.id,
+      groupId: request.groupId,
+      groupName: request.groupName,
+      senderId: request.senderId,
+      senderName: request.senderName,
+      commandType: request.commandType,
+      promptPreview: request.prompt.length > 80 ? `${request.prompt.substring(0, 80)}...` : request.prompt,
+      enqueuedAt: request.timestamp,
+      startedAt: request.startedAt || null,
+      failedAt: request.failedAt || null,
+      error: request.error || null,
+      prioritized: !!request.prioritized
+    });
+
+    return {
+      pending: scheduledOrder(this.processingQueue, this.lastServedByGroup).map(describe),
+      active: Array.from(this.activeRequests.values()).map(describe),
+      failed: this.failedRequests.map(describe),
+      workers: this.queueWorkers,
+      averageProcessingMs: Math.round(this.processingTimes.average())
+    };
+  }
+
+  emitQueueUpdate() {
+    this.emitToAllSockets('queue-updated', this.getQueueSnapshot());
+  }
+
+  // Rebuild the in-memory queue from persisted requests once the client is ready again
+  async resumePersistedQueue() {
+    const rows = await this.queueStore.loadPending();
+    if (rows.length === 0) return;
+
+    const queuedIds = new Set([...this.processingQueue.map(r => r.id), ...this.activeRequests.keys()]);
+    let resumed = 0;
+    let expired = 0;
+
+    for (const row of rows) {
+      if (queuedIds.has(row.id)) continue;
+
+      let message = null;
+      try {
+        message = await this.client.getMessageById(row.message_id);
+      } catch (error) {
+        console.error(`[QUEUE] Could not fetch message ${row.message_id}:`, error);
+      }
+
+      if (!message) {
+        console.log(`[QUEUE] Dropping request ${row.id}: original message no longer available`);
+        await this.queueStore.remove(row.id);
+        continue;
       }
+
+      const enqueuedAt = new Date(row.enqueued_at).getTime();
+      if (Date.now() - enqueuedAt > this.requestTtlMs) {
+        try {
+          await message.reply('Sorry, I couldn\'t get to your request before it expired while the bot was offline. Please send it again.');
+        } catch (error) {
+          console.error('[QUEUE] Failed to send expiry apology:', error);
+        }
+        await this.queueStore.remove(row.id);
+        expired++;
+        continue;
+      }
+
+      const chat = await message.getChat();
+      this.processingQueue.push({
+        id: row.id,
+        message,
+        chat,
+        prompt: row.prompt,
+        commandType: row.command_type,
+        timestamp: enqueuedAt,
+        groupId: row.group_id,
+        groupName: chat.name,
+        messageId: row.message_id,
+        senderId: row.sender_id,
+        senderName: message._data?.notifyName || row.sender_id.split('@')[0],
+        bypassCache: Boolean(row.bypass_cache)
+      });
+      resumed++;
+    }
+
+    console.log(`[QUEUE] Resumed ${resumed} persisted requests, skipped ${expired} expired`);
+
+    if (resumed > 0) {
+      this.processQueue();
+      this.emitQueueUpdate();
     }
   }
 
-  async executeCommand(message, chat, prompt, isSearchCommand) {
+  async executeCommand(message, chat, prompt, commandType, options = {}) {
     console.log(`[EXECUTE] Processing command: "${prompt.substring(0, 50)}..."`);
     
     try {
-      const waMessages = await chat.fetchMessages({ limit: 50 });
       const metadata = await chat.groupMetadata;
       if (!metadata || !metadata.participants) {
         console.log(`[EXECUTE] No group metadata available.`);
@@ -481,22 +814,20 @@ class BotManager {
         }
       }
 
-      const formattedMessages = [];
-      for (const msg of waMessages) {
-        if (!msg.body || msg.fromMe) continue;
-        const senderId = msg.author || msg.from;
-        const userName = participantMap.get(senderId) || senderId.split('@')[0];
-        formattedMessages.push({
-          timestamp: new Date(msg.timestamp * 1000).toISOString().slice(0, 19).replace('T', ' '),
-          user: userName,
-          message: msg.body.substring(0, 300),
-          group_name: chat.name,
-        });
+      const settings = this.getGroupSettings(chat.id._serialized);
+      let currentMessages = await this.getContextFromHistory(chat, settings, participantMap);
+      if (currentMessages.length === 0) {
+        console.log(`[EXECUTE] No recorded history for this group yet, using recent chat messages`);
+        currentMessages = await this.getContextFromChat(chat, settings, participantMap);
       }
 
-      formattedMessages.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
-      const currentMessages = formattedMessages.slice(-30);
-      const newMessages = this.getNewMessagesFromMemory(chat.id._serialized, currentMessages);
+      const { newMessages, lastMessageId } = this.getNewMessagesFromMemory(chat.id._serialized, currentMessages);
+
+      const thread = await this.findThreadForMessage(message);
+      const threadTurns = thread ? await this.threadStore.getTurns(thread.thread_id, this.maxThreadTurns) : [];
+      if (thread) {
+        console.log(`[EXECUTE] Follow-up in thread ${thread.thread_id} with ${threadTurns.length} earlier turns`);
+      }
 
       console.log(`[EXECUTE] Using ${newMessages.length} new messages (from ${currentMessages.length} total) for context`);
 
@@ -505,68 +836,213 @@ class BotManager {
       const displayName = contact.pushname || contact.verifiedName || contact.number || phoneNumber;
       const senderFormatted = `${phoneNumber} (${displayName})`;
 
+      const payload = {
+        messages: newMessages,
+        prompt: prompt,
+        groupName: chat.name,
+        sender: senderFormatted,
+        timestamp: new Date().toISOString(),
+        totalMessageCount: currentMessages.length,
+        newMessageCount: newMessages.length,
+        lastMessageId,
+        conversationHistory: threadTurns.map(turn => ({ prompt: turn.prompt, answer: turn.answer }))
+      };
+
+      const { provider, model } = this.getAIProvider(settings);
+      const { key: cacheKey, cached } = await this.replyCache.lookup({
+        groupId: chat.id._serialized,
+        commandType,
+        provider: provider.name,
+        model,
+        prompt,
+        messages: currentMessages,
+        conversationHistory: payload.conversationHistory
+      }, { enabled: settings.replyCacheEnabled, bypass: options.bypassCache });
+
       let response;
-      if (isSearchCommand) {
-        response = await this.callExternalAPISearch({
-          messages: newMessages,
-          prompt: prompt,
-          groupName: chat.name,
-          sender: senderFormatted,
-          timestamp: new Date().toISOString(),
-          totalMessageCount: currentMessages.length,
-          newMessageCount: newMessages.length
-        });
+      let sentMessages;
+      if (cached) {
+        console.log(`[EXECUTE] Answering from the reply cache (cached ${formatDuration(Date.now() - cached.cachedAt)} ago)`);
+        response = cached.answer;
+        const note = cachedReplyNote(cached, { prefix: settings.prefixes[0], commandType });
+        sentMessages = await new ProgressiveReply(message, chat, { ...this.replyStreaming, mode: 'none' })
+          .finish(response + note);
       } else {
-        response = await this.callExternalAPI({
-          messages: newMessages,
-          prompt: prompt,
-          groupName: chat.name,
-          sender: senderFormatted,
-          timestamp: new Date().toISOString(),
-          totalMessageCount: currentMessages.length,
-          newMessageCount: newMessages.length
+        const streaming = provider.supportsStreaming && this.replyStreaming.mode !== 'none';
+        const progressive = new ProgressiveReply(message, chat, {
+          ...this.replyStreaming,
+          mode: streaming ? this.replyStreaming.mode : 'none'
+        });
+        await progressive.start();
+
+        try {
+          response = await this.callAIProvider(payload, settings, commandType, streaming ? progressive : null);
+        } catch (error) {
+          await progressive.fail();
+          throw error;
+        }
+
+        console.log(`[EXECUTE] API response received`);
+        sentMessages = await progressive.finish(response);
+
+        await this.replyCache.remember(cacheKey, response, settings.replyCacheTtlMinutes);
+      }
+      console.log(`[EXECUTE] Reply sent successfully in ${sentMessages.length} message(s).`);
+
+      if (sentMessages.length > 0) {
+        await this.threadStore.record({
+          replyMessageIds: sentMessages.map(msg => msg.id._serialized),
+          threadId: thread ? thread.thread_id : randomUUID(),
+          groupId: chat.id._serialized,
+          prompt,
+          answer: response,
+          commandType
         });
       }
-      
-      console.log(`[EXECUTE] API response received`);
-      await message.reply(response);
-      console.log(`[EXECUTE] Reply sent successfully.`);
 
     } catch (error) {
       console.error(`[EXECUTE] Error in executeCommand:`, error);
-      try {
-        await message.reply('Sorry, there was an error processing your request. Please try again.');
-      } catch (replyError) {
-        console.error('Failed to send error reply:', replyError);
-      }
+      throw error;
     }
   }
 
-  getNewMessagesFromMemory(groupId, currentMessages) {
-    const cachedMessages = this.groupCaches.get(groupId) || [];
-    
-    if (cachedMessages.length === 0) {
-      const messagesToCache = currentMessages.slice(-this.maxCachedMessages);
-      this.groupCaches.set(groupId, messagesToCache);
-      return currentMessages;
+  // If the message is a reply to one of the bot's answers, the thread that answer belongs to
+  async findThreadForMessage(message) {
+    if (!message.hasQuotedMsg) return null;
+
+    try {
+      const quoted = await message.getQuotedMessage();
+      if (!quoted || !quoted.fromMe) return null;
+      return await this.threadStore.findByReplyId(quoted.id._serialized);
+    } catch (error) {
+      console.error('[THREAD] Failed to resolve quoted message:', error);
+      return null;
+    }
+  }
+
+  formatContextMessage(entry, chat, participantMap, settings) {
+    const resolveName = (id, fallback) => participantMap.get(id) || fallback || id.split('@')[0];
+    const text = [describeMedia(entry.mediaType, entry.filename), entry.body].filter(Boolean).join(' ');
+
+    const formatted = {
+      message_id: entry.id,
+      timestamp: new Date(entry.timestamp).toISOString().slice(0, 19).replace('T', ' '),
+      user: resolveName(entry.senderId, entry.senderName),
+      message: text.substring(0, settings.maxMessageLength),
+      group_name: chat.name,
+    };
+
+    if (entry.mediaType) {
+      formatted.media = {
+        type: entry.mediaType,
+        filename: entry.filename,
+        mimetype: entry.mimetype,
+        url: entry.mediaUrl || null
+      };
     }
 
-    const cachedMessageMap = new Map();
-    cachedMessages.forEach(msg => {
-      const key = `${msg.timestamp}_${msg.user}_${msg.message.substring(0, 50)}`;
-      cachedMessageMap.set(key, true);
+    if (entry.quoted && settings.maxQuotedLength > 0) {
+      formatted.reply_to = {
+        message_id: entry.quoted.id,
+        user: entry.quoted.fromMe ? 'Bot' : resolveName(entry.quoted.senderId),
+        message: entry.quoted.body.substring(0, settings.maxQuotedLength)
+      };
+    }
+
+    return formatted;
+  }
+
+  // Context window from the recorded history store
+  async getContextFromHistory(chat, settings, participantMap) {
+    const rows = await this.historyStore.getContext(chat.id._serialized, {
+      maxMessages: settings.contextMessages,
+      maxHours: settings.contextHours
     });
 
-    const newMessages = currentMessages.filter(msg => {
-      const key = `${msg.timestamp}_${msg.user}_${msg.message.substring(0, 50)}`;
-      return !cachedMessageMap.has(key);
+    return rows
+      .filter(row => row.body || row.media_type)
+      .map(row => this.formatContextMessage({
+        id: row.message_id,
+        timestamp: row.timestamp,
+        senderId: row.sender_id,
+        senderName: row.sender_name,
+        body: row.body || '',
+        mediaType: row.media_type,
+        filename: row.media_filename,
+        mimetype: row.media_mimetype,
+        mediaUrl: row.media_url,
+        quoted: row.quoted_message_id ? {
+          id: row.quoted_message_id,
+          senderId: row.quoted_sender_id,
+          fromMe: row.quoted_from_me,
+          body: row.quoted_body || ''
+        } : null
+      }, chat, participantMap, settings));
+  }
+
+  // Fallback for groups without recorded history: read recent messages straight from WhatsApp
+  async getContextFromChat(chat, settings, participantMap) {
+    const waMessages = await chat.fetchMessages({ limit: settings.contextMessages });
+    const cutoff = settings.contextHours > 0 ? Date.now() / 1000 - settings.contextHours * 60 * 60 : 0;
+
+    const formattedMessages = [];
+    for (const msg of waMessages) {
+      if ((!msg.body && !msg.hasMedia) || msg.fromMe || msg.timestamp < cutoff) continue;
+      const details = await extractMessageDetails(msg);
+      formattedMessages.push(this.formatContextMessage({
+        ...details,
+        id: msg.id._serialized,
+        timestamp: msg.timestamp * 1000,
+        senderId: msg.author || msg.from,
+        senderName: msg._data?.notifyName
+      }, chat, participantMap, settings));
+    }
+
+    formattedMessages.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    return formattedMessages;
+  }
+
+  async recordMessage(message, chat) {
+    if (message.fromMe || (!message.body && !message.hasMedia)) return;
+
+    const groupId = chat.id._serialized;
+    const details = await extractMessageDetails(message);
+
+    let mediaUrl = null;
+    if (message.hasMedia && this.mediaUpload.endpoint && this.getGroupSettings(groupId).uploadMedia) {
+      mediaUrl = await uploadMedia(message, {
+        endpoint: this.mediaUpload.endpoint,
+        maxBytes: this.mediaUpload.maxBytes,
+        groupId
+      });
+    }
+
+    const senderId = message.author || message.from;
+    await this.historyStore.record({
+      ...details,
+      messageId: message.id._serialized,
+      groupId,
+      senderId,
+      senderName: message._data?.notifyName || senderId.split('@')[0],
+      mediaUrl,
+      timestamp: message.timestamp
     });
+  }
 
-    const updatedCache = currentMessages.slice(-this.maxCachedMessages);
-    this.groupCaches.set(groupId, updatedCache);
+  // Split the context window into messages the AI has already seen and new ones, by WhatsApp message id
+  getNewMessagesFromMemory(groupId, currentMessages) {
+    const seenIds = this.groupCaches.get(groupId) || new Set();
+    const newMessages = currentMessages.filter(msg => !seenIds.has(msg.message_id));
 
-    console.log(`[CACHE] Group ${groupId}: ${cachedMessages.length} cached, ${currentMessages.length} current, ${newMessages.length} new messages`);
-    return newMessages;
+    // Only the current window matters: older ids can't show up in a later window again.
+    // Re-inserting keeps recently used groups at the end, which performMemoryCleanup preserves.
+    this.groupCaches.delete(groupId);
+    this.groupCaches.set(groupId, new Set(currentMessages.map(msg => msg.message_id)));
+
+    const lastMessageId = currentMessages.length > 0 ? currentMessages[currentMessages.length - 1].message_id : null;
+
+    console.log(`[CACHE] Group ${groupId}: ${seenIds.size} seen, ${currentMessages.length} current, ${newMessages.length} new messages`);
+    return { newMessages, lastMessageId };
   }
 
   getBotStatus() {
@@ -575,26 +1051,35 @@ class BotManager {
     return 'disconnected';
   }
 
+  // RemoteAuth unpacks the stored session into .wwebjs_auth/RemoteAuth-<clientId> while it starts
+  hasLocalSession() {
+    try {
+      return fs.existsSync(path.resolve('.wwebjs_auth', `RemoteAuth-${this.botId}`));
+    } catch (error) {
+      return false;
+    }
+  }
+
   async getSupabaseStatus() {
     try {
-      if (!this.supabaseStore) {
+      if (!this.sessionStore) {
         return {
           sessionsCount: 0,
           totalSizeMB: 0,
           lastCheck: new Date().toISOString(),
           status: 'store_not_initialized',
-          storageType: 'Supabase PostgreSQL'
+          storageType: null
         };
       }
 
-      const stats = await this.supabaseStore.getStorageStats();
+      const stats = await this.sessionStore.getStorageStats();
       
       return {
         sessionsCount: stats.sessionsCount,
         totalSizeMB: stats.totalSizeMB,
         lastCheck: stats.lastUpdated,
         status: 'connected',
-        storageType: 'Supabase PostgreSQL'
+        storageType: this.sessionStore.storageType
       };
     } catch (error) {
       return {
@@ -603,7 +1088,7 @@ class BotManager {
         lastCheck: new Date().toISOString(),
         status: 'error',
         error: error.message,
-        storageType: 'Supabase PostgreSQL'
+        storageType: this.sessionStore?.storageType || null
       };
     }
   }
@@ -613,7 +1098,7 @@ class BotManager {
       const { error } = await supabase
         .from('bot_settings')
         .upsert({
-          key: 'active_groups',
+          key: this.settingsKey('active_groups'),
           value: this.activeGroups,
         }, {
           onConflict: 'key'
@@ -632,7 +1117,7 @@ class BotManager {
       const { data, error } = await supabase
         .from('bot_settings')
         .select('value')
-        .eq('key', 'active_groups')
+        .eq('key', this.settingsKey('active_groups'))
         .single();
 
       if (error && error.code !== 'PGRST116') { // PGRST116 = no rows
@@ -655,6 +1140,116 @@ class BotManager {
     }
   }
 
+  async saveGroupSettingsToSupabase() {
+    try {
+      const { error } = await supabase
+        .from('bot_settings')
+        .upsert({
+          key: this.settingsKey('group_settings'),
+          value: this.groupSettings,
+        }, {
+          onConflict: 'key'
+        });
+
+      if (error) throw error;
+
+      console.log('Group settings saved to Supabase');
+    } catch (err) {
+      console.error('Failed to save group settings to Supabase:', err);
+    }
+  }
+
+  async loadGroupSettingsFromSupabase() {
+    try {
+      const { data, error } = await supabase
+        .from('bot_settings')
+        .select('value')
+        .eq('key', this.settingsKey('group_settings'))
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        console.error('Error loading group settings from Supabase:', error);
+        return;
+      }
+
+      const stored = data && data.value && typeof data.value === 'object' ? data.value : {};
+      this.groupSettings = {};
+      for (const [groupId, settings] of Object.entries(stored)) {
+        this.groupSettings[groupId] = normalizeGroupSettings(settings, this.commandRegistry.names());
+      }
+      console.log(`Group settings loaded from Supabase for ${Object.keys(this.groupSettings).length} groups`);
+
+      this.emitToAllSockets('group-settings-updated', { settings: this.groupSettings });
+    } catch (err) {
+      console.error('Failed to load group settings from Supabase:', err);
+      this.groupSettings = {};
+    }
+  }
+
+  async saveRateLimitsToSupabase() {
+    try {
+      const { error } = await supabase
+        .from('bot_settings')
+        .upsert({
+          key: this.settingsKey('rate_limits'),
+          value: this.rateLimits,
+        }, {
+          onConflict: 'key'
+        });
+
+      if (error) throw error;
+
+      console.log('Rate limits saved to Supabase:', this.rateLimits);
+    } catch (err) {
+      console.error('Failed to save rate limits to Supabase:', err);
+    }
+  }
+
+  async loadRateLimitsFromSupabase() {
+    try {
+      const { data, error } = await supabase
+        .from('bot_settings')
+        .select('value')
+        .eq('key', this.settingsKey('rate_limits'))
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        console.error('Error loading rate limits from Supabase:', error);
+        return;
+      }
+
+      this.rateLimits = normalizeRateLimits(data?.value || {});
+      this.rateLimiter.setLimits(this.rateLimits);
+      console.log('Rate limits loaded from Supabase:', this.rateLimits);
+
+      this.emitToAllSockets('rate-limits-updated', { limits: this.rateLimits });
+    } catch (err) {
+      console.error('Failed to load rate limits from Supabase:', err);
+    }
+  }
+
+  async setRateLimits(limits) {
+    this.rateLimits = normalizeRateLimits(limits);
+    this.rateLimiter.setLimits(this.rateLimits);
+    await this.saveRateLimitsToSupabase();
+    this.emitToAllSockets('rate-limits-updated', { limits: this.rateLimits });
+    console.log('✅ Updated rate limits:', this.rateLimits);
+    return this.rateLimits;
+  }
+
+  getGroupSettings(groupId) {
+    return this.groupSettings[groupId] || normalizeGroupSettings({}, this.commandRegistry.names());
+  }
+
+  async setGroupSettings(groupId, settings) {
+    const normalized = normalizeGroupSettings(settings, this.commandRegistry.names());
+    this.groupSettings[groupId] = normalized;
+    await this.saveGroupSettingsToSupabase();
+    this.emitToAllSockets('group-settings-updated', { settings: this.groupSettings });
+    console.log(`✅ Updated settings for group ${groupId}:`, normalized);
+    return normalized;
+  }
+
   ensureAllDirectories() {
     try {
       this.ensureDirectoryExists(this.authPath);
@@ -664,7 +1259,13 @@ class BotManager {
     }
   }
 
+  // bot_settings key for this bot; the default bot keeps the keys it had before multi-account support
+  settingsKey(name) {
+    return this.botId === DEFAULT_BOT_ID ? name : `${name}:${this.botId}`;
+  }
+
   async initializeBot() {
+    if (this.isShutDown) return;
     if (this.isInitializing) {
       console.log('Bot is already initializing...');
       return;
@@ -672,9 +1273,8 @@ class BotManager {
     this.isInitializing = true;
 
     try {
-      console.log('🔄 Initializing bot with Supabase RemoteAuth...');
-
-      this.supabaseStore = new SupabaseRemoteAuthStore('admin');
+      this.sessionStore = await createSessionStore(this.botId);
+      console.log(`🔄 Initializing bot with RemoteAuth (${this.sessionStore.storageType})...`);
       
       if (await this.shouldForceQR()) {
         console.log('🔄 Forcing QR generation due to session recovery');
@@ -683,8 +1283,8 @@ class BotManager {
 
       this.client = new Client({
         authStrategy: new RemoteAuth({
-          clientId: 'admin',
-          store: this.supabaseStore,
+          clientId: this.botId,
+          store: this.sessionStore,
           backupSyncIntervalMs: 60000,
         }),
         puppeteer: {
@@ -762,6 +1362,7 @@ class BotManager {
 
     this.client.on('authenticated', () => {
       console.log('✅ Bot authenticated with RemoteAuth');
+      this.audit('authenticated', 'system', {}, 'bot');
       this.emitToAllSockets('bot-status', { 
         status: 'authenticated',
         retryCount: this.sessionRecovery.currentRetries,
@@ -784,9 +1385,11 @@ class BotManager {
       this.forceQR = false;
       this.sessionRecovery.currentRetries = 0;
       this.sessionRecovery.lastSessionTime = Date.now();
+      this.connectedAt = Date.now();
       
       this.currentQrCode = null;
       await this.loadActiveGroupsFromSupabase();
+      await this.resumePersistedQueue();
       
       try {
         await this.checkSupabaseStorage();
@@ -804,6 +1407,7 @@ class BotManager {
 
     this.client.on('auth_failure', (error) => {
       console.error('❌ Bot auth failed:', error);
+      this.audit('auth_failure', 'system', { error: String(error) }, 'bot');
       this.emitToAllSockets('bot-error', { 
         error: 'Authentication failed',
         retryCount: this.sessionRecovery.currentRetries,
@@ -814,6 +1418,7 @@ class BotManager {
 
     this.client.on('disconnected', async (reason) => {
       console.log('🔌 Bot disconnected:', reason);
+      this.audit('disconnected', 'system', { reason: String(reason) }, 'bot');
       this.emitToAllSockets('bot-status', { 
         status: 'disconnected',
         reason: reason,
@@ -821,15 +1426,16 @@ class BotManager {
         maxRetries: this.sessionRecovery.maxRetries
       });
       this.client = null;
-      this.isProcessing = false;
+      this.connectedAt = null;
       
       this.groupsCache.data = [];
       this.groupsCache.lastUpdated = 0;
+      // Pending requests stay in the queue store and are resumed on the next 'ready'
       this.processingQueue = [];
-      this.currentProcessingRequest = null;
       this.groupCaches.clear();
+      this.emitQueueUpdate();
       
-      setTimeout(async () => {
+      this.schedule(async () => {
         console.log('🔄 Attempting to restore session via RemoteAuth...');
         this.initializeBot();
       }, 5000);
@@ -838,6 +1444,14 @@ class BotManager {
     this.client.on('message', async (message) => {
       await this.handleMessage(message);
     });
+
+    this.client.on('message_ack', async (message, ack) => {
+      try {
+        await this.outboundQueue.handleAck(message, ack);
+      } catch (error) {
+        console.error('[OUTBOUND] Error handling message ack:', error);
+      }
+    });
   }
 
   stopBot() {
@@ -849,22 +1463,48 @@ class BotManager {
     }
     
     this.isInitializing = false;
+    this.connectedAt = null;
+    // Pending requests stay in the queue store and are resumed on the next 'ready'
     this.processingQueue = [];
-    this.isProcessing = false;
-    this.currentProcessingRequest = null;
     this.groupCaches.clear();
     this.sessionRecovery.currentRetries = 0;
+    this.emitQueueUpdate();
     
     console.log('✅ Bot stopped and memory cleaned up');
   }
 
-  setActiveGroups(groups) {
+  // Stop the client and every timer; used when the bot is removed from the registry
+  shutdown() {
+    this.isShutDown = true;
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+    this.timeouts.forEach(timeout => clearTimeout(timeout));
+    this.timeouts.clear();
+    this.digestScheduler.stop();
+    this.outboundQueue.stop();
+    this.stopBot();
+    this.socketConnections = [];
+  }
+
+  setActiveGroups(groups, actor = 'system') {
+    const added = groups.filter(groupId => !this.activeGroups.includes(groupId));
+    const removed = this.activeGroups.filter(groupId => !groups.includes(groupId));
+    if (added.length > 0 || removed.length > 0) {
+      this.audit('set-active-groups', actor, { added, removed });
+    }
+
     this.activeGroups = groups;
     this.saveActiveGroupsToSupabase();
     this.emitToAllSockets('active-groups-updated', { groups: groups });
     console.log('✅ Set active groups:', groups);
   }
 
+  // Fire-and-forget: a failed audit write is logged but never blocks the action itself
+  audit(action, actor, details = {}, category = 'admin') {
+    console.log(`[AUDIT] ${actor}: ${action}`, Object.keys(details).length > 0 ? details : '');
+    this.auditStore.record({ action, actor, category, botId: this.botId, details });
+  }
+
   async handleMessage(message) {
     try {
       if (this.activeGroups.length === 0) return;
@@ -874,124 +1514,171 @@ class BotManager {
       
       if (!this.activeGroups.includes(chat.id._serialized)) return;
 
+      this.recordMessage(message, chat)
+        .catch(error => console.error('[HISTORY] Error recording message:', error));
+
       const messageTimestamp = message.timestamp;
       const twoMinutesAgo = Date.now() / 1000 - 120;
       if (messageTimestamp < twoMinutesAgo) return;
 
-      const messageText = message.body;
+      const settings = this.getGroupSettings(chat.id._serialized);
+      const match = this.commandRegistry.match(message.body, settings);
       
-      if (this.isBotCommand(messageText)) {
-        const isSearchCommand = messageText.toLowerCase().includes('!ai_search');
-        const prompt = this.extractPrompt(message.body, isSearchCommand);
-        
-        if (!prompt) return;
+      if (match) {
+        await this.runCommand(match, message, chat, settings);
+        return;
+      }
+
+      // A plain reply to one of the bot's answers continues that conversation
+      const prompt = message.body.trim();
+      if (!prompt) return;
 
-        await this.addToQueue(message, chat, prompt, isSearchCommand);
+      const thread = await this.findThreadForMessage(message);
+      if (thread && settings.enabledCommands.includes(thread.command_type)) {
+        console.log(`[THREAD] Follow-up in group: ${chat.name}`);
+        await this.addToQueue(message, chat, prompt, thread.command_type);
       }
     } catch (error) {
       console.error('Error in handleMessage:', error);
     }
   }
 
-  isBotCommand(messageText) {
-    const commands = ['!bot', '!ai', '@bot', 'bot,', '!ai_search'];
-    return commands.some(cmd => messageText.toLowerCase().includes(cmd));
+  async runCommand(match, message, chat, settings) {
+    const { command, args } = match;
+    // Legacy triggers have no prefix; replies (usage, help) show the group's first one instead
+    const prefix = match.legacy ? settings.prefixes[0] : match.prefix;
+    if (match.legacy) {
+      console.warn(`[COMMAND] Deprecated trigger "${match.trigger}" used in group: ${chat.name} - use ${prefix}${command.name} instead`);
+    }
+    console.log(`[COMMAND] ${prefix}${command.name} in group: ${chat.name}`);
+
+    try {
+      await command.handler({
+        botManager: this,
+        registry: this.commandRegistry,
+        message,
+        chat,
+        args,
+        command,
+        prefix,
+        force: match.force,
+        settings
+      });
+    } catch (error) {
+      console.error(`[COMMAND] Error running ${command.name}:`, error);
+      try {
+        await message.reply('Sorry, there was an error running that command. Please try again.');
+      } catch (replyError) {
+        console.error('Failed to send command error reply:', replyError);
+      }
+    }
   }
 
-  async callExternalAPI(payload) {
-    const apiUrl = process.env.API_ENDPOINT;
-    const generateEndpoint = `${apiUrl}/generate_real_time`;
-    
-    console.log(`[API] Calling: ${generateEndpoint}`);
-    console.log(`[API] Sending ${payload.messages.length} messages`);
+  emitOutboundUpdate() {
+    this.emitToAllSockets('outbound-updated', { messages: this.outboundQueue.list() });
+  }
 
-    try {
-      const response = await axios.post(
-        generateEndpoint,
-        {
-          messages: payload.messages,
-          prompt: payload.prompt,
-          group_name: payload.groupName,
-          cache_info: {
-            total_messages: payload.totalMessageCount,
-            new_messages: payload.newMessageCount,
-            has_cached_context: payload.totalMessageCount > payload.newMessageCount
-          }
-        },
-        {
-          timeout: 10 * 60 * 1000,
-          headers: { 'Content-Type': 'application/json' },
-        }
-      );
+  emitDigestUpdate() {
+    this.emitToAllSockets('digests-updated', { schedules: this.digestScheduler.list() });
+  }
 
-      const data = response.data;
-      return (
-        data.response ||
-        data.answer ||
-        data.text ||
-        'I received your message but cannot generate a response right now.'
-      );
+  // Provider and model for a group, falling back to the server default
+  getAIProvider(settings) {
+    const provider = this.aiProviders.get(settings.aiProvider) || this.aiProviders.get(this.defaultAIProvider);
+    return { provider, model: settings.aiModel || provider.defaultModel };
+  }
 
-    } catch (error) {
-      console.error('API call failed:', error.message);
-      return 'Sorry, there was an error processing your request. Please try again later.';
+  describeAIProviders() {
+    return {
+      defaultProvider: this.defaultAIProvider,
+      providers: Array.from(this.aiProviders.values()).map(provider => ({
+        name: provider.name,
+        label: provider.label,
+        defaultModel: provider.defaultModel,
+        supportsSearch: provider.supportsSearch,
+        supportsStreaming: provider.supportsStreaming
+      }))
+    };
+  }
+
+  getCircuitBreaker(name) {
+    if (!this.circuitBreakers.has(name)) {
+      this.circuitBreakers.set(name, new CircuitBreaker(name, this.breakerOptions, () => this.emitCircuitBreakers()));
     }
+    return this.circuitBreakers.get(name);
   }
 
-  async callExternalAPISearch(payload) {
-    const apiUrl = process.env.API_ENDPOINT;
-    const generateEndpoint = `${apiUrl}/generate_realtime_search`;
+  getCircuitBreakerStates() {
+    return Array.from(this.circuitBreakers.values()).map(breaker => breaker.describe());
+  }
 
-    console.log(`[API-SEARCH] Calling: ${generateEndpoint}`);
+  emitCircuitBreakers() {
+    this.emitToAllSockets('circuit-breakers-updated', { breakers: this.getCircuitBreakerStates() });
+  }
 
-    try {
-      const response = await axios.post(
-        generateEndpoint,
-        {
-          messages: payload.messages,
-          prompt: payload.prompt,
-          group_name: payload.groupName,
-          enable_search: true,
-          max_search_results: 3,
-          cache_info: {
-            total_messages: payload.totalMessageCount,
-            new_messages: payload.newMessageCount,
-            has_cached_context: payload.totalMessageCount > payload.newMessageCount
-          }
-        },
-        {
-          timeout: 10 * 60 * 1000,
-          headers: { 'Content-Type': 'application/json' },
-        }
-      );
+  // Admin action: let calls through again without waiting for the reset timeout
+  resetCircuitBreaker(name) {
+    const breaker = this.circuitBreakers.get(name);
+    if (!breaker) return false;
+    breaker.reset();
+    this.emitCircuitBreakers();
+    return true;
+  }
 
-      const data = response.data;
-      
-      let responseText = data.response ||
-        data.answer ||
-        data.text ||
-        'I received your message but cannot generate a response right now.';
-      
-      if (data.search_info && data.search_info.search_query) {
-        responseText += `\n\n*Search Info:* Queried "${data.search_info.search_query}"`;
-        if (data.search_info.articles_found) {
-          responseText += `, found ${data.search_info.articles_found} articles`;
+  // `stream` (a ProgressiveReply) receives the answer as it is generated
+  async callAIProvider(payload, settings, commandType, stream = null) {
+    const { provider, model } = this.getAIProvider(settings);
+    console.log(`[AI] ${provider.name}${model ? ` (${model})` : ''}: sending ${payload.messages.length} messages`);
+
+    if (commandType === 'ai_search') {
+      if (!provider.supportsSearch) {
+        console.log(`[AI] Provider ${provider.name} has no web search, answering without it`);
+      } else {
+        try {
+          return await this.generateWithRetry(provider, `${provider.name}:search`, payload, { model, search: true }, stream);
+        } catch (error) {
+          // A rejected request (other than a missing endpoint) would fail the same way without search
+          if (error.kind === 'client' && error.response?.status !== 404) throw error;
+          if (stream && !(await stream.canRestart())) throw error;
+          console.log(`[AI] Search unavailable (${error.kind}), falling back to plain generation`);
+          const answer = await this.generateWithRetry(provider, provider.name, payload, { model, search: false }, stream);
+          return `${answer}\n\n_Web search is unavailable right now, so this answer doesn't include search results._`;
         }
       }
-      
-      return responseText;
-
-    } catch (error) {
-      console.error('Search API call failed:', error.message);
-      return 'Sorry, the search request failed. Please try again later or use !ai for a faster response.';
     }
+
+    return this.generateWithRetry(provider, provider.name, payload, { model, search: false }, stream);
+  }
+
+  // Every attempt streams from the start, so the stream is reset first; once text was delivered
+  // that can't be taken back, the failure is final
+  generateWithRetry(provider, breakerName, payload, options, stream = null) {
+    return callWithRetry(
+      async () => {
+        if (stream) await stream.restart();
+        return provider.generate(payload, { ...options, onText: stream ? text => stream.update(text) : null });
+      },
+      {
+        breaker: this.getCircuitBreaker(breakerName),
+        ...this.retryPolicy,
+        canRetry: stream ? () => stream.canRestart() : null
+      }
+    );
   }
 
-  extractPrompt(messageText, isSearchCommand = false) {
-    if (isSearchCommand) {
-      return messageText.replace(/(!ai_search)\s*/i, '').trim();
-    } else {
-      return messageText.replace(/(!bot|!ai|@bot|bot,)\s*/i, '').trim();
+  // What to tell the user when a request failed for good
+  getErrorReply(error) {
+    switch (error.kind) {
+      case 'circuit_open':
+        return `The AI service is temporarily unavailable after repeated errors. Please try again in ${formatDuration(error.retryAfterMs)}.`;
+      case 'timeout':
+        return 'The AI service took too long to respond. Please try again later.';
+      case 'rate_limited':
+        return 'The AI service is busy right now. Please try again in a few minutes.';
+      case 'client':
+        return 'The AI service couldn\'t handle this request. Try rephrasing it or check the group\'s AI settings.';
+      default:
+        return 'Sorry, there was an error processing your request. Please try again.';
     }
   }
 
@@ -1003,8 +1690,8 @@ class BotManager {
 
   async clearSession() {
     try {
-      if (this.supabaseStore) {
-        await this.supabaseStore.delete({ session: 'RemoteAuth-admin' });
+      if (this.sessionStore) {
+        await this.sessionStore.delete({ session: `RemoteAuth-${this.botId}` });
         console.log('✅ Session cleared from Supabase');
       }
       
@@ -1036,7 +1723,7 @@ class BotManager {
     this.isInitializing = false;
     this.isWaitingForSession = false;
     
-    setTimeout(() => {
+    this.schedule(() => {
       console.log('🔄 Reinitializing bot for QR generation...');
       this.initializeBot();
     }, 2000);
@@ -1044,51 +1731,97 @@ class BotManager {
     return true;
   }
 
-  async manualPurgeSessions(fullPurge = false) {
-    console.log(`🔧 Manual Supabase purge requested (full: ${fullPurge})`);
-    return await this.purgeSupabaseSessions(fullPurge);
+  // Reconnect with the stored session, unlike forceQRGeneration which discards it
+  async forceRetryConnection() {
+    console.log('🔄 Force retry connection requested...');
+
+    if (this.client) {
+      try {
+        await this.client.destroy();
+        console.log('✅ Client destroyed');
+      } catch (error) {
+        console.error('Error destroying client:', error);
+      }
+      this.client = null;
+    }
+
+    this.isInitializing = false;
+    this.isWaitingForSession = false;
+    this.sessionRecovery.currentRetries = 0;
+    this.connectedAt = null;
+
+    await this.initializeBot();
   }
 
-  async purgeSupabaseSessions(fullPurge = false) {
+  async manualPurgeSessions(fullPurge = false, maxAgeHours = 24) {
+    console.log(`🔧 Manual session purge requested (full: ${fullPurge})`);
+    return await this.purgeSupabaseSessions(fullPurge, maxAgeHours);
+  }
+
+  // The session store exists once the bot has been initialized; a stopped bot's sessions can still be managed
+  async getSessionStore() {
+    if (!this.sessionStore) {
+      this.sessionStore = await createSessionStore(this.botId);
+    }
+    return this.sessionStore;
+  }
+
+  async purgeSupabaseSessions(fullPurge = false, maxAgeHours = 24) {
     try {
-      console.log('🧹 Purging Supabase sessions...');
-      
-      if (!this.supabaseStore) {
-        return { success: false, error: 'Supabase store not initialized' };
-      }
+      const store = await this.getSessionStore();
+      console.log(`🧹 Purging sessions from ${store.storageType}...`);
       
       if (fullPurge) {
-        const sessions = await this.supabaseStore.list();
+        // RemoteAuth backs the session up on a timer, so a running client would write it straight back
+        const wasRunning = Boolean(this.client);
+        if (wasRunning) {
+          console.log('🛑 Stopping the client before purging its sessions...');
+          try {
+            await this.client.destroy();
+          } catch (error) {
+            console.error('Error destroying client:', error);
+          }
+          this.client = null;
+          this.stopBot();
+        }
+        // The copy RemoteAuth unpacked would otherwise still report the session as present
+        await fs.remove(path.resolve('.wwebjs_auth', `RemoteAuth-${this.botId}`));
+
+        const sessions = await store.list();
         let deletedCount = 0;
         
         for (const session of sessions) {
-          const baseSession = session.id.replace('admin-', '');
-          await this.supabaseStore.delete({ session: baseSession });
+          const baseSession = session.id.replace(`${this.botId}-`, '');
+          await store.delete({ session: baseSession });
           deletedCount++;
         }
         
         this.supabaseMonitor.lastPurgeTime = Date.now();
+        if (wasRunning) {
+          this.emitToAllSockets('bot-status', { status: 'disconnected', reason: 'sessions purged' });
+        }
         
         return {
           success: true,
           deletedCount,
-          message: `Deleted ${deletedCount} sessions from Supabase`,
+          stopped: wasRunning,
+          message: `Deleted ${deletedCount} sessions from ${store.storageType}${wasRunning ? ' and stopped the bot - start it to link with a QR code' : ''}`,
           forceFullPurge: true
         };
       } else {
-        const deletedCount = await this.supabaseStore.cleanupOldSessions(24);
+        const deletedCount = await store.cleanupOldSessions(maxAgeHours);
         
         this.supabaseMonitor.lastPurgeTime = Date.now();
         
         return {
           success: true,
           deletedCount,
-          message: `Cleaned up ${deletedCount} old sessions`,
+          message: `Cleaned up ${deletedCount} sessions not used in ${maxAgeHours} hours`,
           forceFullPurge: false
         };
       }
     } catch (error) {
-      console.error('❌ Error purging Supabase sessions:', error);
+      console.error('❌ Error purging sessions:', error);
       return {
         success: false,
         error: error.message,
@@ -1098,6 +1831,95 @@ class BotManager {
     }
   }
 
+  // Stored sessions of this bot, for the dashboard's session panel
+  async getStoredSessions() {
+    const store = await this.getSessionStore();
+    const currentSessionId = `${this.botId}-RemoteAuth-${this.botId}`;
+    const toTime = (value) => value ? new Date(value).getTime() : null;
+
+    const [rows, stats] = await Promise.all([store.list(), store.getStorageStats()]);
+    return {
+      botId: this.botId,
+      storageType: store.storageType,
+      stats,
+      sessions: rows.map(row => ({
+        id: row.id,
+        current: row.id === currentSessionId,
+        sizeBytes: row.total_size || 0,
+        chunks: row.chunks_count ?? null,
+        version: row.version ?? null,
+        encryptionKeyId: row.encryption_key_id ?? null,
+        lastAccessed: toTime(row.last_accessed),
+        updatedAt: toTime(row.updated_at)
+      }))
+    };
+  }
+
+  // Backup file of the stored session. The data stays as stored, so it is only as readable
+  // as the store itself: an encrypted session needs the same key to be imported again.
+  async exportSessionBackup() {
+    try {
+      const store = await this.getSessionStore();
+      const sessionId = `${this.botId}-RemoteAuth-${this.botId}`;
+
+      const storedData = await store.readStoredData(sessionId);
+      if (!storedData) {
+        return { success: false, error: 'No usable session is stored for this bot' };
+      }
+
+      return {
+        success: true,
+        backup: {
+          format: SESSION_BACKUP_FORMAT,
+          botId: this.botId,
+          sessionId,
+          exportedAt: new Date().toISOString(),
+          encryptionKeyId: store.cipher.keyIdOf(storedData),
+          checksum: createHash('sha256').update(storedData).digest('hex'),
+          size: storedData.length,
+          data: storedData.toString('base64')
+        }
+      };
+    } catch (error) {
+      console.error('❌ Error exporting session backup:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Replaces this bot's stored session with a backup, possibly exported from another bot.
+  // The running client keeps its current session until the bot is restarted.
+  async importSessionBackup(backup) {
+    try {
+      if (backup?.format !== SESSION_BACKUP_FORMAT || typeof backup.data !== 'string' || typeof backup.sessionId !== 'string') {
+        return { success: false, error: 'Not a session backup file' };
+      }
+
+      const storedData = Buffer.from(backup.data, 'base64');
+      if (createHash('sha256').update(storedData).digest('hex') !== backup.checksum) {
+        return { success: false, error: 'Backup file is damaged (checksum mismatch)' };
+      }
+
+      const store = await this.getSessionStore();
+      let sessionData;
+      try {
+        // Encrypted backups are bound to the session they were exported from
+        sessionData = store.cipher.open(storedData, backup.sessionId);
+      } catch (error) {
+        if (!(error instanceof SessionIntegrityError)) throw error;
+        return { success: false, error: error.message };
+      }
+
+      const sessionId = `${this.botId}-RemoteAuth-${this.botId}`;
+      await store.writeSessionData(sessionId, sessionData);
+      console.log(`✅ Imported session backup of ${backup.sessionId} as ${sessionId}`);
+
+      return { success: true, sessionId, size: sessionData.length };
+    } catch (error) {
+      console.error('❌ Error importing session backup:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   getSessionRecoveryStatus() {
     return {
       currentRetries: this.sessionRecovery.currentRetries,
@@ -1114,9 +1936,15 @@ class BotManager {
       qrCode: this.currentQrCode,
       recoveryStatus: this.getSessionRecoveryStatus(),
       supabase: this.getSupabaseStatus(),
+      uptime: this.connectedAt ? Date.now() - this.connectedAt : 0,
       activeGroupsCount: this.activeGroups.length,
       queueLength: this.processingQueue.length,
+      activeRequests: this.activeRequests.size,
       isProcessing: this.isProcessing,
+      queueWorkers: this.queueWorkers,
+      averageProcessingMs: Math.round(this.processingTimes.average()),
+      replyCache: this.replyCache.getStats(),
+      circuitBreakers: this.getCircuitBreakerStates(),
       memoryUsage: {
         heapUsed: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
         heapTotal: Math.round(process.memoryUsage().heapTotal / 1024 / 1024)
@@ -1136,6 +1964,11 @@ class BotManager {
     });
     
     this.emitToAllSockets('active-groups-updated', { groups: this.activeGroups });
+    this.emitToAllSockets('group-settings-updated', { settings: this.groupSettings });
+    socket.emit('queue-updated', { ...this.getQueueSnapshot(), botId: this.botId });
+    socket.emit('circuit-breakers-updated', { breakers: this.getCircuitBreakerStates(), botId: this.botId });
+    socket.emit('digests-updated', { schedules: this.digestScheduler.list(), botId: this.botId });
+    socket.emit('outbound-updated', { messages: this.outboundQueue.list(), botId: this.botId });
   }
 
   removeSocketConnection(socket) {
@@ -1143,10 +1976,20 @@ class BotManager {
     console.log('Socket connection removed. Total connections:', this.socketConnections.length);
   }
 
+  // Every event carries the bot id so the dashboard can ignore events from a bot it just switched away from
   emitToAllSockets(event, data) {
+    // A failing bot-list broadcast must never interrupt the client event that triggered it
+    if (event === 'bot-status' && this.onStatusChange) {
+      try {
+        this.onStatusChange(this);
+      } catch (error) {
+        console.error('Error broadcasting bot status change:', error);
+      }
+    }
+
     this.socketConnections.forEach(socket => {
       try {
-        socket.emit(event, data);
+        socket.emit(event, { ...data, botId: this.botId });
       } catch (error) {
         console.error('Error emitting to socket:', error);
       }
@@ -0,0 +1,175 @@
+// backend/src/botRegistry.js
+import { supabase } from './supabaseClient.js';
+import BotManager from './botManager.js';
+import { AuditStore } from './auditStore.js';
+import { DEFAULT_BOT_ID } from './utils.js';
+
+// Bot ids end up in session ids, settings keys and URLs, so keep them simple
+const BOT_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,31}$/;
+
+// Returns an error message, or null when the input can be used to add a bot
+export function validateBotInput(input) {
+  if (typeof input.id !== 'string' || !BOT_ID_PATTERN.test(input.id)) {
+    return 'id must be 2-32 lowercase letters, digits or dashes';
+  }
+  if (input.name !== undefined && (typeof input.name !== 'string' || input.name.length > 60)) {
+    return 'name must be a string of at most 60 characters';
+  }
+  return null;
+}
+
+// Runs one BotManager per WhatsApp account. The list of extra bots is kept in bot_settings
+// under the 'bots' key; the default bot always exists and cannot be removed.
+export class BotRegistry {
+  constructor() {
+    this.bots = new Map();
+    this.socketConnections = [];
+    this.auditStore = new AuditStore();
+
+    this.createBot({ id: DEFAULT_BOT_ID, name: process.env.DEFAULT_BOT_NAME || 'Main' });
+  }
+
+  async start() {
+    const saved = await this.loadBotList();
+    for (const bot of saved) {
+      if (!this.bots.has(bot.id)) this.createBot(bot);
+    }
+    console.log(`[BOTS] Running ${this.bots.size} bot(s): ${Array.from(this.bots.keys()).join(', ')}`);
+  }
+
+  createBot({ id, name }) {
+    const bot = new BotManager(id, {
+      name,
+      auditStore: this.auditStore,
+      onStatusChange: () => this.emitBotsUpdate()
+    });
+    this.bots.set(id, bot);
+    return bot;
+  }
+
+  get(botId) {
+    return this.bots.get(botId || DEFAULT_BOT_ID) || null;
+  }
+
+  list() {
+    return Array.from(this.bots.values()).map(bot => ({
+      id: bot.botId,
+      name: bot.name,
+      status: bot.getBotStatus(),
+      activeGroupsCount: bot.activeGroups.length,
+      isDefault: bot.botId === DEFAULT_BOT_ID
+    }));
+  }
+
+  // Starts the new bot right away; its dashboard shows the QR code to link it
+  async add({ id, name }, actor) {
+    if (this.bots.has(id)) throw new Error(`A bot with id "${id}" already exists`);
+
+    const bot = this.createBot({ id, name: name?.trim() || id });
+    await this.saveBotList();
+    this.audit('add-bot', actor, { botId: id, name: bot.name });
+    this.emitBotsUpdate();
+    return bot;
+  }
+
+  // Stops the bot and deletes its saved session; its settings and history stay in Supabase.
+  // Dashboards watching it are moved to the default bot.
+  async remove(id, actor) {
+    const bot = this.bots.get(id);
+    if (!bot || id === DEFAULT_BOT_ID) return false;
+
+    const sockets = [...bot.socketConnections];
+    bot.shutdown();
+    await bot.clearSession();
+    this.bots.delete(id);
+    await this.saveBotList();
+
+    this.audit('remove-bot', actor, { botId: id, name: bot.name });
+    // The list first: dashboards ignore events from the default bot until they know theirs is gone
+    this.emitBotsUpdate();
+    sockets.forEach(socket => this.selectBot(socket, DEFAULT_BOT_ID));
+    return true;
+  }
+
+  async loadBotList() {
+    try {
+      const { data, error } = await supabase
+        .from('bot_settings')
+        .select('value')
+        .eq('key', 'bots')
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return Array.isArray(data?.value) ? data.value.filter(bot => !validateBotInput(bot)) : [];
+    } catch (error) {
+      console.error('[BOTS] Failed to load bot list:', error);
+      return [];
+    }
+  }
+
+  async saveBotList() {
+    try {
+      const value = Array.from(this.bots.values())
+        .filter(bot => bot.botId !== DEFAULT_BOT_ID)
+        .map(bot => ({ id: bot.botId, name: bot.name }));
+
+      const { error } = await supabase
+        .from('bot_settings')
+        .upsert({ key: 'bots', value }, { onConflict: 'key' });
+
+      if (error) throw error;
+    } catch (error) {
+      console.error('[BOTS] Failed to save bot list:', error);
+    }
+  }
+
+  // For actions that don't belong to one bot, like logins
+  audit(action, actor, details = {}, category = 'admin') {
+    console.log(`[AUDIT] ${actor}: ${action}`, Object.keys(details).length > 0 ? details : '');
+    this.auditStore.record({ action, actor, category, details });
+  }
+
+  addSocketConnection(socket) {
+    this.socketConnections.push(socket);
+    socket.emit('bots-updated', { bots: this.list() });
+  }
+
+  removeSocketConnection(socket) {
+    this.socketConnections = this.socketConnections.filter(s => s !== socket);
+  }
+
+  // The bot a dashboard socket receives events from, picked in the handshake or with 'select-bot'
+  socketBot(socket) {
+    return this.get(socket.data.botId) || this.get(DEFAULT_BOT_ID);
+  }
+
+  selectBot(socket, botId) {
+    const bot = this.get(botId);
+    if (!bot) return null;
+
+    this.bots.forEach(other => {
+      if (other !== bot) other.removeSocketConnection(socket);
+    });
+    socket.data.botId = bot.botId;
+    if (!bot.socketConnections.includes(socket)) bot.addSocketConnection(socket);
+    return bot;
+  }
+
+  emitBotsUpdate() {
+    let bots;
+    try {
+      bots = this.list();
+    } catch (error) {
+      console.error('[BOTS] Failed to build the bot list:', error);
+      return;
+    }
+
+    this.socketConnections.forEach(socket => {
+      try {
+        socket.emit('bots-updated', { bots });
+      } catch (error) {
+        console.error('Error emitting to socket:', error);
+      }
+    });
+  }
+}
@@ -0,0 +1,120 @@
+// backend/src/commandRegistry.js
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Holds every command the bot understands. A command is triggered by one of the
+// group's prefixes followed by the command name or one of its aliases, or by one of its
+// legacy triggers, which work without a prefix and are kept so old message formats still work.
+// Groups turn legacy triggers off with the legacyTriggers setting.
+export class CommandRegistry {
+  constructor() {
+    this.commands = new Map();
+  }
+
+  register(definition) {
+    const { name, aliases = [], triggers = [], usage, description = '', handler } = definition || {};
+
+    if (!name || typeof name !== 'string' || /\s/.test(name)) {
+      throw new Error('Command name must be a non-empty string without spaces');
+    }
+    if (typeof handler !== 'function') {
+      throw new Error(`Command "${name}" must have a handler function`);
+    }
+
+    const command = {
+      name: name.toLowerCase(),
+      aliases: aliases.map(alias => alias.toLowerCase()),
+      triggers: triggers.map(trigger => trigger.toLowerCase()),
+      usage: usage || name,
+      description,
+      handler
+    };
+
+    for (const word of [command.name, ...command.aliases]) {
+      const existing = this.get(word);
+      if (existing && existing.name !== command.name) {
+        throw new Error(`"${word}" is already used by command "${existing.name}"`);
+      }
+    }
+
+    this.commands.set(command.name, command);
+    return command;
+  }
+
+  unregister(name) {
+    return this.commands.delete(name);
+  }
+
+  get(nameOrAlias) {
+    const word = (nameOrAlias || '').toLowerCase();
+    if (this.commands.has(word)) return this.commands.get(word);
+
+    for (const command of this.commands.values()) {
+      if (command.aliases.includes(word)) return command;
+    }
+    return null;
+  }
+
+  list() {
+    return Array.from(this.commands.values());
+  }
+
+  names() {
+    return Array.from(this.commands.keys());
+  }
+
+  // Find the command a message triggers under the given group settings.
+  // A "!" right after the trigger and before a space ("!ai! question") sets `force`, e.g. to skip the reply cache;
+  // "!ai!x" is not a command.
+  // Returns { command, trigger, prefix, args, force, legacy } or null when the message is not a command.
+  match(messageText, settings) {
+    if (!messageText || typeof messageText !== 'string') return null;
+
+    const text = messageText.trim();
+    let best = null;
+
+    for (const name of settings.enabledCommands) {
+      const command = this.commands.get(name);
+      if (!command) continue;
+
+      const candidates = [
+        ...[command.name, ...command.aliases].flatMap(word => settings.prefixes.map(prefix => ({ prefix, trigger: prefix + word }))),
+        ...(settings.legacyTriggers ? command.triggers : []).map(trigger => ({ prefix: '', trigger, legacy: true }))
+      ];
+
+      for (const { prefix, trigger, legacy = false } of candidates) {
+        // A trigger ending in a letter must not run into another word, so "!ai" doesn't match
+        // "!ai_search" or "!aim"; punctuation after it is fine ("!ai, question")
+        const boundary = /\w$/.test(trigger) ? '(?=\\W|$)' : '';
+        const ending = `(?:(!)(?=\\s|$)|${boundary}(?!!))`;
+        const pattern = settings.matchAtStart
+          ? new RegExp(`^()${escapeRegExp(trigger)}${ending}`, 'i')
+          : new RegExp(`(^|\\s)${escapeRegExp(trigger)}${ending}`, 'i');
+        const match = pattern.exec(text);
+        if (!match) continue;
+
+        if (!best || trigger.length > best.trigger.length) {
+          best = {
+            command,
+            trigger,
+            prefix,
+            legacy,
+            force: match[2] === '!',
+            index: match.index + match[1].length,
+            length: trigger.length + (match[2] ? 1 : 0)
+          };
+        }
+      }
+    }
+
+    if (!best) return null;
+
+    const before = text.slice(0, best.index);
+    const after = text.slice(best.index + best.length).replace(/^[,.:;]+/, '');
+    const args = `${before.trim()} ${after.trim()}`.trim();
+
+    return { command: best.command, trigger: best.trigger, prefix: best.prefix, args, force: best.force, legacy: best.legacy };
+  }
+}
@@ -0,0 +1,113 @@
+// backend/src/commands.js
+import { CommandRegistry } from './commandRegistry.js';
+import { formatDuration } from './utils.js';
+
+function preview(text, length = 40) {
+  return text.length > length ? `${text.substring(0, length)}...` : text;
+}
+
+// AI commands go through the queue; everything else is answered locally
+const builtInCommands = [
+  {
+    name: 'ai',
+    aliases: ['bot'],
+    // Deprecated: the pre-prefix "bot, question" form, still accepted so existing habits keep working
+    triggers: ['bot,'],
+    usage: 'ai <question>',
+    description: 'Ask the AI about the conversation',
+    handler: async ({ botManager, message, chat, args, command, prefix, force }) => {
+      if (!args) {
+        await message.reply(`Usage: ${prefix}${command.usage}`);
+        return;
+      }
+      await botManager.addToQueue(message, chat, args, 'ai', { bypassCache: force });
+    }
+  },
+  {
+    name: 'ai_search',
+    usage: 'ai_search <question>',
+    description: 'Ask the AI with a web search',
+    handler: async ({ botManager, message, chat, args, command, prefix, force }) => {
+      if (!args) {
+        await message.reply(`Usage: ${prefix}${command.usage}`);
+        return;
+      }
+      await botManager.addToQueue(message, chat, args, 'ai_search', { bypassCache: force });
+    }
+  },
+  {
+    name: 'help',
+    usage: 'help [command]',
+    description: 'List the available commands',
+    handler: async ({ message, args, registry, settings, prefix }) => {
+      const enabled = registry.list().filter(command => settings.enabledCommands.includes(command.name));
+
+      if (args) {
+        const command = registry.get(args.replace(/^\W+/, ''));
+        if (!command || !enabled.includes(command)) {
+          await message.reply(`Unknown command: ${args}`);
+          return;
+        }
+
+        let reply = `*${prefix}${command.usage}*\n${command.description}`;
+        if (command.aliases.length > 0) {
+          reply += `\n\n*Aliases:* ${command.aliases.map(alias => prefix + alias).join(', ')}`;
+        }
+        await message.reply(reply);
+        return;
+      }
+
+      const lines = enabled.map(command => `*${prefix}${command.usage}* - ${command.description}`);
+      await message.reply(`*Available commands:*\n\n${lines.join('\n')}\n\n` +
+                          `_Prefixes: ${settings.prefixes.join(' ')}_\n` +
+                          `_Reply to one of my answers to ask a follow-up._`);
+    }
+  },
+  {
+    name: 'status',
+    usage: 'status',
+    description: 'Show bot uptime and queue length',
+    handler: async ({ botManager, message }) => {
+      const status = botManager.getFullStatus();
+      const reply = `*Bot status:* ${status.botStatus}\n` +
+                    `*Uptime:* ${formatDuration(status.uptime)}\n` +
+                    `*Queue length:* ${status.queueLength}\n` +
+                    `*Processing:* ${status.activeRequests} of ${status.queueWorkers} workers busy\n` +
+                    `*Active groups:* ${status.activeGroupsCount}`;
+      await message.reply(reply);
+    }
+  },
+  {
+    name: 'queue',
+    usage: 'queue',
+    description: 'Show your position in the queue',
+    handler: async ({ botManager, message }) => {
+      const senderId = message.author || message.from;
+      const processing = Array.from(botManager.activeRequests.values())
+        .filter(request => request.senderId === senderId)
+        .map(request => `*processing:* "${preview(request.prompt)}"`);
+      const waiting = botManager.processingQueue
+        .filter(request => request.senderId === senderId)
+        .map(request => ({ request, position: botManager.getQueuePosition(request) }))
+        .sort((a, b) => a.position - b.position)
+        .map(({ request, position }) => {
+          const wait = botManager.processingTimes.estimateWait(position, botManager.queueWorkers);
+          return `*position ${position}* (~${formatDuration(wait)}): "${preview(request.prompt)}"`;
+        });
+
+      if (processing.length === 0 && waiting.length === 0) {
+        await message.reply('You have no requests in the queue.');
+        return;
+      }
+
+      await message.reply(`*Your requests* (${botManager.processingQueue.length} waiting in queue):\n\n` +
+                          [...processing, ...waiting].join('\n'));
+    }
+  }
+];
+
+export function createCommandRegistry() {
+  const registry = new CommandRegistry();
+  builtInCommands.forEach(command => registry.register(command));
+  return registry;
+}
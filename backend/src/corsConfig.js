@@ -0,0 +1,198 @@
+// backend/src/corsConfig.js
+import fs from 'fs';
+
+const KNOWN_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+
+// Local development only. Deployments list their own origins (or set FRONTEND_URL).
+// Requests without an Origin header (page loads of the dashboard build served by this backend,
+// curl, health checks) are not cross-origin, and the API itself requires a login.
+const DEFAULT_POLICY = {
+  allowedOrigins: [
+    'http://localhost:3000',
+    'http://127.0.0.1:3000'
+  ],
+  originPatterns: [],
+  methods: ['GET', 'POST'],
+  allowNoOrigin: true
+};
+
+// Blocked origins are logged at most once per origin per minute
+const BLOCKED_LOG_INTERVAL = 60 * 1000;
+const MAX_RECENT_BLOCKED = 50;
+
+const splitList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+function readConfigFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read CORS config file ${filePath}: ${error.message}`);
+  }
+}
+
+// Environment variables win over the config file, the config file wins over the defaults:
+//   CORS_ALLOWED_ORIGINS  comma-separated exact origins, e.g. https://app.example.com
+//   CORS_ORIGIN_PATTERNS  comma-separated regexes, each anchored with ^ and $
+//   CORS_METHODS          comma-separated HTTP methods (default GET,POST)
+//   CORS_ALLOW_NO_ORIGIN  'false' to reject requests without an Origin header (curl, health checks,
+//                         a dashboard build served by this backend); accepted by default
+//   CORS_CONFIG_FILE      JSON file with { allowedOrigins, originPatterns, methods, allowNoOrigin }
+//   FRONTEND_URL          always allowed
+export function loadCorsConfig(env = process.env) {
+  const file = env.CORS_CONFIG_FILE ? readConfigFile(env.CORS_CONFIG_FILE) : {};
+  const fromEnv = {
+    allowedOrigins: env.CORS_ALLOWED_ORIGINS !== undefined ? splitList(env.CORS_ALLOWED_ORIGINS) : undefined,
+    originPatterns: env.CORS_ORIGIN_PATTERNS !== undefined ? splitList(env.CORS_ORIGIN_PATTERNS) : undefined,
+    methods: env.CORS_METHODS !== undefined ? splitList(env.CORS_METHODS) : undefined,
+    allowNoOrigin: env.CORS_ALLOW_NO_ORIGIN !== undefined ? env.CORS_ALLOW_NO_ORIGIN !== 'false' : undefined
+  };
+
+  // Once any origins are configured, the localhost defaults no longer apply
+  const configured = [fromEnv.allowedOrigins, fromEnv.originPatterns, file.allowedOrigins, file.originPatterns]
+    .some(value => value !== undefined);
+  const base = configured ? { ...DEFAULT_POLICY, allowedOrigins: [], originPatterns: [] } : DEFAULT_POLICY;
+
+  // Where the values actually came from, e.g. "env+file:cors.json" when env overrides part of the file
+  const sources = new Set();
+  const pick = (key) => {
+    if (fromEnv[key] !== undefined) {
+      sources.add('env');
+      return fromEnv[key];
+    }
+    if (file[key] !== undefined) {
+      sources.add(`file:${env.CORS_CONFIG_FILE}`);
+      return file[key];
+    }
+    return base[key];
+  };
+
+  const config = {
+    allowedOrigins: pick('allowedOrigins'),
+    originPatterns: pick('originPatterns'),
+    methods: pick('methods'),
+    allowNoOrigin: pick('allowNoOrigin')
+  };
+
+  if (env.FRONTEND_URL && Array.isArray(config.allowedOrigins)) {
+    if (!configured) sources.add('defaults');
+    config.allowedOrigins = [...config.allowedOrigins, env.FRONTEND_URL];
+    sources.add('env');
+  }
+
+  return { source: sources.size > 0 ? [...sources].join('+') : 'defaults', usesDefaults: !configured && !env.FRONTEND_URL, ...config };
+}
+
+// Throws one error listing every problem, so a bad deployment fails at startup instead of on the first request
+export function validateCorsConfig(config) {
+  const problems = [];
+
+  if (!Array.isArray(config.allowedOrigins)) problems.push('allowedOrigins must be a list');
+  if (!Array.isArray(config.originPatterns)) problems.push('originPatterns must be a list');
+  if (!Array.isArray(config.methods) || config.methods.length === 0) problems.push('methods must be a non-empty list');
+  if (typeof config.allowNoOrigin !== 'boolean') problems.push('allowNoOrigin must be true or false');
+  if (problems.length > 0) throw new Error(`Invalid CORS config: ${problems.join('; ')}`);
+
+  const allowedOrigins = [];
+  for (const origin of config.allowedOrigins) {
+    let url = null;
+    try {
+      url = new URL(origin);
+    } catch (error) {
+      // reported below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol) || url.origin !== origin.replace(/\/$/, '')) {
+      problems.push(`"${origin}" is not an origin (expected scheme://host[:port] without a path)`);
+    } else {
+      allowedOrigins.push(url.origin);
+    }
+  }
+
+  const originPatterns = [];
+  for (const pattern of config.originPatterns) {
+    if (!pattern.startsWith('^') || !pattern.endsWith('$')) {
+      problems.push(`pattern "${pattern}" must start with ^ and end with $ so it cannot match longer origins`);
+      continue;
+    }
+    try {
+      originPatterns.push(new RegExp(pattern));
+    } catch (error) {
+      problems.push(`pattern "${pattern}" is not a valid regular expression: ${error.message}`);
+    }
+  }
+
+  const methods = config.methods.map(method => String(method).toUpperCase());
+  const unknown = methods.filter(method => !KNOWN_METHODS.includes(method));
+  if (unknown.length > 0) problems.push(`unknown methods: ${unknown.join(', ')}`);
+
+  if (problems.length > 0) throw new Error(`Invalid CORS config: ${problems.join('; ')}`);
+
+  return {
+    source: config.source,
+    usesDefaults: config.usesDefaults === true,
+    allowedOrigins: [...new Set(allowedOrigins)],
+    originPatterns,
+    methods: [...new Set(methods)],
+    allowNoOrigin: config.allowNoOrigin
+  };
+}
+
+// One policy object shared by Express and Socket.IO
+export class CorsPolicy {
+  constructor(config) {
+    Object.assign(this, validateCorsConfig(config));
+    this.lastLoggedBlocks = new Map();
+    this.recentBlocked = [];
+  }
+
+  isAllowed(origin) {
+    if (!origin) return this.allowNoOrigin;
+    return this.allowedOrigins.includes(origin) || this.originPatterns.some(pattern => pattern.test(origin));
+  }
+
+  recordBlocked(origin, transport) {
+    const now = Date.now();
+    const entry = { origin: origin || null, transport, at: new Date(now).toISOString() };
+
+    this.recentBlocked.push(entry);
+    if (this.recentBlocked.length > MAX_RECENT_BLOCKED) this.recentBlocked.shift();
+
+    const key = `${transport}:${origin}`;
+    if (now - (this.lastLoggedBlocks.get(key) || 0) < BLOCKED_LOG_INTERVAL) return;
+    if (this.lastLoggedBlocks.size > 1000) this.lastLoggedBlocks.clear();
+    this.lastLoggedBlocks.set(key, now);
+
+    console.warn(JSON.stringify({ level: 'warn', event: 'cors_blocked', ...entry }));
+  }
+
+  // The `origin` callback for the cors package and Socket.IO
+  originCallback(transport) {
+    return (origin, callback) => {
+      if (this.isAllowed(origin)) return callback(null, true);
+
+      // No CORS headers rather than an error: the browser blocks the response, and requests the
+      // browser doesn't check (same-origin page loads) are still served instead of failing with a 500
+      this.recordBlocked(origin, transport);
+      return callback(null, false);
+    };
+  }
+
+  expressOptions() {
+    return { origin: this.originCallback('http'), credentials: true, methods: this.methods };
+  }
+
+  socketOptions() {
+    return { origin: this.originCallback('socket'), credentials: true, methods: this.methods };
+  }
+
+  describe() {
+    return {
+      source: this.source,
+      allowedOrigins: this.allowedOrigins,
+      originPatterns: this.originPatterns.map(pattern => pattern.source),
+      methods: this.methods,
+      allowNoOrigin: this.allowNoOrigin,
+      credentials: true,
+      recentBlocked: [...this.recentBlocked].reverse()
+    };
+  }
+}
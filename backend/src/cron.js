@@ -0,0 +1,172 @@
+// backend/src/cron.js
+// Minimal five-field cron ("minute hour day-of-month month day-of-week") evaluated in an IANA timezone.
+// Supports *, lists (1,15), ranges (1-5), steps (*/15, 0-30/10) and the @hourly/@daily/@weekly/@monthly shortcuts.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 },
+];
+
+const SHORTCUTS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Longest each month can be (February in a leap year), to reject dates that never happen
+const DAYS_IN_MONTH = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+// Don't search further ahead than this for the next run (covers "Feb 29" style schedules)
+const MAX_SEARCH_MINUTES = 4 * 366 * 24 * 60;
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/.exec(part);
+    if (!match) throw new Error(`Invalid ${name} field: "${text}"`);
+
+    let [start, end] = match[1] === '*' ? [min, max] : match[1].split('-').map(Number);
+    if (end === undefined) end = match[2] ? max : start;
+    const step = match[2] ? Number(match[2]) : 1;
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid ${name} field: "${text}" (allowed ${min}-${max})`);
+    }
+
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+
+  return values;
+}
+
+export function parseCron(expression) {
+  if (typeof expression !== 'string') throw new Error('Cron expression must be a string');
+
+  const normalized = SHORTCUTS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields, got ${parts.length}: "${expression}"`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+
+  // 7 is Sunday as well
+  if (dayOfWeek.has(7)) dayOfWeek.add(0);
+
+  const dayOfMonthRestricted = parts[2] !== '*';
+  const dayOfWeekRestricted = parts[4] !== '*';
+
+  // "0 0 30 2 *" would be searched for on every check and never found. With a weekday given as
+  // well either one matching is enough, and every weekday comes round in every month.
+  if (dayOfMonthRestricted && !dayOfWeekRestricted &&
+      ![...month].some(m => [...dayOfMonth].some(day => day <= DAYS_IN_MONTH[m - 1]))) {
+    throw new Error(`Cron expression never matches a real date: "${expression}"`);
+  }
+
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    // Standard cron: when both day fields are restricted, either one matching is enough
+    dayOfMonthRestricted,
+    dayOfWeekRestricted,
+  };
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+const formatters = new Map();
+
+// Wall-clock date parts of `date` in `timeZone`
+function getZonedParts(date, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short',
+    }));
+  }
+
+  const parts = {};
+  for (const { type, value } of formatters.get(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  return {
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAYS[parts.weekday],
+  };
+}
+
+function dayMatches(cron, parts) {
+  const domMatch = cron.dayOfMonth.has(parts.day);
+  const dowMatch = cron.dayOfWeek.has(parts.weekday);
+
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) return domMatch || dowMatch;
+  if (cron.dayOfMonthRestricted) return domMatch;
+  if (cron.dayOfWeekRestricted) return dowMatch;
+  return true;
+}
+
+// When clocks go back, the same wall-clock minute comes round again 30 or 60 minutes later
+function isRepeatedTime(time, parts, timeZone) {
+  return [30, 60].some(minutes => {
+    const earlier = getZonedParts(new Date(time - minutes * 60 * 1000), timeZone);
+    return earlier.day === parts.day && earlier.hour === parts.hour && earlier.minute === parts.minute;
+  });
+}
+
+// First time strictly after `after` that matches the schedule, or null if there is none.
+// Around DST changes a wall-clock time that is skipped doesn't run that day, and one that
+// happens twice only runs the first time (unless the schedule runs every hour anyway).
+export function getNextRun(cron, after, timeZone = 'UTC') {
+  const schedule = typeof cron === 'string' ? parseCron(cron) : cron;
+  // Like standard cron, schedules that run every hour keep running through a repeated hour
+  const fixedHours = schedule.hour.size < 24;
+  const minuteMs = 60 * 1000;
+  let time = Math.floor(new Date(after).getTime() / minuteMs) * minuteMs + minuteMs;
+
+  for (let checked = 0; checked < MAX_SEARCH_MINUTES;) {
+    const parts = getZonedParts(new Date(time), timeZone);
+
+    if (!schedule.month.has(parts.month) || !dayMatches(schedule, parts) || !schedule.hour.has(parts.hour)) {
+      // Nothing in this hour can match; jump to the start of the next one
+      const skip = 60 - parts.minute;
+      time += skip * minuteMs;
+      checked += skip;
+      continue;
+    }
+
+    if (schedule.minute.has(parts.minute) && !(fixedHours && isRepeatedTime(time, parts, timeZone))) {
+      return new Date(time);
+    }
+
+    time += minuteMs;
+    checked++;
+  }
+
+  return null;
+}
@@ -0,0 +1,223 @@
+// backend/src/digestScheduler.js
+import { randomUUID } from 'crypto';
+import { DigestStore } from './digestStore.js';
+import { parseCron, getNextRun, isValidTimeZone } from './cron.js';
+import { splitMessage } from './utils.js';
+
+const PERIODS = {
+  day: { hours: 24, title: 'Daily digest', label: 'the last 24 hours' },
+  week: { hours: 7 * 24, title: 'Weekly digest', label: 'the last 7 days' },
+};
+
+const TICK_INTERVAL = 60 * 1000;
+const MAX_DIGEST_MESSAGES = Number(process.env.DIGEST_MAX_MESSAGES) || 500;
+
+// Returns an error message for an invalid schedule from the dashboard, or null
+export function validateDigestSchedule(input = {}) {
+  if (!input.groupId || typeof input.groupId !== 'string') return 'groupId is required';
+  if (input.period !== undefined && !PERIODS[input.period]) return 'period must be "day" or "week"';
+  if (input.timezone !== undefined && !isValidTimeZone(input.timezone)) return `Unknown timezone: ${input.timezone}`;
+
+  try {
+    parseCron(input.cron);
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+}
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    groupId: row.group_id,
+    cron: row.cron,
+    timezone: row.timezone,
+    period: row.period,
+    enabled: row.enabled,
+    lastRunAt: row.last_run_at ? new Date(row.last_run_at).getTime() : null,
+    createdAt: new Date(row.created_at).getTime()
+  };
+}
+
+// Sends conversation summaries to groups on their cron schedules.
+// Each schedule keeps the first occurrence after its last run (or creation time) in nextRunAt,
+// worked out when it is loaded, saved or run. Every minute the ones whose nextRunAt has passed
+// are sent once and last_run_at moves to now, so downtime spanning several occurrences still
+// produces a single catch-up digest.
+export class DigestScheduler {
+  constructor(botManager) {
+    this.botManager = botManager;
+    this.store = new DigestStore(botManager.botId);
+    this.schedules = new Map();
+    this.running = new Set();
+    this.timer = null;
+  }
+
+  async start() {
+    const rows = await this.store.list();
+    for (const row of rows) {
+      const schedule = fromRow(row);
+      this.updateNextRun(schedule);
+      this.schedules.set(schedule.id, schedule);
+    }
+    console.log(`[DIGEST] Loaded ${this.schedules.size} schedules`);
+
+    this.timer = setInterval(() => this.tick(), TICK_INTERVAL);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Schedules saved before impossible dates were rejected never run; they show no next run
+  updateNextRun(schedule) {
+    try {
+      const next = getNextRun(schedule.cron, schedule.lastRunAt || schedule.createdAt, schedule.timezone);
+      schedule.nextRunAt = next ? next.getTime() : null;
+    } catch (error) {
+      console.error(`[DIGEST] Schedule ${schedule.id} has an invalid cron "${schedule.cron}":`, error.message);
+      schedule.nextRunAt = null;
+    }
+  }
+
+  // A nextRunAt in the past means the digest is overdue and goes out on the next check
+  describe(schedule) {
+    return {
+      ...schedule,
+      nextRunAt: schedule.enabled ? schedule.nextRunAt : null,
+      running: this.running.has(schedule.id)
+    };
+  }
+
+  list() {
+    return Array.from(this.schedules.values()).map(schedule => this.describe(schedule));
+  }
+
+  async save(input) {
+    const existing = input.id ? this.schedules.get(input.id) : null;
+    const schedule = {
+      id: existing ? existing.id : randomUUID(),
+      groupId: input.groupId,
+      cron: input.cron.trim(),
+      timezone: input.timezone || 'UTC',
+      period: input.period || 'day',
+      enabled: input.enabled !== false,
+      // Without a previous run the schedule counts from now, so creating it doesn't fire a catch-up
+      lastRunAt: existing ? existing.lastRunAt : null,
+      createdAt: existing ? existing.createdAt : Date.now()
+    };
+
+    this.updateNextRun(schedule);
+
+    const saved = await this.store.save(schedule);
+    if (!saved) throw new Error('Failed to save digest schedule');
+
+    this.schedules.set(schedule.id, schedule);
+    console.log(`[DIGEST] Saved schedule ${schedule.id}: "${schedule.cron}" (${schedule.timezone}) for ${schedule.groupId}`);
+    return this.describe(schedule);
+  }
+
+  async remove(id) {
+    if (!this.schedules.has(id)) return false;
+    await this.store.remove(id);
+    this.schedules.delete(id);
+    console.log(`[DIGEST] Deleted schedule ${id}`);
+    return true;
+  }
+
+  isDue(schedule, now) {
+    return schedule.nextRunAt !== null && schedule.nextRunAt <= now;
+  }
+
+  async tick() {
+    const botManager = this.botManager;
+    if (!botManager.client || botManager.getBotStatus() !== 'connected') return;
+
+    const now = Date.now();
+    for (const schedule of this.schedules.values()) {
+      if (!schedule.enabled || this.running.has(schedule.id)) continue;
+      if (!botManager.activeGroups.includes(schedule.groupId)) continue;
+
+      try {
+        if (this.isDue(schedule, now)) await this.run(schedule.id);
+      } catch (error) {
+        console.error(`[DIGEST] Error checking schedule ${schedule.id}:`, error);
+      }
+    }
+  }
+
+  // Build and send one digest. Also used by the dashboard's "Send now".
+  async run(id) {
+    const schedule = this.schedules.get(id);
+    if (!schedule || this.running.has(id)) return false;
+
+    const botManager = this.botManager;
+    if (!botManager.client) throw new Error('Bot is not connected');
+
+    this.running.add(id);
+    botManager.emitDigestUpdate();
+    const startedAt = Date.now();
+
+    try {
+      schedule.lastError = null;
+      const period = PERIODS[schedule.period] || PERIODS.day;
+      const chat = await botManager.client.getChatById(schedule.groupId);
+      const settings = botManager.getGroupSettings(schedule.groupId);
+
+      const rows = await botManager.historyStore.getContext(schedule.groupId, {
+        maxMessages: MAX_DIGEST_MESSAGES,
+        maxHours: period.hours
+      });
+      const messages = rows
+        .filter(row => row.body || row.media_type)
+        .map(row => botManager.formatContextMessage({
+          id: row.message_id,
+          timestamp: row.timestamp,
+          senderId: row.sender_id,
+          senderName: row.sender_name,
+          body: row.body || '',
+          mediaType: row.media_type,
+          filename: row.media_filename
+        }, chat, new Map(), settings));
+
+      if (messages.length === 0) {
+        console.log(`[DIGEST] No messages in ${period.label} for ${chat.name}, skipping`);
+        return true;
+      }
+
+      const payload = {
+        messages,
+        prompt: `Summarize the group conversation from ${period.label}: the main topics, any decisions ` +
+                `that were made, and open questions or action items. Keep it short and use bullet points.`,
+        groupName: chat.name,
+        sender: 'Scheduled digest',
+        timestamp: new Date().toISOString(),
+        totalMessageCount: messages.length,
+        newMessageCount: messages.length,
+        lastMessageId: messages[messages.length - 1].message_id,
+        conversationHistory: []
+      };
+
+      const summary = await botManager.callAIProvider(payload, settings, 'ai');
+      const text = `*📋 ${period.title}* (${messages.length} messages)\n\n${summary}`;
+      for (const part of splitMessage(text, botManager.replyStreaming.maxLength)) {
+        await chat.sendMessage(part);
+      }
+
+      console.log(`[DIGEST] Sent ${schedule.period} digest to ${chat.name} in ${Date.now() - startedAt}ms`);
+      return true;
+    } catch (error) {
+      console.error(`[DIGEST] Failed to send digest for schedule ${id}:`, error);
+      schedule.lastError = error.message;
+      return false;
+    } finally {
+      // Recorded even on failure: a broken digest is retried at the next occurrence, not every minute
+      schedule.lastRunAt = startedAt;
+      this.updateNextRun(schedule);
+      await this.store.markRun(id, startedAt);
+      this.running.delete(id);
+      botManager.emitDigestUpdate();
+    }
+  }
+}
@@ -0,0 +1,85 @@
+// backend/src/digestStore.js
+import { supabase } from './supabaseClient.js';
+import { DEFAULT_BOT_ID } from './utils.js';
+
+// Digest schedules: one row per schedule, last_run_at is what makes catch-up after downtime fire only once
+export class DigestStore {
+  constructor(botId = DEFAULT_BOT_ID) {
+    this.botId = botId;
+    this.tableName = 'digest_schedules';
+  }
+
+  async list() {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .select('id, group_id, cron, timezone, period, enabled, last_run_at, created_at')
+        .eq('bot_id', this.botId)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('[DIGEST] Failed to load schedules:', error);
+      return [];
+    }
+  }
+
+  async save(schedule) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .upsert({
+          id: schedule.id,
+          bot_id: this.botId,
+          group_id: schedule.groupId,
+          cron: schedule.cron,
+          timezone: schedule.timezone,
+          period: schedule.period,
+          enabled: schedule.enabled,
+          last_run_at: schedule.lastRunAt ? new Date(schedule.lastRunAt).toISOString() : null,
+          created_at: new Date(schedule.createdAt).toISOString()
+        }, {
+          onConflict: 'id'
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error(`[DIGEST] Failed to save schedule ${schedule.id}:`, error);
+      return null;
+    }
+  }
+
+  async markRun(id, ranAt) {
+    try {
+      const { error } = await supabase
+        .from(this.tableName)
+        .update({ last_run_at: new Date(ranAt).toISOString() })
+        .eq('id', id);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error(`[DIGEST] Failed to record run of schedule ${id}:`, error);
+      return false;
+    }
+  }
+
+  async remove(id) {
+    try {
+      const { error } = await supabase
+        .from(this.tableName)
+        .delete()
+        .eq('id', id);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error(`[DIGEST] Failed to delete schedule ${id}:`, error);
+      return false;
+    }
+  }
+}
@@ -0,0 +1,89 @@
+// backend/src/groupSettings.js
+import { PROVIDER_NAMES } from './aiProviders.js';
+
+export const DEFAULT_GROUP_SETTINGS = {
+  prefixes: ['!', '@'],
+  matchAtStart: true,
+  // Accept the old prefix-less forms such as "bot, question" (see `triggers` in commands.js)
+  legacyTriggers: true,
+  // Message history: how long to keep it, and how much of it the AI sees (contextHours 0 = no time limit)
+  retentionDays: 30,
+  contextMessages: 50,
+  contextHours: 24,
+  // Per-message size limits for the AI payload, and whether attachments go to the media upload endpoint
+  maxMessageLength: 300,
+  maxQuotedLength: 150,
+  uploadMedia: false,
+  // AI backend for the group; empty means the server default (AI_PROVIDER) and the provider's default model
+  aiProvider: '',
+  aiModel: '',
+  // Reuse the answer when the same question is asked about the same context
+  replyCacheEnabled: true,
+  replyCacheTtlMinutes: 60,
+};
+
+const MAX_PREFIXES = 10;
+const MAX_PREFIX_LENGTH = 5;
+const MAX_MODEL_LENGTH = 100;
+
+// [min, max] for numeric settings
+const NUMBER_RANGES = {
+  retentionDays: [1, 365],
+  contextMessages: [1, 500],
+  contextHours: [0, 24 * 30],
+  maxMessageLength: [50, 4000],
+  maxQuotedLength: [0, 2000],
+  replyCacheTtlMinutes: [1, 7 * 24 * 60],
+};
+
+const BOOLEAN_FIELDS = ['matchAtStart', 'legacyTriggers', 'uploadMedia', 'replyCacheEnabled'];
+
+// Clean up settings coming from the dashboard or Supabase, falling back to defaults for anything invalid.
+// `commandNames` are the commands registered with the bot; all of them are enabled by default.
+export function normalizeGroupSettings(settings = {}, commandNames = []) {
+  const normalized = {
+    ...DEFAULT_GROUP_SETTINGS,
+    enabledCommands: [...commandNames],
+  };
+
+  if (Array.isArray(settings.prefixes)) {
+    const prefixes = [...new Set(
+      settings.prefixes
+        .filter(prefix => typeof prefix === 'string')
+        .map(prefix => prefix.trim().toLowerCase())
+        .filter(prefix => prefix.length > 0 && prefix.length <= MAX_PREFIX_LENGTH && !/\s/.test(prefix))
+    )].slice(0, MAX_PREFIXES);
+
+    if (prefixes.length > 0) normalized.prefixes = prefixes;
+  }
+
+  if (Array.isArray(settings.enabledCommands)) {
+    normalized.enabledCommands = [...new Set(settings.enabledCommands)]
+      .filter(name => commandNames.includes(name));
+  }
+
+  for (const field of BOOLEAN_FIELDS) {
+    if (typeof settings[field] === 'boolean') {
+      normalized[field] = settings[field];
+    }
+  }
+
+  if (settings.aiProvider === '' || PROVIDER_NAMES.includes(settings.aiProvider)) {
+    normalized.aiProvider = settings.aiProvider;
+  }
+
+  if (typeof settings.aiModel === 'string') {
+    normalized.aiModel = settings.aiModel.trim().slice(0, MAX_MODEL_LENGTH);
+  }
+
+  for (const [field, [min, max]] of Object.entries(NUMBER_RANGES)) {
+    if (settings[field] === undefined || settings[field] === null || settings[field] === '') continue;
+
+    const value = Number(settings[field]);
+    if (Number.isFinite(value)) {
+      normalized[field] = Math.min(max, Math.max(min, Math.round(value)));
+    }
+  }
+
+  return normalized;
+}
@@ -7,7 +7,15 @@ import { Server } from 'socket.io';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import BotManager from './botManager.js';
+import { BotRegistry, validateBotInput } from './botRegistry.js';
+import { normalizeGroupSettings } from './groupSettings.js';
+import { validateDigestSchedule } from './digestScheduler.js';
+import { AuthService, onWithRole } from './auth.js';
+import { toCsv, DEFAULT_BOT_ID } from './utils.js';
+import { CorsPolicy, loadCorsConfig } from './corsConfig.js';
+import { getSessionCipher } from './sessionCrypto.js';
+import { resolveSessionStoreType } from './sessionStore.js';
+import { prepareDatabase } from './migrations.js';
 
 // === Global error handlers (very important for debugging crashes) ===
 process.on('unhandledRejection', (reason, promise) => {
@@ -25,46 +33,112 @@ dotenv.config();
 const app = express();
 const server = createServer(app);
 
-const corsOptions = {
-  origin: function (origin, callback) {
-    if (!origin) return callback(null, true);
+// Which proxies may set X-Forwarded-For, so req.ip (login lockout, audit log) is the real client.
+// The default trusts only a proxy on the same machine, like the ngrok agent; on Vercel or behind a
+// load balancer set TRUST_PROXY to its address range or hop count (e.g. TRUST_PROXY=1).
+const parseTrustProxy = (value = 'loopback') => {
+  if (value === 'true' || value === 'false') return value === 'true';
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
 
-    if (origin === "https://baby-ai.vercel.app") return callback(null, true);
+// Allowed origins come from the environment or CORS_CONFIG_FILE, see corsConfig.js
+let corsPolicy;
+try {
+  corsPolicy = new CorsPolicy(loadCorsConfig());
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+console.log(`[CORS] Policy from ${corsPolicy.source}: ${corsPolicy.allowedOrigins.length} origins, ${corsPolicy.originPatterns.length} patterns, methods ${corsPolicy.methods.join(',')}`);
+if (corsPolicy.usesDefaults) {
+  console.warn(`⚠️ [CORS] No origins configured - only ${corsPolicy.allowedOrigins.join(', ')} may call the API. ` +
+    'Set FRONTEND_URL or CORS_ALLOWED_ORIGINS for a deployed dashboard (https://baby-ai.vercel.app is no longer allowed by default)');
+}
 
-    if (origin === "http://localhost:3000") return callback(null, true);
+app.use(cors(corsPolicy.expressOptions()));
 
-    if (/^https:\/\/[a-zA-Z0-9-]+-jethro-elijah-lims-projects\.vercel\.app$/.test(origin))
-      return callback(null, true);
+// Session store and encryption keys are checked now rather than on the first session save
+try {
+  console.log(`[SESSION] Sessions are stored in: ${resolveSessionStoreType()}`);
+  const sessionCipher = getSessionCipher();
+  console.log(sessionCipher.enabled
+    ? `[SESSION] Sessions are encrypted with key ${sessionCipher.activeKeyId} (${sessionCipher.keys.size} key(s) loaded)`
+    : '[SESSION] ⚠️ SESSION_ENCRYPTION_KEYS is not set - WhatsApp sessions are stored unencrypted');
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
 
-    if (/^https:\/\/.*\.ngrok-free\.dev$/.test(origin)) return callback(null, true);
+const io = new Server(server, {
+  cors: corsPolicy.socketOptions()
+});
 
-    return callback(new Error("CORS blocked: " + origin));
-  },
-  credentials: true,
-  methods: ["GET", "POST"],
-};
+// 🚀 CRITICAL FIX: Add JSON body parser middleware
+app.use(express.json());
 
-app.use(cors(corsOptions));
+// Stops here, before any bot starts, if tables, columns or unique constraints are missing
+try {
+  await prepareDatabase();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
 
-const io = new Server(server, {
-  cors: {
-    origin: corsOptions.origin,
-    methods: ["GET", "POST"],
-    credentials: true
+const registry = new BotRegistry();
+registry.start();
+const auth = new AuthService();
+
+const viewer = auth.requireRole('viewer');
+const operator = auth.requireRole('operator');
+const admin = auth.requireRole('admin');
+
+// Dashboard login
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    if (typeof username !== 'string' || !username.trim() || typeof password !== 'string' || !password) {
+      return res.status(400).json({ error: 'username and password are required' });
+    }
+    const loginKey = auth.loginKey(username.trim(), req.ip);
+    if (auth.isLockedOut(loginKey)) {
+      return res.status(429).json({ error: 'Too many failed logins, try again later' });
+    }
+
+    const session = await auth.login(username.trim(), password, loginKey);
+    if (!session) {
+      registry.audit('login-failed', username.trim(), { ip: req.ip });
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    registry.audit('login', session.user.username, { ip: req.ip, role: session.user.role });
+    res.json({ success: true, ...session });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// 🚀 CRITICAL FIX: Add JSON body parser middleware
-app.use(express.json());
+app.get('/api/auth/me', viewer, (req, res) => {
+  res.json({ user: req.user });
+});
+
+// Bot-scoped API routes, mounted at /api/bots/:botId and, for the default bot, at /api
+const botRouter = express.Router({ mergeParams: true });
 
-const botManager = new BotManager();
+botRouter.use((req, res, next) => {
+  req.bot = registry.get(req.params.botId || DEFAULT_BOT_ID);
+  if (!req.bot) {
+    return res.status(404).json({ error: `Unknown bot: ${req.params.botId}` });
+  }
+  next();
+});
 
-// API Routes (no userId needed)
 // 🚀 SIMPLIFIED: Quick groups endpoint
-app.get('/api/groups', async (req, res) => {
+botRouter.get('/groups', viewer, async (req, res) => {
   try {
     console.log(`[${new Date().toISOString()}] GET /api/groups (quick)`);
-    const groups = await botManager.getGroups();
+    const groups = await req.bot.getGroups();
     return res.json(groups);
   } catch (error) {
     console.error('Error in /api/groups:', error);
@@ -73,7 +147,7 @@ app.get('/api/groups', async (req, res) => {
 });
 
 // 🚀 NEW: Search groups endpoint
-app.get('/api/groups/search', async (req, res) => {
+botRouter.get('/groups/search', viewer, async (req, res) => {
   try {
     const { q } = req.query;
     console.log(`[${new Date().toISOString()}] GET /api/groups/search?q=${q}`);
@@ -82,7 +156,7 @@ app.get('/api/groups/search', async (req, res) => {
       return res.json([]);
     }
 
-    const groups = await botManager.searchGroups(q);
+    const groups = await req.bot.searchGroups(q);
     return res.json(groups);
   } catch (error) {
     console.error('Error in /api/groups/search:', error);
@@ -91,7 +165,7 @@ app.get('/api/groups/search', async (req, res) => {
 });
 
 // 🚀 NEW: Get saved groups only
-app.post('/api/groups/saved', async (req, res) => {
+botRouter.post('/groups/saved', viewer, async (req, res) => {
   try {
     const { groupIds } = req.body;
     console.log(`[${new Date().toISOString()}] POST /api/groups/saved for ${groupIds?.length || 0} groups`);
@@ -100,7 +174,7 @@ app.post('/api/groups/saved', async (req, res) => {
       return res.status(400).json({ error: 'groupIds must be an array' });
     }
 
-    const groups = await botManager.getSavedGroups(groupIds);
+    const groups = await req.bot.getSavedGroups(groupIds);
     return res.json(groups);
   } catch (error) {
     console.error('Error in /api/groups/saved:', error);
@@ -109,11 +183,15 @@ app.post('/api/groups/saved', async (req, res) => {
 });
 
 // Keep your existing active-groups endpoint
-app.post('/api/active-groups', async (req, res) => {
+botRouter.post('/active-groups', operator, async (req, res) => {
   try {
-    const { groups } = req.body;
+    const { groups } = req.body || {};
+    if (!Array.isArray(groups)) {
+      return res.status(400).json({ error: 'groups must be an array' });
+    }
+
     console.log('Setting active groups:', groups);
-    botManager.setActiveGroups(groups);
+    req.bot.setActiveGroups(groups, req.user.username);
     res.json({ success: true });
   } catch (error) {
     console.error('Error setting active groups:', error);
@@ -121,12 +199,340 @@ app.post('/api/active-groups', async (req, res) => {
   }
 });
 
-app.get('/api/bot-status', (req, res) => {
-  console.log('Checking bot status for admin bot');
-  const status = botManager.getBotStatus();
+// Per-group command settings
+botRouter.get('/group-settings', viewer, (req, res) => {
+  res.json({
+    settings: req.bot.groupSettings,
+    defaults: normalizeGroupSettings({}, req.bot.commandRegistry.names()),
+    commands: req.bot.commandRegistry.names(),
+    ...req.bot.describeAIProviders()
+  });
+});
+
+botRouter.get('/group-settings/:groupId', viewer, (req, res) => {
+  res.json({
+    settings: req.bot.getGroupSettings(req.params.groupId),
+    commands: req.bot.commandRegistry.names(),
+    ...req.bot.describeAIProviders()
+  });
+});
+
+botRouter.post('/group-settings/:groupId', operator, async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    if (!req.bot.activeGroups.includes(groupId)) {
+      return res.status(404).json({ error: 'Group is not active' });
+    }
+
+    const settings = await req.bot.setGroupSettings(groupId, req.body || {});
+    req.bot.audit('update-group-settings', req.user.username, { groupId, settings });
+    res.json({ success: true, settings });
+  } catch (error) {
+    console.error('Error saving group settings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Messages sent from the dashboard, now or at a scheduled time
+botRouter.get('/outbound', viewer, (req, res) => {
+  res.json({ messages: req.bot.outboundQueue.list() });
+});
+
+botRouter.post('/outbound', operator, async (req, res) => {
+  try {
+    const { groupIds, body, scheduledAt } = req.body || {};
+
+    if (!Array.isArray(groupIds) || groupIds.length === 0) {
+      return res.status(400).json({ error: 'groupIds must be a non-empty array' });
+    }
+    if (typeof body !== 'string' || !body.trim()) {
+      return res.status(400).json({ error: 'body must be a non-empty string' });
+    }
+    if (body.length > req.bot.replyStreaming.maxLength) {
+      return res.status(400).json({ error: `body must be at most ${req.bot.replyStreaming.maxLength} characters` });
+    }
+    if (scheduledAt !== undefined && scheduledAt !== null && Number.isNaN(new Date(scheduledAt).getTime())) {
+      return res.status(400).json({ error: 'scheduledAt must be a valid date' });
+    }
+
+    const inactive = groupIds.filter(groupId => !req.bot.activeGroups.includes(groupId));
+    if (inactive.length > 0) {
+      return res.status(404).json({ error: `Groups are not active: ${inactive.join(', ')}` });
+    }
+
+    const messages = await req.bot.outboundQueue.enqueue({ groupIds, body: body.trim(), scheduledAt });
+    req.bot.audit('send-message', req.user.username, { groupIds, scheduledAt: scheduledAt || null, body: body.trim() });
+    req.bot.emitOutboundUpdate();
+    res.json({ success: true, messages });
+  } catch (error) {
+    console.error('Error queueing outbound message:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+botRouter.post('/outbound/:id/cancel', operator, async (req, res) => {
+  try {
+    const cancelled = await req.bot.outboundQueue.cancel(req.params.id);
+    if (!cancelled) {
+      return res.status(404).json({ error: 'No pending or unconfirmed message with that id' });
+    }
+    req.bot.audit('cancel-message', req.user.username, { id: req.params.id });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error cancelling outbound message:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Only for messages interrupted mid-send, once the operator checked they never arrived
+botRouter.post('/outbound/:id/resend', operator, async (req, res) => {
+  try {
+    const resent = await req.bot.outboundQueue.resend(req.params.id);
+    if (!resent) {
+      return res.status(404).json({ error: 'No unconfirmed message with that id' });
+    }
+    req.bot.audit('resend-message', req.user.username, { id: req.params.id });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error resending outbound message:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Scheduled digests
+botRouter.get('/digests', viewer, (req, res) => {
+  res.json({ schedules: req.bot.digestScheduler.list() });
+});
+
+botRouter.post('/digests', operator, async (req, res) => {
+  try {
+    const input = req.body || {};
+    const validationError = validateDigestSchedule(input);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    if (!req.bot.activeGroups.includes(input.groupId)) {
+      return res.status(404).json({ error: 'Group is not active' });
+    }
+
+    const schedule = await req.bot.digestScheduler.save(input);
+    req.bot.audit('save-digest', req.user.username, { id: schedule.id, groupId: schedule.groupId, cron: schedule.cron, enabled: schedule.enabled });
+    req.bot.emitDigestUpdate();
+    res.json({ success: true, schedule });
+  } catch (error) {
+    console.error('Error saving digest schedule:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+botRouter.post('/digests/:id/delete', operator, async (req, res) => {
+  try {
+    const removed = await req.bot.digestScheduler.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    req.bot.audit('delete-digest', req.user.username, { id: req.params.id });
+    req.bot.emitDigestUpdate();
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting digest schedule:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+botRouter.post('/digests/:id/run', operator, async (req, res) => {
+  try {
+    req.bot.audit('run-digest', req.user.username, { id: req.params.id });
+    const sent = await req.bot.digestScheduler.run(req.params.id);
+    res.json({ success: sent });
+  } catch (error) {
+    console.error('Error sending digest:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Rate limits and daily quotas
+botRouter.get('/rate-limits', viewer, (req, res) => {
+  res.json({ limits: req.bot.rateLimits });
+});
+
+botRouter.post('/rate-limits', admin, async (req, res) => {
+  try {
+    const limits = await req.bot.setRateLimits(req.body || {});
+    req.bot.audit('update-rate-limits', req.user.username, { limits });
+    res.json({ success: true, limits });
+  } catch (error) {
+    console.error('Error saving rate limits:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+botRouter.get('/bot-status', viewer, (req, res) => {
+  console.log(`Checking bot status for ${req.bot.botId}`);
+  const status = req.bot.getBotStatus();
   res.json({ status });
 });
 
+// Stored WhatsApp sessions: inspect, clean up, purge, back up and restore
+botRouter.get('/sessions', viewer, async (req, res) => {
+  try {
+    res.json(await req.bot.getStoredSessions());
+  } catch (error) {
+    console.error('Error listing stored sessions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+botRouter.post('/sessions/cleanup', admin, async (req, res) => {
+  const maxAgeHours = Number(req.body?.maxAgeHours ?? 24);
+  if (!Number.isInteger(maxAgeHours) || maxAgeHours < 1 || maxAgeHours > 24 * 365) {
+    return res.status(400).json({ error: 'maxAgeHours must be a whole number of hours between 1 and 8760' });
+  }
+
+  const result = await req.bot.manualPurgeSessions(false, maxAgeHours);
+  if (result.success) {
+    req.bot.audit('session-cleanup', req.user.username, { maxAgeHours, deletedCount: result.deletedCount });
+  }
+  res.status(result.success ? 200 : 500).json(result);
+});
+
+// Stops the bot and deletes every stored session of it; it has to be linked with a QR code again
+botRouter.post('/sessions/purge', admin, async (req, res) => {
+  if (req.body?.confirm !== req.bot.botId) {
+    return res.status(400).json({ error: `Send { "confirm": "${req.bot.botId}" } to purge every stored session of this bot` });
+  }
+
+  const result = await req.bot.manualPurgeSessions(true);
+  if (result.success) {
+    req.bot.audit('session-purge', req.user.username, { deletedCount: result.deletedCount, stopped: result.stopped });
+  }
+  res.status(result.success ? 200 : 500).json(result);
+});
+
+botRouter.get('/sessions/export', admin, async (req, res) => {
+  const result = await req.bot.exportSessionBackup();
+  if (!result.success) {
+    return res.status(404).json({ error: result.error });
+  }
+
+  req.bot.audit('session-export', req.user.username, { sessionId: result.backup.sessionId, encryptionKeyId: result.backup.encryptionKeyId });
+  res.setHeader('Content-Disposition', `attachment; filename="session-${req.bot.botId}-${new Date().toISOString().slice(0, 10)}.json"`);
+  res.json(result.backup);
+});
+
+// The backup is sent as a raw file body: it is larger than the JSON parser's limit
+botRouter.post('/sessions/import', admin, express.raw({ type: 'application/octet-stream', limit: '100mb' }), async (req, res) => {
+  let backup;
+  try {
+    backup = JSON.parse(Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '');
+  } catch (error) {
+    return res.status(400).json({ error: 'Upload a session backup file as application/octet-stream' });
+  }
+
+  const result = await req.bot.importSessionBackup(backup);
+  if (!result.success) {
+    return res.status(400).json({ error: result.error });
+  }
+
+  req.bot.audit('session-import', req.user.username, { from: backup.sessionId, exportedAt: backup.exportedAt });
+  res.json({ ...result, message: 'Session imported. Restart the bot to connect with it.' });
+});
+
+// Audit log, filterable by action, actor, category, bot and time range
+const auditFilters = (query) => ({
+  action: query.action || undefined,
+  actor: query.actor || undefined,
+  category: query.category || undefined,
+  botId: query.botId || undefined,
+  since: query.since || undefined,
+  until: query.until || undefined
+});
+
+const invalidAuditDates = (query) => ['since', 'until']
+  .filter(key => query[key] && Number.isNaN(new Date(query[key]).getTime()));
+
+app.get('/api/audit', admin, async (req, res) => {
+  const invalid = invalidAuditDates(req.query);
+  if (invalid.length > 0) {
+    return res.status(400).json({ error: `${invalid.join(' and ')} must be valid dates` });
+  }
+
+  const limit = Math.min(Math.max(Number(req.query.limit) || 200, 1), 1000);
+  const entries = await registry.auditStore.query({ ...auditFilters(req.query), limit });
+  res.json({ entries });
+});
+
+app.get('/api/audit/export', admin, async (req, res) => {
+  const invalid = invalidAuditDates(req.query);
+  if (invalid.length > 0) {
+    return res.status(400).json({ error: `${invalid.join(' and ')} must be valid dates` });
+  }
+
+  const entries = await registry.auditStore.query({ ...auditFilters(req.query), limit: 5000 });
+  const rows = entries.map(entry => ({
+    time: new Date(entry.createdAt).toISOString(),
+    actor: entry.actor,
+    category: entry.category,
+    bot: entry.botId || '',
+    action: entry.action,
+    details: JSON.stringify(entry.details)
+  }));
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+  res.send(toCsv(rows, ['time', 'actor', 'category', 'bot', 'action', 'details']));
+});
+
+app.get('/api/cors-policy', admin, (req, res) => {
+  res.json({ policy: corsPolicy.describe() });
+});
+
+// WhatsApp accounts run by this backend
+app.get('/api/bots', viewer, (req, res) => {
+  res.json({ bots: registry.list() });
+});
+
+app.post('/api/bots', admin, async (req, res) => {
+  try {
+    const input = req.body || {};
+    const validationError = validateBotInput(input);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    if (registry.get(input.id)) {
+      return res.status(409).json({ error: `A bot with id "${input.id}" already exists` });
+    }
+
+    const bot = await registry.add(input, req.user.username);
+    res.json({ success: true, bot: { id: bot.botId, name: bot.name } });
+  } catch (error) {
+    console.error('Error adding bot:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/bots/:botId/delete', admin, async (req, res) => {
+  try {
+    const { botId } = req.params;
+    if (botId === DEFAULT_BOT_ID) {
+      return res.status(400).json({ error: 'The default bot cannot be removed' });
+    }
+
+    const removed = await registry.remove(botId, req.user.username);
+    if (!removed) {
+      return res.status(404).json({ error: `Unknown bot: ${botId}` });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing bot:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.use('/api/bots/:botId', botRouter);
+app.use('/api', botRouter);
+
 // Serve React app for non-API routes
 app.get(/^(?!\/api).*/, (req, res) => {
   console.log(`Serving React app for route: ${req.originalUrl}`);
@@ -134,43 +540,90 @@ app.get(/^(?!\/api).*/, (req, res) => {
 });
 
 // Socket.io for real-time communication
-// In your socket.io connection handler in index.js:
+// Every dashboard socket must present a valid token in its handshake
+io.use(auth.socketMiddleware());
+
 io.on('connection', (socket) => {
-  console.log('Admin client connected:', socket.id);
-  
-  // Add socket to bot manager
-  botManager.addSocketConnection(socket);
-  
-  socket.on('start-bot', async () => {
-    console.log('Manual bot start requested');
-    await botManager.initializeBot();
+  const { username, role } = socket.data.user;
+  console.log(`Dashboard client connected: ${socket.id} (${username}, ${role})`);
+
+  // The socket receives events from one bot at a time, picked in the handshake or with 'select-bot'.
+  // The registry moves it to the default bot if its bot is removed.
+  registry.addSocketConnection(socket);
+  registry.selectBot(socket, registry.get(socket.handshake.auth?.botId) ? socket.handshake.auth.botId : DEFAULT_BOT_ID);
+
+  onWithRole(socket, 'select-bot', 'viewer', ({ botId } = {}) => {
+    if (!registry.selectBot(socket, botId)) {
+      socket.emit('bot-error', { error: `Unknown bot: ${botId}` });
+    }
+  });
+
+  // Role-checked handler for an action on one bot (payload.botId, or the selected bot),
+  // which is also written to the audit log
+  const onAudited = (event, requiredRole, handler) => onWithRole(socket, event, requiredRole, (payload = {}) => {
+    const bot = payload.botId ? registry.get(payload.botId) : registry.socketBot(socket);
+    if (!bot) {
+      socket.emit('bot-error', { error: `Unknown bot: ${payload.botId}` });
+      return;
+    }
+
+    const { botId, ...details } = payload;
+    bot.audit(event, username, details);
+    return handler(bot, details);
   });
-  
-  socket.on('stop-bot', () => {
-    console.log('Manual bot stop requested');
-    botManager.stopBot();
+
+  onAudited('start-bot', 'admin', async (bot) => {
+    console.log(`Manual bot start requested for ${bot.botId}`);
+    await bot.initializeBot();
+  });
+
+  onAudited('stop-bot', 'admin', (bot) => {
+    console.log(`Manual bot stop requested for ${bot.botId}`);
+    bot.stopBot();
   });
-  
+
   // 🆕 NEW: Force QR generation
-  socket.on('force-qr', () => {
-    console.log('Force QR requested by client');
-    botManager.forceQRGeneration();
+  onAudited('force-qr', 'admin', (bot) => {
+    console.log(`Force QR requested by client for ${bot.botId}`);
+    bot.forceQRGeneration();
   });
-  
+
   // 🆕 NEW: Retry session restoration
-  socket.on('retry-session', () => {
-    console.log('Session retry requested by client');
-    botManager.initializeBot(); // This will trigger session restoration again
+  onAudited('retry-session', 'admin', (bot) => {
+    console.log(`Session retry requested by client for ${bot.botId}`);
+    bot.initializeBot(); // This will trigger session restoration again
   });
-  
+
   socket.on('disconnect', () => {
-    console.log('Admin client disconnected:', socket.id);
-    botManager.removeSocketConnection(socket);
+    console.log('Dashboard client disconnected:', socket.id);
+    registry.socketBot(socket).removeSocketConnection(socket);
+    registry.removeSocketConnection(socket);
+  });
+
+  onAudited('force-retry', 'admin', async (bot) => {
+    console.log(`Force retry connection requested by client for ${bot.botId}`);
+    await bot.forceRetryConnection();
+  });
+
+  // Queue inspector actions
+  onAudited('queue-cancel', 'operator', async (bot, { id }) => {
+    console.log('Queue cancel requested for:', id);
+    await bot.cancelRequest(id);
+  });
+
+  onAudited('queue-prioritize', 'operator', (bot, { id }) => {
+    console.log('Queue prioritize requested for:', id);
+    bot.prioritizeRequest(id);
+  });
+
+  onAudited('queue-retry', 'operator', async (bot, { id }) => {
+    console.log('Queue retry requested for:', id);
+    await bot.retryRequest(id);
   });
 
-  socket.on('force-retry', async () => {
-    console.log('Force retry connection requested by client');
-    await botManager.forceRetryConnection();
+  onAudited('circuit-reset', 'operator', (bot, { name }) => {
+    console.log('Circuit breaker reset requested for:', name);
+    bot.resetCircuitBreaker(name);
   });
 });
 
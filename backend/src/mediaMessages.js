@@ -0,0 +1,86 @@
+// backend/src/mediaMessages.js
+import axios from 'axios';
+
+const MEDIA_TYPES = {
+  image: 'image',
+  video: 'video',
+  audio: 'audio',
+  ptt: 'voice note',
+  document: 'document',
+  sticker: 'sticker',
+};
+
+// Pull caption, attachment and quoted-reply details out of a whatsapp-web.js message.
+// For media messages whatsapp-web.js puts the caption in `body`.
+export async function extractMessageDetails(message) {
+  const details = {
+    body: message.body || '',
+    mediaType: null,
+    filename: null,
+    mimetype: null,
+    quoted: null,
+  };
+
+  if (message.hasMedia) {
+    details.mediaType = MEDIA_TYPES[message.type] || message.type;
+    details.filename = message._data?.filename || null;
+    details.mimetype = message._data?.mimetype || null;
+  }
+
+  if (message.hasQuotedMsg) {
+    try {
+      const quoted = await message.getQuotedMessage();
+      if (quoted) {
+        details.quoted = {
+          id: quoted.id._serialized,
+          senderId: quoted.author || quoted.from,
+          fromMe: quoted.fromMe,
+          body: quoted.hasMedia && !quoted.body
+            ? `[${MEDIA_TYPES[quoted.type] || quoted.type}]`
+            : quoted.body || '',
+        };
+      }
+    } catch (error) {
+      console.error(`[MEDIA] Could not load quoted message for ${message.id._serialized}:`, error.message);
+    }
+  }
+
+  return details;
+}
+
+// Short readable label such as "[document: report.pdf]"
+export function describeMedia(mediaType, filename) {
+  if (!mediaType) return '';
+  return filename ? `[${mediaType}: ${filename}]` : `[${mediaType}]`;
+}
+
+// Send the media bytes to the configured upload endpoint. Returns the stored reference or null.
+export async function uploadMedia(message, { endpoint, maxBytes, groupId }) {
+  try {
+    const media = await message.downloadMedia();
+    if (!media || !media.data) return null;
+
+    const size = media.filesize || Math.floor(media.data.length * 3 / 4);
+    if (size > maxBytes) {
+      console.log(`[MEDIA] Skipping upload of ${message.id._serialized}: ${size} bytes exceeds ${maxBytes}`);
+      return null;
+    }
+
+    const response = await axios.post(endpoint, {
+      message_id: message.id._serialized,
+      group_id: groupId,
+      mimetype: media.mimetype,
+      filename: media.filename || null,
+      data: media.data,
+    }, {
+      timeout: 60 * 1000,
+      headers: { 'Content-Type': 'application/json' },
+      maxBodyLength: Infinity,
+    });
+
+    return response.data?.url || response.data?.id || null;
+  } catch (error) {
+    console.error(`[MEDIA] Upload failed for ${message.id._serialized}:`, error.message);
+    return null;
+  }
+}
@@ -0,0 +1,92 @@
+// backend/src/messageHistoryStore.js
+import { supabase } from './supabaseClient.js';
+import { DEFAULT_BOT_ID } from './utils.js';
+
+// Conversation history for active groups, kept in Supabase so context survives restarts.
+// Keyed per bot: two bots in one group record the same WhatsApp message ids.
+export class MessageHistoryStore {
+  constructor(botId = DEFAULT_BOT_ID) {
+    this.botId = botId;
+    this.tableName = 'message_history';
+  }
+
+  async record(entry) {
+    try {
+      const { error } = await supabase
+        .from(this.tableName)
+        .upsert({
+          bot_id: this.botId,
+          message_id: entry.messageId,
+          group_id: entry.groupId,
+          sender_id: entry.senderId,
+          sender_name: entry.senderName,
+          body: entry.body,
+          media_type: entry.mediaType,
+          media_filename: entry.filename,
+          media_mimetype: entry.mimetype,
+          media_url: entry.mediaUrl,
+          quoted_message_id: entry.quoted?.id || null,
+          quoted_sender_id: entry.quoted?.senderId || null,
+          quoted_from_me: entry.quoted?.fromMe || false,
+          quoted_body: entry.quoted?.body || null,
+          timestamp: new Date(entry.timestamp * 1000).toISOString()
+        }, {
+          onConflict: 'bot_id,message_id'
+        });
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error(`[HISTORY] Failed to record message ${entry.messageId}:`, error);
+      return false;
+    }
+  }
+
+  // Most recent messages for a group, oldest first.
+  // maxMessages caps the count, maxHours (0 = no limit) caps how far back to look.
+  async getContext(groupId, { maxMessages, maxHours }) {
+    try {
+      let query = supabase
+        .from(this.tableName)
+        .select('message_id, sender_id, sender_name, body, media_type, media_filename, media_mimetype, media_url, ' +
+                'quoted_message_id, quoted_sender_id, quoted_from_me, quoted_body, timestamp')
+        .eq('bot_id', this.botId)
+        .eq('group_id', groupId);
+
+      if (maxHours > 0) {
+        const cutoff = new Date(Date.now() - maxHours * 60 * 60 * 1000).toISOString();
+        query = query.gte('timestamp', cutoff);
+      }
+
+      const { data, error } = await query
+        .order('timestamp', { ascending: false })
+        .limit(maxMessages);
+
+      if (error) throw error;
+      return (data || []).reverse();
+    } catch (error) {
+      console.error(`[HISTORY] Failed to load context for group ${groupId}:`, error);
+      return [];
+    }
+  }
+
+  // Delete messages older than the group's retention period
+  async cleanup(groupId, retentionDays) {
+    try {
+      const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .delete()
+        .eq('bot_id', this.botId)
+        .eq('group_id', groupId)
+        .lt('timestamp', cutoff)
+        .select('message_id');
+
+      if (error) throw error;
+      return data ? data.length : 0;
+    } catch (error) {
+      console.error(`[HISTORY] Failed to clean up history for group ${groupId}:`, error);
+      return 0;
+    }
+  }
+}
@@ -0,0 +1,279 @@
+// backend/src/migrations.js
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createHash } from 'crypto';
+import pg from 'pg';
+import { supabase, isSupabaseConfigured } from './supabaseClient.js';
+import { resolveSessionStoreType } from './sessionStore.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+const MIGRATION_FILE_PATTERN = /^(\d{3,})_([a-z0-9_]+)\.sql$/;
+
+// Held while migrating so two instances starting together don't both run a migration
+const MIGRATION_LOCK_ID = 72011;
+
+// What the code reads and writes. unique lists the column sets used as upsert conflict targets;
+// Postgres rejects those upserts unless a matching unique constraint exists.
+export const EXPECTED_SCHEMA = {
+  whatsapp_sessions: {
+    columns: ['id', 'session', 'client_id', 'version', 'checksum', 'chunks_count', 'total_size', 'encryption_key_id', 'last_accessed', 'updated_at'],
+    unique: [['id']]
+  },
+  whatsapp_session_chunks: {
+    columns: ['session_id', 'version', 'chunk_index', 'chunk_data', 'total_chunks', 'updated_at'],
+    unique: [['session_id', 'version', 'chunk_index']]
+  },
+  whatsapp_session_versions: {
+    columns: ['session_id', 'version', 'checksum', 'chunks_count', 'total_size', 'encryption_key_id', 'created_at'],
+    unique: [['session_id', 'version']]
+  },
+  bot_settings: {
+    columns: ['key', 'value'],
+    unique: [['key']]
+  },
+  rate_limit_state: {
+    columns: ['key', 'tokens', 'updated_at', 'daily_count', 'daily_date'],
+    unique: [['key']]
+  },
+  message_history: {
+    columns: ['bot_id', 'message_id', 'group_id', 'sender_id', 'sender_name', 'body', 'media_type', 'media_filename', 'media_mimetype',
+      'media_url', 'quoted_message_id', 'quoted_sender_id', 'quoted_from_me', 'quoted_body', 'timestamp'],
+    unique: [['bot_id', 'message_id']]
+  },
+  conversation_threads: {
+    columns: ['bot_id', 'reply_message_id', 'thread_id', 'group_id', 'prompt', 'answer', 'command_type', 'created_at'],
+    unique: [['bot_id', 'reply_message_id']]
+  },
+  queued_requests: {
+    columns: ['id', 'bot_id', 'group_id', 'message_id', 'sender_id', 'prompt', 'command_type', 'bypass_cache', 'enqueued_at'],
+    unique: [['id']]
+  },
+  digest_schedules: {
+    columns: ['id', 'bot_id', 'group_id', 'cron', 'timezone', 'period', 'enabled', 'last_run_at', 'created_at'],
+    unique: [['id']]
+  },
+  outbound_messages: {
+    columns: ['id', 'bot_id', 'broadcast_id', 'group_id', 'body', 'status', 'scheduled_at', 'created_at',
+      'sent_at', 'delivered_at', 'whatsapp_message_id', 'error'],
+    unique: [['id']]
+  },
+  dashboard_users: {
+    columns: ['username', 'password_hash', 'role', 'disabled'],
+    unique: [['username']]
+  },
+  audit_log: {
+    columns: ['id', 'action', 'actor', 'category', 'bot_id', 'details', 'created_at'],
+    unique: [['id']]
+  }
+};
+
+// DATABASE_URL is the Postgres connection string from Supabase (Project Settings -> Database),
+// e.g. postgresql://postgres:<password>@db.<project>.supabase.co:5432/postgres?sslmode=require
+async function connect(databaseUrl) {
+  if (!databaseUrl) {
+    throw new Error('DATABASE_URL is not set - migrations need a direct Postgres connection');
+  }
+  const client = new pg.Client({ connectionString: databaseUrl });
+  await client.connect();
+  return client;
+}
+
+export async function loadMigrationFiles(directory = MIGRATIONS_DIR) {
+  const files = (await fs.readdir(directory)).filter(file => file.endsWith('.sql')).sort();
+  const migrations = [];
+
+  for (const file of files) {
+    const match = MIGRATION_FILE_PATTERN.exec(file);
+    if (!match) {
+      throw new Error(`Migration file ${file} must be named like 003_add_something.sql`);
+    }
+    if (migrations.some(migration => migration.version === match[1])) {
+      throw new Error(`Two migrations share the version ${match[1]}`);
+    }
+
+    const sql = await fs.readFile(path.join(directory, file), 'utf8');
+    migrations.push({
+      version: match[1],
+      name: match[2],
+      sql,
+      checksum: createHash('sha256').update(sql).digest('hex')
+    });
+  }
+
+  return migrations;
+}
+
+async function readAppliedMigrations(client) {
+  await client.query(`
+    create table if not exists schema_migrations (
+      version text primary key,
+      name text not null,
+      checksum text not null,
+      applied_at timestamptz not null default now()
+    )
+  `);
+  const { rows } = await client.query('select version, name, checksum, applied_at from schema_migrations');
+  return new Map(rows.map(row => [row.version, row]));
+}
+
+// Applies pending migrations in order, each in its own transaction. Returns the ones applied.
+export async function runMigrations(databaseUrl = process.env.DATABASE_URL) {
+  const migrations = await loadMigrationFiles();
+  const client = await connect(databaseUrl);
+  const appliedNow = [];
+
+  try {
+    await client.query('select pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    const applied = await readAppliedMigrations(client);
+
+    for (const migration of migrations) {
+      const existing = applied.get(migration.version);
+      if (existing) {
+        if (existing.checksum !== migration.checksum) {
+          console.warn(`⚠️ [MIGRATE] ${migration.version}_${migration.name}.sql changed after it was applied - add a new migration instead of editing it`);
+        }
+        continue;
+      }
+
+      console.log(`[MIGRATE] Applying ${migration.version}_${migration.name}.sql...`);
+      try {
+        await client.query('begin');
+        await client.query(migration.sql);
+        await client.query(
+          'insert into schema_migrations (version, name, checksum) values ($1, $2, $3)',
+          [migration.version, migration.name, migration.checksum]
+        );
+        await client.query('commit');
+      } catch (error) {
+        await client.query('rollback');
+        throw new Error(`Migration ${migration.version}_${migration.name}.sql failed and was rolled back: ${error.message}`);
+      }
+      appliedNow.push(migration);
+    }
+
+    return appliedNow;
+  } finally {
+    await client.query('select pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    await client.end();
+  }
+}
+
+export async function getMigrationStatus(databaseUrl = process.env.DATABASE_URL) {
+  const migrations = await loadMigrationFiles();
+  const client = await connect(databaseUrl);
+
+  try {
+    const applied = await readAppliedMigrations(client);
+    return migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      appliedAt: applied.get(migration.version)?.applied_at || null,
+      modified: applied.has(migration.version) && applied.get(migration.version).checksum !== migration.checksum
+    }));
+  } finally {
+    await client.end();
+  }
+}
+
+// Full check through Postgres: tables, columns and unique constraints
+async function checkSchemaWithPostgres(databaseUrl, expectedSchema) {
+  const client = await connect(databaseUrl);
+  const tables = Object.keys(expectedSchema);
+
+  try {
+    const { rows: columnRows } = await client.query(
+      `select table_name, column_name from information_schema.columns
+       where table_schema = 'public' and table_name = any($1)`,
+      [tables]
+    );
+    const { rows: uniqueRows } = await client.query(
+      `select t.relname as table_name, array_agg(a.attname::text order by a.attname::text) as columns
+       from pg_index i
+       join pg_class t on t.oid = i.indrelid
+       join pg_namespace n on n.oid = t.relnamespace
+       join pg_attribute a on a.attrelid = t.oid and a.attnum = any(i.indkey)
+       where i.indisunique and n.nspname = 'public' and t.relname = any($1)
+       group by t.relname, i.indexrelid`,
+      [tables]
+    );
+
+    const problems = [];
+    for (const [table, expected] of Object.entries(expectedSchema)) {
+      const columns = columnRows.filter(row => row.table_name === table).map(row => row.column_name);
+      if (columns.length === 0) {
+        problems.push(`table ${table} is missing`);
+        continue;
+      }
+
+      const missing = expected.columns.filter(column => !columns.includes(column));
+      if (missing.length > 0) problems.push(`${table} is missing column(s) ${missing.join(', ')}`);
+
+      const uniqueSets = uniqueRows.filter(row => row.table_name === table).map(row => [...row.columns].sort().join(','));
+      for (const unique of expected.unique) {
+        if (!uniqueSets.includes([...unique].sort().join(','))) {
+          problems.push(`${table} needs a unique constraint on (${unique.join(', ')})`);
+        }
+      }
+    }
+    return problems;
+  } finally {
+    await client.end();
+  }
+}
+
+// Without DATABASE_URL only what PostgREST exposes can be checked: tables and columns
+async function checkSchemaWithSupabase(expectedSchema) {
+  const problems = [];
+  for (const [table, expected] of Object.entries(expectedSchema)) {
+    const { error } = await supabase.from(table).select(expected.columns.join(',')).limit(0);
+    if (error) problems.push(`${table}: ${error.message}`);
+  }
+  return problems;
+}
+
+// Returns a list of problems; empty when the database matches what the code expects
+export async function checkSchema(databaseUrl = process.env.DATABASE_URL, expectedSchema = EXPECTED_SCHEMA) {
+  return databaseUrl ? checkSchemaWithPostgres(databaseUrl, expectedSchema) : checkSchemaWithSupabase(expectedSchema);
+}
+
+// The whatsapp_session* tables only matter when sessions are kept in Supabase
+export function schemaForEnv(env = process.env) {
+  if (resolveSessionStoreType(env) === 'supabase') return EXPECTED_SCHEMA;
+  return Object.fromEntries(Object.entries(EXPECTED_SCHEMA).filter(([table]) => !table.startsWith('whatsapp_session')));
+}
+
+// Runs at boot before any bot starts:
+//   MIGRATE_ON_START=true  apply pending migrations first (needs DATABASE_URL)
+//   SCHEMA_CHECK=false     skip the check, e.g. while migrating by hand
+// Throws with every problem listed if the schema is not what the code expects.
+export async function prepareDatabase(env = process.env) {
+  if (env.MIGRATE_ON_START === 'true') {
+    const applied = await runMigrations(env.DATABASE_URL);
+    console.log(`[MIGRATE] ${applied.length > 0 ? `Applied ${applied.map(m => m.version).join(', ')}` : 'Database is up to date'}`);
+  }
+
+  if (env.SCHEMA_CHECK === 'false') {
+    console.warn('⚠️ [MIGRATE] SCHEMA_CHECK=false - database schema not checked');
+    return;
+  }
+  if (!env.DATABASE_URL && !isSupabaseConfigured) {
+    console.warn('⚠️ [MIGRATE] No database configured - schema check skipped');
+    return;
+  }
+
+  const expectedSchema = schemaForEnv(env);
+  const problems = await checkSchema(env.DATABASE_URL, expectedSchema);
+  if (problems.length > 0) {
+    throw new Error(
+      `Database schema does not match this version of the backend:\n  - ${problems.join('\n  - ')}\n` +
+      'Run "npm run migrate" with DATABASE_URL set, or start with MIGRATE_ON_START=true'
+    );
+  }
+
+  if (!env.DATABASE_URL) {
+    console.warn('⚠️ [MIGRATE] Set DATABASE_URL to also check unique constraints');
+  }
+  console.log(`✅ [MIGRATE] Database schema OK (${Object.keys(expectedSchema).length} tables)`);
+}
@@ -0,0 +1,215 @@
+// backend/src/outboundQueue.js
+import { randomUUID } from 'crypto';
+import { OutboundStore } from './outboundStore.js';
+
+// whatsapp-web.js MessageAck values
+const ACK_ERROR = -1;
+const ACK_DEVICE = 2;
+
+const TICK_INTERVAL = 1000;
+const MAX_RECENT = 100;
+
+// Not finished yet: waiting, handed to WhatsApp right now, or interrupted while being handed over
+const OPEN_STATUSES = ['pending', 'sending', 'unconfirmed'];
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    broadcastId: row.broadcast_id,
+    groupId: row.group_id,
+    body: row.body,
+    status: row.status,
+    scheduledAt: new Date(row.scheduled_at).getTime(),
+    createdAt: new Date(row.created_at).getTime(),
+    sentAt: row.sent_at ? new Date(row.sent_at).getTime() : null,
+    deliveredAt: row.delivered_at ? new Date(row.delivered_at).getTime() : null,
+    whatsappMessageId: row.whatsapp_message_id || null,
+    error: row.error || null
+  };
+}
+
+// Throttled sender for dashboard messages. At most one message goes out every minIntervalMs
+// and no more than maxPerMinute per rolling minute, so broadcasts to many groups don't look like spam.
+// Scheduled messages wait in the same queue until their time has come.
+// A message is marked 'sending' before it goes to WhatsApp. One still 'sending' at startup may or may
+// not have gone out, so it becomes 'unconfirmed' and is only sent again when an operator resends it.
+export class OutboundQueue {
+  constructor(botManager, {
+    minIntervalMs = Number(process.env.OUTBOUND_MIN_INTERVAL_MS) || 3000,
+    maxPerMinute = Number(process.env.OUTBOUND_MAX_PER_MINUTE) || 20
+  } = {}) {
+    this.botManager = botManager;
+    this.store = new OutboundStore(botManager.botId);
+    this.minIntervalMs = minIntervalMs;
+    this.maxPerMinute = maxPerMinute;
+
+    this.items = new Map();
+    this.byWhatsAppId = new Map();
+    this.recentSends = [];
+    this.lastSentAt = 0;
+    this.sending = false;
+    this.timer = null;
+  }
+
+  async start() {
+    const rows = await this.store.load(MAX_RECENT);
+    for (const row of rows) this.track(fromRow(row));
+
+    const interrupted = this.list().filter(item => item.status === 'sending');
+    for (const item of interrupted) {
+      await this.setStatus(item, { status: 'unconfirmed', error: 'Interrupted while sending; check the group before resending' });
+    }
+
+    const pending = this.list().filter(item => item.status === 'pending').length;
+    console.log(`[OUTBOUND] Loaded ${this.items.size} messages, ${pending} pending, ${interrupted.length} unconfirmed`);
+
+    this.timer = setInterval(() => this.tick(), TICK_INTERVAL);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  track(item) {
+    this.items.set(item.id, item);
+    if (item.whatsappMessageId) this.byWhatsAppId.set(item.whatsappMessageId, item);
+  }
+
+  list() {
+    return Array.from(this.items.values()).sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  // Queue `body` for each group; scheduledAt defaults to now
+  async enqueue({ groupIds, body, scheduledAt }) {
+    const now = Date.now();
+    const broadcastId = randomUUID();
+    const items = groupIds.map(groupId => ({
+      id: randomUUID(),
+      broadcastId,
+      groupId,
+      body,
+      status: 'pending',
+      scheduledAt: scheduledAt ? new Date(scheduledAt).getTime() : now,
+      createdAt: now,
+      sentAt: null,
+      deliveredAt: null,
+      whatsappMessageId: null,
+      error: null
+    }));
+
+    const saved = await this.store.add(items);
+    if (!saved) throw new Error('Failed to queue messages');
+
+    items.forEach(item => this.track(item));
+    console.log(`[OUTBOUND] Queued message for ${items.length} group(s), scheduled ${new Date(items[0].scheduledAt).toISOString()}`);
+    this.prune();
+    return items;
+  }
+
+  async cancel(id) {
+    const item = this.items.get(id);
+    if (!item || !['pending', 'unconfirmed'].includes(item.status)) return false;
+
+    await this.setStatus(item, { status: 'cancelled' });
+    console.log(`[OUTBOUND] Cancelled message ${id}`);
+    return true;
+  }
+
+  // Operator confirmed an unconfirmed message never arrived; queue it again
+  async resend(id) {
+    const item = this.items.get(id);
+    if (!item || item.status !== 'unconfirmed') return false;
+
+    await this.setStatus(item, { status: 'pending', error: null });
+    console.log(`[OUTBOUND] Requeued unconfirmed message ${id}`);
+    return true;
+  }
+
+  canSendNow(now) {
+    this.recentSends = this.recentSends.filter(time => now - time < 60 * 1000);
+    return now - this.lastSentAt >= this.minIntervalMs && this.recentSends.length < this.maxPerMinute;
+  }
+
+  async tick() {
+    const botManager = this.botManager;
+    if (this.sending || !botManager.client || botManager.getBotStatus() !== 'connected') return;
+
+    const now = Date.now();
+    if (!this.canSendNow(now)) return;
+
+    const next = this.list()
+      .filter(item => item.status === 'pending' && item.scheduledAt <= now)
+      .sort((a, b) => a.scheduledAt - b.scheduledAt)[0];
+    if (!next) return;
+
+    this.sending = true;
+    try {
+      await this.send(next);
+    } finally {
+      this.sending = false;
+    }
+  }
+
+  async send(item) {
+    // Without a persisted 'sending' a crash mid-send would send the message again on restart
+    if (!await this.setStatus(item, { status: 'sending' })) {
+      item.status = 'pending';
+      return;
+    }
+
+    this.lastSentAt = Date.now();
+    this.recentSends.push(this.lastSentAt);
+
+    try {
+      const sent = await this.botManager.client.sendMessage(item.groupId, item.body);
+      item.whatsappMessageId = sent.id._serialized;
+      this.byWhatsAppId.set(item.whatsappMessageId, item);
+
+      await this.setStatus(item, {
+        status: 'sent',
+        sentAt: Date.now(),
+        whatsappMessageId: item.whatsappMessageId
+      });
+      console.log(`[OUTBOUND] Sent message ${item.id} to ${item.groupId}`);
+    } catch (error) {
+      console.error(`[OUTBOUND] Failed to send message ${item.id}:`, error);
+      await this.setStatus(item, { status: 'failed', error: error.message });
+    }
+  }
+
+  // Delivery receipts from whatsapp-web.js 'message_ack'
+  async handleAck(message, ack) {
+    const item = this.byWhatsAppId.get(message.id._serialized);
+    if (!item) return;
+
+    if (ack === ACK_ERROR && item.status !== 'failed') {
+      await this.setStatus(item, { status: 'failed', error: 'WhatsApp reported a delivery error' });
+    } else if (ack >= ACK_DEVICE && item.status === 'sent') {
+      await this.setStatus(item, { status: 'delivered', deliveredAt: Date.now() });
+    }
+  }
+
+  async setStatus(item, changes) {
+    Object.assign(item, changes);
+
+    const fields = { status: item.status };
+    if (changes.sentAt) fields.sent_at = new Date(changes.sentAt).toISOString();
+    if (changes.deliveredAt) fields.delivered_at = new Date(changes.deliveredAt).toISOString();
+    if (changes.whatsappMessageId) fields.whatsapp_message_id = changes.whatsappMessageId;
+    if (changes.error !== undefined) fields.error = changes.error;
+
+    const saved = await this.store.update(item.id, fields);
+    this.botManager.emitOutboundUpdate();
+    return saved;
+  }
+
+  // Keep every unfinished message but only the latest finished ones in memory
+  prune() {
+    const finished = this.list().filter(item => !OPEN_STATUSES.includes(item.status));
+    for (const item of finished.slice(0, Math.max(0, finished.length - MAX_RECENT))) {
+      this.items.delete(item.id);
+      if (item.whatsappMessageId) this.byWhatsAppId.delete(item.whatsappMessageId);
+    }
+  }
+}
@@ -0,0 +1,76 @@
+// backend/src/outboundStore.js
+import { supabase } from './supabaseClient.js';
+import { DEFAULT_BOT_ID } from './utils.js';
+
+const FINISHED_STATUSES = ['sent', 'delivered', 'failed', 'cancelled'];
+
+// Messages sent by admins from the dashboard, one row per group.
+// status: pending -> sending -> sent -> delivered, or failed / cancelled.
+// unconfirmed: was 'sending' when the process stopped (see OutboundQueue)
+export class OutboundStore {
+  constructor(botId = DEFAULT_BOT_ID) {
+    this.botId = botId;
+    this.tableName = 'outbound_messages';
+  }
+
+  async add(items) {
+    try {
+      const { error } = await supabase
+        .from(this.tableName)
+        .insert(items.map(item => ({
+          id: item.id,
+          bot_id: this.botId,
+          broadcast_id: item.broadcastId,
+          group_id: item.groupId,
+          body: item.body,
+          status: item.status,
+          scheduled_at: new Date(item.scheduledAt).toISOString(),
+          created_at: new Date(item.createdAt).toISOString()
+        })));
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error('[OUTBOUND] Failed to persist messages:', error);
+      return false;
+    }
+  }
+
+  async update(id, fields) {
+    try {
+      const { error } = await supabase
+        .from(this.tableName)
+        .update(fields)
+        .eq('id', id);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error(`[OUTBOUND] Failed to update message ${id}:`, error);
+      return false;
+    }
+  }
+
+  // Unfinished messages plus the most recent finished ones, oldest first
+  async load(recentLimit) {
+    try {
+      const [pending, recent] = await Promise.all([
+        supabase.from(this.tableName).select('*').eq('bot_id', this.botId)
+          .in('status', ['pending', 'sending', 'unconfirmed']),
+        supabase.from(this.tableName).select('*').eq('bot_id', this.botId)
+          .in('status', FINISHED_STATUSES)
+          .order('created_at', { ascending: false })
+          .limit(recentLimit)
+      ]);
+
+      if (pending.error) throw pending.error;
+      if (recent.error) throw recent.error;
+
+      return [...(recent.data || []), ...(pending.data || [])]
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    } catch (error) {
+      console.error('[OUTBOUND] Failed to load messages:', error);
+      return [];
+    }
+  }
+}
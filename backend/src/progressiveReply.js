@@ -0,0 +1,179 @@
+// backend/src/progressiveReply.js
+import { splitMessage } from './utils.js';
+
+const PLACEHOLDER_TEXT = '_Generating response..._';
+const CURSOR = ' ▍';
+
+// Where `text` continues after `sent`, comparing everything but whitespace so a final answer that
+// was trimmed or re-wrapped still lines up with what was streamed. -1 if it doesn't start with it.
+function indexAfter(text, sent) {
+  let i = 0;
+  for (const char of sent) {
+    if (/\s/.test(char)) continue;
+    while (i < text.length && /\s/.test(text[i])) i++;
+    if (text[i] !== char) return -1;
+    i++;
+  }
+  return i;
+}
+
+// Delivers an AI answer to WhatsApp while it is being generated.
+// mode 'edit':   post a placeholder reply and edit it as text arrives
+// mode 'chunks': send each finished paragraph as its own message
+// mode 'none':   send nothing until the answer is complete
+// Whatever the mode, the final answer is split on maxLength instead of being truncated.
+export class ProgressiveReply {
+  constructor(message, chat, { mode = 'edit', maxLength = 4000, editIntervalMs = 1500 } = {}) {
+    this.message = message;
+    this.chat = chat;
+    this.mode = mode;
+    this.maxLength = maxLength;
+    this.editIntervalMs = editIntervalMs;
+
+    this.placeholder = null;
+    this.sentMessages = [];
+    this.sentLength = 0;
+    this.latestText = '';
+    this.lastFlushAt = 0;
+    this.lastPreview = null;
+    this.pending = null;
+  }
+
+  async start() {
+    if (this.mode !== 'edit') return;
+
+    try {
+      this.placeholder = await this.message.reply(PLACEHOLDER_TEXT);
+    } catch (error) {
+      console.error('[STREAM] Failed to send placeholder, sending paragraphs instead:', error.message);
+      this.mode = 'chunks';
+    }
+  }
+
+  // Called with the full text generated so far; flushes at most once per editIntervalMs
+  update(text) {
+    this.latestText = text;
+    if (this.mode === 'none' || this.pending) return;
+    if (Date.now() - this.lastFlushAt < this.editIntervalMs) return;
+
+    this.pending = this.flush()
+      .catch(error => console.error('[STREAM] Progressive update failed:', error.message))
+      .finally(() => {
+        this.lastFlushAt = Date.now();
+        this.pending = null;
+      });
+  }
+
+  async flush() {
+    if (this.mode === 'edit') {
+      const preview = this.latestText.length > this.maxLength - CURSOR.length
+        ? this.latestText.slice(0, this.maxLength - CURSOR.length)
+        : this.latestText;
+      // Past the length limit the preview stops changing; the rest is sent on finish
+      if (preview === this.lastPreview) return;
+      this.lastPreview = preview;
+
+      try {
+        await this.placeholder.edit(preview + CURSOR);
+      } catch (error) {
+        // Editing isn't available on every WhatsApp version; fall back to paragraph messages
+        console.error('[STREAM] Editing failed, sending paragraphs instead:', error.message);
+        this.mode = 'chunks';
+        await this.dropPlaceholder();
+      }
+      return;
+    }
+
+    if (this.mode === 'chunks') {
+      const unsent = this.latestText.slice(this.sentLength);
+      const paragraphEnd = unsent.lastIndexOf('\n\n');
+      if (paragraphEnd <= 0) return;
+
+      for (const part of splitMessage(unsent.slice(0, paragraphEnd), this.maxLength)) {
+        await this.send(part);
+      }
+      this.sentLength += paragraphEnd + 2;
+    }
+  }
+
+  // A retried or fallback generation streams again from the start. Edits simply overwrite the
+  // placeholder, but paragraphs already sent in 'chunks' mode can't be taken back.
+  async canRestart() {
+    if (this.pending) await this.pending;
+    return this.sentLength === 0;
+  }
+
+  async restart() {
+    if (this.pending) await this.pending;
+    this.latestText = '';
+    this.lastPreview = null;
+  }
+
+  // Deliver the complete answer. Returns the WhatsApp messages that make it up.
+  async finish(text) {
+    if (this.pending) await this.pending;
+
+    if (this.mode === 'edit' && this.placeholder) {
+      const [first, ...rest] = splitMessage(text, this.maxLength);
+      try {
+        await this.placeholder.edit(first || '');
+        this.sentMessages.unshift(this.placeholder);
+      } catch (error) {
+        console.error('[STREAM] Final edit failed, sending the answer as a new message:', error.message);
+        await this.dropPlaceholder();
+        await this.send(first || '');
+      }
+      for (const part of rest) await this.send(part);
+      return this.sentMessages;
+    }
+
+    for (const part of splitMessage(this.unsentPart(text), this.maxLength)) {
+      await this.send(part);
+    }
+    return this.sentMessages;
+  }
+
+  // The part of the final answer not yet sent as paragraphs. sentLength counts streamed text,
+  // which the final answer may not repeat exactly; if it doesn't even start with what was sent,
+  // the rest of the streamed text is used so nothing is sent twice.
+  unsentPart(text) {
+    if (this.sentLength === 0) return text;
+
+    const sent = this.latestText.slice(0, this.sentLength);
+    const index = indexAfter(text, sent);
+    if (index !== -1) return text.slice(index);
+
+    console.warn('[STREAM] Final answer differs from the streamed paragraphs, finishing with the streamed text');
+    return this.latestText.slice(this.sentLength);
+  }
+
+  // Replace the placeholder so it doesn't stay at "Generating..." after an error
+  async fail() {
+    if (this.pending) await this.pending;
+    if (!this.placeholder || this.mode !== 'edit') return;
+
+    try {
+      await this.placeholder.edit('_Generation failed._');
+    } catch (error) {
+      console.error('[STREAM] Failed to update placeholder after error:', error.message);
+    }
+  }
+
+  async dropPlaceholder() {
+    try {
+      await this.placeholder.delete(true);
+    } catch (error) {
+      console.error('[STREAM] Failed to delete placeholder:', error.message);
+    }
+    this.placeholder = null;
+  }
+
+  // The first part replies to the user's message; the rest follow as plain messages
+  async send(text) {
+    const sent = this.sentMessages.length === 0 && !this.placeholder
+      ? await this.message.reply(text)
+      : await this.chat.sendMessage(text);
+    if (sent) this.sentMessages.push(sent);
+    return sent;
+  }
+}
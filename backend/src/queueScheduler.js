@@ -0,0 +1,69 @@
+// backend/src/queueScheduler.js
+
+// Pick the next pending request to start. Requests an admin prioritized go first. Otherwise groups
+// take turns: the group served least recently (according to `lastServedByGroup`) goes first and the
+// oldest request within a group goes first. Groups that already have `perGroupLimit` requests in
+// flight are skipped. Returns null when nothing can start.
+export function pickNextRequest(queue, inFlightByGroup, lastServedByGroup, perGroupLimit) {
+  const hasCapacity = (groupId) => (inFlightByGroup.get(groupId) || 0) < perGroupLimit;
+
+  const prioritized = queue.find(request => request.prioritized && hasCapacity(request.groupId));
+  if (prioritized) return prioritized;
+
+  const groups = [];
+  for (const request of queue) {
+    if (!groups.includes(request.groupId)) groups.push(request.groupId);
+  }
+
+  // Array.prototype.sort is stable, so ties keep queue order
+  groups.sort((a, b) => (lastServedByGroup.get(a) || 0) - (lastServedByGroup.get(b) || 0));
+
+  for (const groupId of groups) {
+    if (!hasCapacity(groupId)) continue;
+    return queue.find(request => request.groupId === groupId);
+  }
+
+  return null;
+}
+
+// The pending requests in the order pickNextRequest will start them, assuming groups keep
+// taking turns as they do now. Per-group limits only delay a group, so they are left out.
+export function scheduledOrder(queue, lastServedByGroup) {
+  const remaining = [...queue];
+  const lastServed = new Map(lastServedByGroup);
+  let turn = Math.max(0, ...lastServed.values());
+  const order = [];
+
+  while (remaining.length > 0) {
+    const request = pickNextRequest(remaining, new Map(), lastServed, Infinity);
+    remaining.splice(remaining.indexOf(request), 1);
+    lastServed.set(request.groupId, ++turn);
+    order.push(request);
+  }
+
+  return order;
+}
+
+// Rolling average of recent processing times, used for wait estimates
+export class ProcessingTimeTracker {
+  constructor(windowSize = 20, defaultMs = 60 * 1000) {
+    this.windowSize = windowSize;
+    this.defaultMs = defaultMs;
+    this.samples = [];
+  }
+
+  record(durationMs) {
+    this.samples.push(durationMs);
+    if (this.samples.length > this.windowSize) this.samples.shift();
+  }
+
+  average() {
+    if (this.samples.length === 0) return this.defaultMs;
+    return this.samples.reduce((sum, ms) => sum + ms, 0) / this.samples.length;
+  }
+
+  // Wait for the request at `position` (1-based) when `workers` requests run in parallel
+  estimateWait(position, workers) {
+    return Math.ceil(position / workers) * this.average();
+  }
+}
@@ -0,0 +1,68 @@
+// backend/src/queueStore.js
+import { supabase } from './supabaseClient.js';
+import { DEFAULT_BOT_ID } from './utils.js';
+
+// Persists pending queue requests so they survive restarts and disconnects.
+// Only what is needed to rebuild a request is stored; the message and chat are refetched on resume.
+export class QueueStore {
+  constructor(botId = DEFAULT_BOT_ID) {
+    this.botId = botId;
+    this.tableName = 'queued_requests';
+  }
+
+  async add(request) {
+    try {
+      const { error } = await supabase
+        .from(this.tableName)
+        .insert({
+          id: request.id,
+          bot_id: this.botId,
+          group_id: request.groupId,
+          message_id: request.messageId,
+          sender_id: request.senderId,
+          prompt: request.prompt,
+          command_type: request.commandType,
+          bypass_cache: Boolean(request.bypassCache),
+          enqueued_at: new Date(request.timestamp).toISOString()
+        });
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error(`[QUEUE] Failed to persist request ${request.id}:`, error);
+      return false;
+    }
+  }
+
+  async remove(id) {
+    try {
+      const { error } = await supabase
+        .from(this.tableName)
+        .delete()
+        .eq('id', id);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error(`[QUEUE] Failed to remove persisted request ${id}:`, error);
+      return false;
+    }
+  }
+
+  // Pending requests, oldest first
+  async loadPending() {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .select('id, group_id, message_id, sender_id, prompt, command_type, bypass_cache, enqueued_at')
+        .eq('bot_id', this.botId)
+        .order('enqueued_at', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('[QUEUE] Failed to load persisted requests:', error);
+      return [];
+    }
+  }
+}
@@ -0,0 +1,197 @@
+// backend/src/rateLimiter.js
+import { supabase } from './supabaseClient.js';
+import { DEFAULT_BOT_ID } from './utils.js';
+
+// capacity = burst size, refillPerMinute = sustained rate, dailyQuota = requests per UTC day.
+// A value of 0 disables that particular limit.
+export const DEFAULT_RATE_LIMITS = {
+  group: { capacity: 5, refillPerMinute: 2, dailyQuota: 200 },
+  user: { capacity: 2, refillPerMinute: 1, dailyQuota: 30 },
+};
+
+const MAX_LIMIT_VALUE = 100000;
+
+function normalizeScope(input = {}, defaults) {
+  const scope = { ...defaults };
+  for (const field of Object.keys(defaults)) {
+    const value = Number(input[field]);
+    if (Number.isFinite(value) && value >= 0 && value <= MAX_LIMIT_VALUE) {
+      scope[field] = value;
+    }
+  }
+  return scope;
+}
+
+export function normalizeRateLimits(limits = {}) {
+  return {
+    group: normalizeScope(limits.group, DEFAULT_RATE_LIMITS.group),
+    user: normalizeScope(limits.user, DEFAULT_RATE_LIMITS.user),
+  };
+}
+
+function currentDay(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function msUntilNextDay(now) {
+  const next = new Date(now);
+  next.setUTCHours(24, 0, 0, 0);
+  return next.getTime() - now;
+}
+
+// Keys idle this long are dropped from memory; the next request reloads them from Supabase
+const DEFAULT_IDLE_TTL_MS = 60 * 60 * 1000;
+const EVICT_INTERVAL_MS = 5 * 60 * 1000;
+
+// Token buckets plus daily quotas, keyed per bot, group and sender.
+// State is cached in memory and written through to Supabase so restarts keep quotas.
+export class RateLimiter {
+  constructor(limits = DEFAULT_RATE_LIMITS, { botId = DEFAULT_BOT_ID, idleTtlMs = DEFAULT_IDLE_TTL_MS } = {}) {
+    this.tableName = 'rate_limit_state';
+    this.botId = botId;
+    this.limits = normalizeRateLimits(limits);
+    this.states = new Map();
+    this.pendingLoads = new Map();
+    this.idleTtlMs = idleTtlMs;
+    this.lastEviction = Date.now();
+  }
+
+  setLimits(limits) {
+    this.limits = normalizeRateLimits(limits);
+  }
+
+  async loadState(key) {
+    if (this.states.has(key)) return this.states.get(key);
+    if (this.pendingLoads.has(key)) return this.pendingLoads.get(key);
+
+    const load = (async () => {
+      let state = null;
+      try {
+        const { data, error } = await supabase
+          .from(this.tableName)
+          .select('tokens, updated_at, daily_count, daily_date')
+          .eq('key', key)
+          .single();
+
+        if (error && error.code !== 'PGRST116') {
+          console.error(`[RATE] Error loading limiter state for ${key}:`, error);
+        }
+
+        if (data) {
+          state = {
+            tokens: Number(data.tokens),
+            updatedAt: new Date(data.updated_at).getTime(),
+            dailyCount: data.daily_count || 0,
+            dailyDate: data.daily_date,
+          };
+        }
+      } catch (error) {
+        console.error(`[RATE] Failed to load limiter state for ${key}:`, error);
+      }
+
+      // A key we have never seen starts with a full bucket
+      if (!state) {
+        state = { tokens: null, updatedAt: Date.now(), dailyCount: 0, dailyDate: currentDay(Date.now()) };
+      }
+
+      this.states.set(key, state);
+      this.pendingLoads.delete(key);
+      return state;
+    })();
+
+    this.pendingLoads.set(key, load);
+    return load;
+  }
+
+  async saveState(key, state) {
+    try {
+      const { error } = await supabase
+        .from(this.tableName)
+        .upsert({
+          key,
+          tokens: state.tokens,
+          updated_at: new Date(state.updatedAt).toISOString(),
+          daily_count: state.dailyCount,
+          daily_date: state.dailyDate,
+        }, {
+          onConflict: 'key'
+        });
+
+      if (error) throw error;
+    } catch (error) {
+      console.error(`[RATE] Failed to save limiter state for ${key}:`, error);
+    }
+  }
+
+  // Drop keys nobody has used for idleTtlMs, so the cache doesn't grow with every sender ever seen
+  evictIdle(now) {
+    if (now - this.lastEviction < EVICT_INTERVAL_MS) return;
+    this.lastEviction = now;
+
+    for (const [key, state] of this.states) {
+      if (now - state.updatedAt >= this.idleTtlMs) this.states.delete(key);
+    }
+  }
+
+  // Bring a bucket up to date without consuming anything
+  refill(state, scopeLimits, now) {
+    if (state.tokens === null) state.tokens = scopeLimits.capacity;
+
+    const elapsedMinutes = Math.max(0, now - state.updatedAt) / 60000;
+    state.tokens = Math.min(scopeLimits.capacity, state.tokens + elapsedMinutes * scopeLimits.refillPerMinute);
+    state.updatedAt = now;
+
+    const today = currentDay(now);
+    if (state.dailyDate !== today) {
+      state.dailyDate = today;
+      state.dailyCount = 0;
+    }
+  }
+
+  check(state, scopeLimits, now) {
+    if (scopeLimits.dailyQuota > 0 && state.dailyCount >= scopeLimits.dailyQuota) {
+      return { reason: 'quota', retryAfterMs: msUntilNextDay(now), limit: scopeLimits.dailyQuota };
+    }
+
+    if (scopeLimits.capacity > 0 && state.tokens < 1) {
+      const retryAfterMs = scopeLimits.refillPerMinute > 0
+        ? ((1 - state.tokens) / scopeLimits.refillPerMinute) * 60000
+        : msUntilNextDay(now);
+      return { reason: 'rate', retryAfterMs };
+    }
+
+    return null;
+  }
+
+  // Consume one request for this group and sender. Nothing is consumed unless both are allowed.
+  // Returns { allowed: true } or { allowed: false, scope, reason, retryAfterMs }
+  async consume(groupId, senderId) {
+    this.evictIdle(Date.now());
+
+    // Every bot has its own limiter; the bot id keeps their rows apart in rate_limit_state
+    const buckets = [
+      { scope: 'group', key: `${this.botId}:group:${groupId}`, limits: this.limits.group },
+      { scope: 'user', key: `${this.botId}:user:${senderId}`, limits: this.limits.user },
+    ];
+
+    const states = await Promise.all(buckets.map(bucket => this.loadState(bucket.key)));
+    const now = Date.now();
+
+    for (let i = 0; i < buckets.length; i++) {
+      this.refill(states[i], buckets[i].limits, now);
+      const denied = this.check(states[i], buckets[i].limits, now);
+      if (denied) {
+        console.log(`[RATE] ${buckets[i].key} limited (${denied.reason}), retry in ${Math.round(denied.retryAfterMs / 1000)}s`);
+        return { allowed: false, scope: buckets[i].scope, ...denied };
+      }
+    }
+
+    for (let i = 0; i < buckets.length; i++) {
+      if (buckets[i].limits.capacity > 0) states[i].tokens -= 1;
+      states[i].dailyCount += 1;
+      this.saveState(buckets[i].key, states[i]);
+    }
+
+    return { allowed: true };
+  }
+}
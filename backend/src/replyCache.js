@@ -0,0 +1,121 @@
+// backend/src/replyCache.js
+import NodeCache from 'node-cache';
+import { createHash } from 'crypto';
+import { formatDuration } from './utils.js';
+
+const KEY_PREFIX = 'reply-cache:';
+
+const sha256 = (text) => createHash('sha256').update(text).digest('hex');
+
+// "What did we decide about X?" and "what did we decide about x" are the same question
+export function normalizePrompt(prompt) {
+  return prompt
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/[\s?!.]+$/, '')
+    .trim();
+}
+
+// Same question, same context, same backend -> same key.
+// The context is identified by its message ids so an edit-free history hashes identically.
+export function buildCacheKey({ groupId, commandType, provider, model, prompt, messages, conversationHistory = [] }) {
+  const context = sha256(JSON.stringify({
+    messages: messages.map(msg => msg.message_id),
+    thread: conversationHistory
+  }));
+  const question = sha256(JSON.stringify([commandType, provider, model, normalizePrompt(prompt)]));
+  return `${KEY_PREFIX}${groupId}:${question}:${context}`;
+}
+
+// Appended to an answer served from the cache, telling the sender how to get a fresh one
+export function cachedReplyNote(entry, { prefix, commandType }, now = Date.now()) {
+  return `\n\n_♻️ Same answer as ${formatDuration(now - entry.cachedAt)} ago. Send ${prefix}${commandType}! to ask again._`;
+}
+
+// AI answers keyed by buildCacheKey. Uses node-cache in memory, or Upstash Redis when
+// UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN are set so the cache survives restarts.
+// A failing Redis is treated as a cache miss, never as a failed request. The Redis client is only
+// loaded when it is configured.
+export class ReplyCache {
+  constructor() {
+    this.hits = 0;
+    this.misses = 0;
+
+    if (process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN) {
+      this.backend = 'redis';
+      this.redis = import('@upstash/redis').then(({ Redis }) => new Redis({
+        url: process.env.UPSTASH_REDIS_REST_URL,
+        token: process.env.UPSTASH_REDIS_REST_TOKEN
+      }));
+      // Failures surface (and are logged) on the first lookup
+      this.redis.catch(() => {});
+    } else {
+      this.backend = 'memory';
+      this.memory = new NodeCache({
+        checkperiod: 120,
+        maxKeys: Number(process.env.REPLY_CACHE_MAX_KEYS) || 1000,
+        useClones: false
+      });
+    }
+
+    console.log(`[REPLY-CACHE] Using ${this.backend} backend`);
+  }
+
+  async get(key) {
+    let entry = null;
+    try {
+      entry = this.backend === 'redis'
+        ? await (await this.redis).get(key)
+        : this.memory.get(key);
+    } catch (error) {
+      console.error('[REPLY-CACHE] Lookup failed:', error.message);
+    }
+
+    if (entry && typeof entry.answer === 'string') {
+      this.hits++;
+      return entry;
+    }
+
+    this.misses++;
+    return null;
+  }
+
+  async set(key, answer, ttlSeconds) {
+    const entry = { answer, cachedAt: Date.now() };
+    try {
+      if (this.backend === 'redis') {
+        await (await this.redis).set(key, entry, { ex: ttlSeconds });
+      } else {
+        this.memory.set(key, entry, ttlSeconds);
+      }
+      return true;
+    } catch (error) {
+      // node-cache throws once maxKeys is reached; the answer simply isn't cached
+      console.error('[REPLY-CACHE] Failed to store answer:', error.message);
+      return false;
+    }
+  }
+
+  // The key for a request and its cached answer. The key is null when the group turned the cache off;
+  // the answer is null on a miss or when the sender asked for a fresh one ("!ai! question").
+  async lookup(request, { enabled, bypass = false }) {
+    const key = enabled ? buildCacheKey(request) : null;
+    const cached = key && !bypass ? await this.get(key) : null;
+    return { key, cached };
+  }
+
+  // Keep a new answer for ttlMinutes; requests without a key (cache turned off) are not stored
+  async remember(key, answer, ttlMinutes) {
+    if (!key) return false;
+    return this.set(key, answer, ttlMinutes * 60);
+  }
+
+  getStats() {
+    return {
+      backend: this.backend,
+      hits: this.hits,
+      misses: this.misses,
+      keys: this.backend === 'memory' ? this.memory.keys().length : null
+    };
+  }
+}
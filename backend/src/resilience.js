@@ -0,0 +1,181 @@
+// backend/src/resilience.js
+
+export const DEFAULT_RETRY_POLICY = {
+  maxRetries: 2,
+  baseDelayMs: 1000,
+  maxDelayMs: 15000,
+};
+
+export const DEFAULT_BREAKER_OPTIONS = {
+  failureThreshold: 5,
+  resetTimeoutMs: 60 * 1000,
+};
+
+// While a half-open breaker's trial call runs, other callers are told to come back after about this long:
+// a successful trial closes the breaker well within it, a failed one reopens it
+const TRIAL_RETRY_AFTER_MS = 15 * 1000;
+
+// Error kinds worth retrying: the service may well answer next time
+const RETRYABLE_KINDS = ['timeout', 'network', 'rate_limited', 'server'];
+
+export class CircuitOpenError extends Error {
+  constructor(name, retryAfterMs) {
+    super(`${name} is unavailable after repeated failures`);
+    this.name = 'CircuitOpenError';
+    this.kind = 'circuit_open';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Sort an axios (or other) error into timeout / network / rate_limited / server / client / unknown
+export function classifyError(error) {
+  if (error.kind) return error.kind;
+
+  if (['ECONNABORTED', 'ETIMEDOUT'].includes(error.code) || /timeout/i.test(error.message || '')) {
+    return 'timeout';
+  }
+
+  const status = error.response?.status;
+  if (status === 429) return 'rate_limited';
+  if (status >= 500) return 'server';
+  if (status >= 400) return 'client';
+
+  if (error.request || ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN'].includes(error.code)) {
+    return 'network';
+  }
+
+  return 'unknown';
+}
+
+export function isRetryable(kind) {
+  return RETRYABLE_KINDS.includes(kind);
+}
+
+// closed: calls go through; open: calls are refused until resetTimeoutMs has passed;
+// half_open: one trial call decides whether to close again or reopen.
+// Only retryable failures count - a 4xx means the request was wrong, not that the service is down.
+export class CircuitBreaker {
+  constructor(name, { failureThreshold, resetTimeoutMs } = DEFAULT_BREAKER_OPTIONS, onStateChange = null) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.onStateChange = onStateChange;
+
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.trialInFlight = false;
+  }
+
+  canRequest() {
+    if (this.state === 'closed') return true;
+
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.setState('half_open');
+    }
+
+    if (this.state === 'half_open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  retryAfterMs() {
+    if (this.state === 'half_open') return this.trialInFlight ? Math.min(this.resetTimeoutMs, TRIAL_RETRY_AFTER_MS) : 0;
+    if (this.state !== 'open') return 0;
+    return Math.max(0, this.resetTimeoutMs - (Date.now() - this.openedAt));
+  }
+
+  recordSuccess() {
+    this.consecutiveFailures = 0;
+    this.trialInFlight = false;
+    if (this.state !== 'closed') this.setState('closed');
+  }
+
+  // The trial call ended without telling whether the service works; let the next call try again
+  releaseTrial() {
+    this.trialInFlight = false;
+  }
+
+  recordFailure(error) {
+    this.consecutiveFailures++;
+    this.lastError = `${classifyError(error)}: ${error.message}`;
+    this.lastFailureAt = Date.now();
+    this.trialInFlight = false;
+
+    if (this.state === 'half_open' || this.consecutiveFailures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      this.setState('open');
+    }
+  }
+
+  // Admin action: close the breaker without waiting for the reset timeout
+  reset() {
+    this.consecutiveFailures = 0;
+    this.trialInFlight = false;
+    this.openedAt = null;
+    this.setState('closed');
+  }
+
+  setState(state) {
+    if (this.state === state) return;
+    console.log(`[BREAKER] ${this.name}: ${this.state} -> ${state}`);
+    this.state = state;
+    if (this.onStateChange) this.onStateChange(this);
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      retryAfterMs: this.retryAfterMs(),
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt,
+    };
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Run `fn` through the breaker, retrying retryable failures with exponential backoff and jitter.
+// `canRetry` (optional, may be async) can veto a retry, e.g. once part of the answer was delivered.
+// The error thrown at the end carries `kind` (see classifyError) so callers can tell failures apart.
+export async function callWithRetry(fn, { breaker, maxRetries, baseDelayMs, maxDelayMs, canRetry = null }) {
+  for (let attempt = 0; ; attempt++) {
+    if (!breaker.canRequest()) {
+      throw new CircuitOpenError(breaker.name, breaker.retryAfterMs());
+    }
+
+    try {
+      const result = await fn(attempt);
+      breaker.recordSuccess();
+      return result;
+    } catch (error) {
+      const kind = classifyError(error);
+      error.kind = kind;
+
+      if (!isRetryable(kind)) {
+        // A rejected request means the service answered, so it is up. An unknown error (a bug,
+        // an unparseable response) says nothing either way; it only frees a half-open trial.
+        if (kind === 'client') breaker.recordSuccess();
+        else breaker.releaseTrial();
+        throw error;
+      }
+
+      breaker.recordFailure(error);
+      if (breaker.state === 'open') throw new CircuitOpenError(breaker.name, breaker.retryAfterMs());
+      if (attempt >= maxRetries) throw error;
+      if (canRetry && !(await canRetry())) throw error;
+
+      const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt) * (0.5 + Math.random() / 2);
+      console.log(`[RETRY] ${breaker.name} failed (${kind}: ${error.message}), retry ${attempt + 1}/${maxRetries} in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    }
+  }
+}
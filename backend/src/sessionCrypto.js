@@ -0,0 +1,140 @@
+// backend/src/sessionCrypto.js
+import { createCipheriv, createDecipheriv, randomBytes } from 'crypto';
+
+// Encrypted session layout: MAGIC | key id length (1 byte) | key id | IV (12) | auth tag (16) | ciphertext
+const MAGIC = Buffer.from('WSE1');
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+export class SessionIntegrityError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SessionIntegrityError';
+  }
+}
+
+// SESSION_ENCRYPTION_KEYS="2024-06:<key>,2023-01:<old key>": the first key encrypts, every key can decrypt.
+// Keys are 32 bytes, base64 or hex, e.g. from `node -e "console.log(require('crypto').randomBytes(32).toString('base64'))"`
+export function parseSessionKeys(value) {
+  const keys = new Map();
+
+  const entries = (value || '').split(',').map(e => e.trim()).filter(Boolean);
+
+  entries.forEach((entry, index) => {
+    const separator = entry.indexOf(':');
+    const id = separator > 0 ? entry.slice(0, separator) : '';
+    const encoded = entry.slice(separator + 1);
+
+    if (!KEY_ID_PATTERN.test(id)) {
+      throw new Error(`SESSION_ENCRYPTION_KEYS: entry ${index + 1} needs an id of letters, digits, - or _ before the colon`);
+    }
+    if (keys.has(id)) {
+      throw new Error(`SESSION_ENCRYPTION_KEYS: key id "${id}" is used twice`);
+    }
+
+    const key = /^[0-9a-fA-F]{64}$/.test(encoded) ? Buffer.from(encoded, 'hex') : Buffer.from(encoded, 'base64');
+    if (key.length !== 32) {
+      throw new Error(`SESSION_ENCRYPTION_KEYS: key "${id}" must be 32 bytes (got ${key.length})`);
+    }
+    keys.set(id, key);
+  });
+
+  return keys;
+}
+
+// AES-256-GCM for RemoteAuth session zips. The session id is authenticated along with the header,
+// so a session copied into another bot's rows fails to decrypt.
+export class SessionCipher {
+  constructor(value = process.env.SESSION_ENCRYPTION_KEYS) {
+    this.keys = parseSessionKeys(value);
+    this.activeKeyId = this.keys.keys().next().value || null;
+  }
+
+  get enabled() {
+    return this.activeKeyId !== null;
+  }
+
+  isEncrypted(data) {
+    return data.length > MAGIC.length && data.subarray(0, MAGIC.length).equals(MAGIC);
+  }
+
+  // Key id of an encrypted session, or null for plaintext
+  keyIdOf(data) {
+    if (!this.isEncrypted(data)) return null;
+    const idLength = data[MAGIC.length];
+    return data.subarray(MAGIC.length + 1, MAGIC.length + 1 + idLength).toString('utf8');
+  }
+
+  encrypt(plaintext, sessionId) {
+    if (!this.enabled) throw new Error('No session encryption key configured');
+
+    const keyId = Buffer.from(this.activeKeyId, 'utf8');
+    const header = Buffer.concat([MAGIC, Buffer.from([keyId.length]), keyId]);
+    const iv = randomBytes(IV_LENGTH);
+
+    const cipher = createCipheriv('aes-256-gcm', this.keys.get(this.activeKeyId), iv);
+    cipher.setAAD(Buffer.concat([header, Buffer.from(sessionId, 'utf8')]));
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+    return Buffer.concat([header, iv, cipher.getAuthTag(), ciphertext]);
+  }
+
+  // Throws SessionIntegrityError if the key is unknown or the data was modified
+  decrypt(data, sessionId) {
+    const keyId = this.keyIdOf(data);
+    if (keyId === null) throw new SessionIntegrityError('Session data is not encrypted');
+
+    const key = this.keys.get(keyId);
+    if (!key) throw new SessionIntegrityError(`Session was encrypted with unknown key "${keyId}"`);
+
+    const headerLength = MAGIC.length + 1 + Buffer.byteLength(keyId);
+    if (data.length < headerLength + IV_LENGTH + TAG_LENGTH) {
+      throw new SessionIntegrityError('Encrypted session data is truncated');
+    }
+
+    const header = data.subarray(0, headerLength);
+    const iv = data.subarray(headerLength, headerLength + IV_LENGTH);
+    const tag = data.subarray(headerLength + IV_LENGTH, headerLength + IV_LENGTH + TAG_LENGTH);
+    const ciphertext = data.subarray(headerLength + IV_LENGTH + TAG_LENGTH);
+
+    try {
+      const decipher = createDecipheriv('aes-256-gcm', key, iv);
+      decipher.setAAD(Buffer.concat([header, Buffer.from(sessionId, 'utf8')]));
+      decipher.setAuthTag(tag);
+      return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+    } catch (error) {
+      throw new SessionIntegrityError('Session data failed its integrity check');
+    }
+  }
+
+  // What a store should write: encrypted when a key is configured, plaintext otherwise
+  seal(sessionData, sessionId) {
+    if (this.enabled) return this.encrypt(sessionData, sessionId);
+
+    console.warn('⚠️ SESSION_ENCRYPTION_KEYS is not set - session is stored unencrypted');
+    return sessionData;
+  }
+
+  // The session zip from what a store read back. Plaintext from before encryption is passed
+  // through unless SESSION_REQUIRE_ENCRYPTION=true; throws if the data cannot be trusted.
+  open(storedData, sessionId) {
+    if (this.isEncrypted(storedData)) return this.decrypt(storedData, sessionId);
+
+    if (process.env.SESSION_REQUIRE_ENCRYPTION === 'true') {
+      throw new SessionIntegrityError('Session is stored unencrypted and SESSION_REQUIRE_ENCRYPTION is set - run npm run encrypt-sessions');
+    }
+    if (this.enabled) {
+      console.warn(`⚠️ Session ${sessionId} is stored unencrypted - it is encrypted on its next save, or run npm run encrypt-sessions`);
+    }
+    return storedData;
+  }
+}
+
+let sharedCipher = null;
+
+// One cipher per process, built from the environment on first use
+export function getSessionCipher() {
+  if (!sharedCipher) sharedCipher = new SessionCipher();
+  return sharedCipher;
+}
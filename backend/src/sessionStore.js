@@ -0,0 +1,36 @@
+// backend/src/sessionStore.js
+import { isSupabaseConfigured } from './supabaseClient.js';
+import { SupabaseRemoteAuthStore } from './SupabaseRemoteAuthStore.js';
+import { LocalRemoteAuthStore } from './LocalRemoteAuthStore.js';
+
+export const SESSION_STORE_TYPES = ['supabase', 'local', 's3', 'mongo'];
+
+// SESSION_STORE picks where RemoteAuth sessions live. Without it, Supabase is used when
+// configured and a local directory otherwise, so the bot runs offline out of the box.
+export function resolveSessionStoreType(env = process.env) {
+  const type = (env.SESSION_STORE || (isSupabaseConfigured ? 'supabase' : 'local')).trim().toLowerCase();
+  if (!SESSION_STORE_TYPES.includes(type)) {
+    throw new Error(`SESSION_STORE must be one of ${SESSION_STORE_TYPES.join(', ')} (got "${env.SESSION_STORE}")`);
+  }
+  return type;
+}
+
+// The S3 and Mongo drivers are only loaded when their store is selected
+export async function createSessionStore(clientId, type = resolveSessionStoreType()) {
+  switch (type) {
+    case 'local':
+      return new LocalRemoteAuthStore(clientId);
+    case 's3': {
+      const { S3RemoteAuthStore } = await import('./S3RemoteAuthStore.js');
+      return new S3RemoteAuthStore(clientId);
+    }
+    case 'mongo': {
+      const { MongoRemoteAuthStore } = await import('./MongoRemoteAuthStore.js');
+      return new MongoRemoteAuthStore(clientId);
+    }
+    case 'supabase':
+      return new SupabaseRemoteAuthStore(clientId);
+    default:
+      throw new Error(`Unknown session store "${type}"`);
+  }
+}
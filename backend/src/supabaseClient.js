@@ -6,13 +6,25 @@ import { createClient } from '@supabase/supabase-js';
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY; // Use service role for full access
 
-if (!supabaseUrl || !supabaseKey) {
-  throw new Error('Missing Supabase environment variables');
-}
+export const isSupabaseConfigured = Boolean(supabaseUrl && supabaseKey);
 
-export const supabase = createClient(supabaseUrl, supabaseKey, {
-  auth: {
-    autoRefreshToken: false,
-    persistSession: false
+// Without credentials the server still starts (e.g. with SESSION_STORE=local for offline development);
+// every query fails with a clear error instead, which the stores log and fall back from.
+const unconfiguredClient = {
+  from(table) {
+    throw new Error(`Supabase is not configured (set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY) - cannot query ${table}`);
   }
-});
\ No newline at end of file
+};
+
+if (!isSupabaseConfigured) {
+  console.warn('⚠️ Missing Supabase environment variables - settings, history and Supabase session storage are unavailable');
+}
+
+export const supabase = isSupabaseConfigured
+  ? createClient(supabaseUrl, supabaseKey, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  })
+  : unconfiguredClient;
@@ -0,0 +1,99 @@
+// backend/src/threadStore.js
+import { supabase } from './supabaseClient.js';
+import { DEFAULT_BOT_ID } from './utils.js';
+
+// Conversation threads: every bot answer is stored against its WhatsApp message id,
+// so a reply to that answer can be matched back to the thread after a restart.
+// Answers split over several messages get one row per message; only the first holds the prompt and answer.
+// Rows are kept per bot, like message history.
+export class ThreadStore {
+  constructor(botId = DEFAULT_BOT_ID) {
+    this.botId = botId;
+    this.tableName = 'conversation_threads';
+  }
+
+  async record(turn) {
+    try {
+      const createdAt = new Date().toISOString();
+      const rows = turn.replyMessageIds.map((replyMessageId, index) => ({
+        bot_id: this.botId,
+        reply_message_id: replyMessageId,
+        thread_id: turn.threadId,
+        group_id: turn.groupId,
+        prompt: index === 0 ? turn.prompt : null,
+        answer: index === 0 ? turn.answer : null,
+        command_type: turn.commandType,
+        created_at: createdAt
+      }));
+
+      const { error } = await supabase
+        .from(this.tableName)
+        .upsert(rows, {
+          onConflict: 'bot_id,reply_message_id'
+        });
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error(`[THREAD] Failed to record turn ${turn.replyMessageIds[0]}:`, error);
+      return false;
+    }
+  }
+
+  // The thread turn a bot message belongs to, or null if it wasn't an answer
+  async findByReplyId(replyMessageId) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .select('thread_id, group_id, command_type')
+        .eq('bot_id', this.botId)
+        .eq('reply_message_id', replyMessageId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data || null;
+    } catch (error) {
+      console.error(`[THREAD] Failed to look up reply ${replyMessageId}:`, error);
+      return null;
+    }
+  }
+
+  // Last `limit` prompt/answer pairs of a thread, oldest first
+  async getTurns(threadId, limit) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .select('prompt, answer, created_at')
+        .eq('bot_id', this.botId)
+        .eq('thread_id', threadId)
+        .not('answer', 'is', null)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+      return (data || []).reverse();
+    } catch (error) {
+      console.error(`[THREAD] Failed to load thread ${threadId}:`, error);
+      return [];
+    }
+  }
+
+  async cleanup(groupId, retentionDays) {
+    try {
+      const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .delete()
+        .eq('bot_id', this.botId)
+        .eq('group_id', groupId)
+        .lt('created_at', cutoff)
+        .select('reply_message_id');
+
+      if (error) throw error;
+      return data ? data.length : 0;
+    } catch (error) {
+      console.error(`[THREAD] Failed to clean up threads for group ${groupId}:`, error);
+      return 0;
+    }
+  }
+}
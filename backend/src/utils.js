@@ -0,0 +1,88 @@
+// backend/src/utils.js
+
+// The bot that existed before multi-account support; its settings keys and session id are unchanged.
+// migrations/003_bot_scoped_rows.sql assigns rows from before then to this id - keep the two in sync.
+export const DEFAULT_BOT_ID = 'admin';
+
+// Human readable duration, e.g. "45s", "12m", "3h 5m", "2d 1h 0m"
+export function formatDuration(ms) {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  if (totalSeconds < 60) return `${totalSeconds}s`;
+
+  const totalMinutes = Math.floor(totalSeconds / 60);
+  const days = Math.floor(totalMinutes / (24 * 60));
+  const hours = Math.floor((totalMinutes % (24 * 60)) / 60);
+  const minutes = totalMinutes % 60;
+
+  if (days > 0) return `${days}d ${hours}h ${minutes}m`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m`;
+}
+
+// Split text into parts of at most maxLength characters, preferring paragraph, then line, then word boundaries
+export function splitMessage(text, maxLength) {
+  const parts = [];
+  let rest = text.trim();
+
+  while (rest.length > maxLength) {
+    const window = rest.slice(0, maxLength + 1);
+    let cut = window.lastIndexOf('\n\n');
+    if (cut < maxLength / 2) cut = window.lastIndexOf('\n');
+    if (cut < maxLength / 2) cut = window.lastIndexOf(' ');
+    if (cut <= 0) cut = maxLength;
+
+    parts.push(rest.slice(0, cut).trimEnd());
+    rest = rest.slice(cut).trimStart();
+  }
+
+  if (rest) parts.push(rest);
+  return parts;
+}
+
+// Read a streamed HTTP body line by line. Handles both server-sent events ("data: {...}")
+// and newline-delimited JSON; every JSON object is passed to onEvent.
+export async function readEventStream(stream, onEvent) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const handleLine = (rawLine) => {
+    let line = rawLine.trim();
+    if (!line || line.startsWith(':') || line.startsWith('event:') || line.startsWith('id:')) return;
+    if (line.startsWith('data:')) line = line.slice(5).trim();
+    if (!line || line === '[DONE]') return;
+
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch (error) {
+      console.error('[STREAM] Skipping malformed line:', line.substring(0, 100));
+      return;
+    }
+    onEvent(event);
+  };
+
+  for await (const chunk of stream) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+
+    let newline;
+    while ((newline = buffer.indexOf('\n')) >= 0) {
+      handleLine(buffer.slice(0, newline));
+      buffer = buffer.slice(newline + 1);
+    }
+  }
+
+  handleLine(buffer + decoder.decode());
+}
+
+// RFC 4180 CSV. Cells starting with = + - @ are prefixed with ' so spreadsheets don't run them as formulas
+export function toCsv(rows, columns) {
+  const escape = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(cells => cells.map(escape).join(','))
+    .join('\r\n');
+}
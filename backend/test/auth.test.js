@@ -0,0 +1,209 @@
+// backend/test/auth.test.js
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+
+// Keep the users table off any real database, even when backend/.env has Supabase credentials
+process.env.SUPABASE_URL = '';
+delete process.env.AUTH_DISABLED;
+const { AuthService, hasRole, signToken, verifyToken } = await import('../src/auth.js');
+const { hashPassword, verifyPassword } = await import('../src/passwords.js');
+const { supabase } = await import('../src/supabaseClient.js');
+
+const secret = 'test-secret';
+let now;
+let aliceHash;
+
+before(async () => {
+  aliceHash = await hashPassword('correct horse');
+});
+
+beforeEach((t) => {
+  now = Date.UTC(2026, 0, 10, 12, 0, 0);
+  t.mock.method(Date, 'now', () => now);
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+// Answers the dashboard_users lookup with whatever `rows` holds at the time of the query
+function mockUsersTable(t, rows) {
+  t.mock.method(supabase, 'from', () => {
+    let username;
+    const query = {
+      select: () => query,
+      eq: (column, value) => { username = value; return query; },
+      single: async () => {
+        const row = rows[username];
+        return row ? { data: row, error: null } : { data: null, error: { code: 'PGRST116' } };
+      }
+    };
+    return query;
+  });
+}
+
+function createAuth(localUsers = '') {
+  process.env.JWT_SECRET = secret;
+  process.env.DASHBOARD_USERS = localUsers;
+  return new AuthService();
+}
+
+// A token with the given header, signed correctly with the test secret
+function tokenWithHeader(header, claims) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode(header)}.${encode(claims)}`;
+  return `${unsigned}.${createHmac('sha256', secret).update(unsigned).digest('base64url')}`;
+}
+
+test('verifyToken returns the claims of a token it signed', () => {
+  const claims = verifyToken(signToken({ sub: 'alice', role: 'admin' }, secret, 60), secret);
+  assert.equal(claims.sub, 'alice');
+  assert.equal(claims.role, 'admin');
+  assert.equal(claims.exp, Math.floor(now / 1000) + 60);
+});
+
+test('verifyToken rejects tampered payloads and signatures and other secrets', () => {
+  const token = signToken({ sub: 'bob', role: 'viewer' }, secret, 60);
+  const [header, payload, signature] = token.split('.');
+  const promoted = Buffer.from(JSON.stringify({ ...verifyToken(token, secret), role: 'admin' })).toString('base64url');
+
+  assert.equal(verifyToken(`${header}.${promoted}.${signature}`, secret), null);
+  assert.equal(verifyToken(`${header}.${payload}.${signature.slice(0, -2)}AA`, secret), null);
+  assert.equal(verifyToken(`${header}.${payload}.`, secret), null);
+  assert.equal(verifyToken(token, 'another-secret'), null);
+  assert.equal(verifyToken('not.a-token', secret), null);
+  assert.equal(verifyToken(undefined, secret), null);
+});
+
+test('verifyToken only accepts HS256 headers', () => {
+  const exp = Math.floor(now / 1000) + 60;
+  assert.equal(verifyToken(tokenWithHeader({ alg: 'none', typ: 'JWT' }, { sub: 'bob', role: 'admin', exp }), secret), null);
+  assert.equal(verifyToken(tokenWithHeader({ alg: 'HS512', typ: 'JWT' }, { sub: 'bob', role: 'admin', exp }), secret), null);
+  assert.equal(verifyToken(tokenWithHeader({ alg: 'HS256', typ: 'JWT' }, { sub: 'bob', role: 'admin', exp }), secret).sub, 'bob');
+});
+
+test('verifyToken rejects expired tokens and tokens without an expiry', () => {
+  const token = signToken({ sub: 'alice', role: 'admin' }, secret, 60);
+  now += 60 * 1000;
+  assert.notEqual(verifyToken(token, secret), null);
+  now += 1000;
+  assert.equal(verifyToken(token, secret), null);
+
+  assert.equal(verifyToken(tokenWithHeader({ alg: 'HS256', typ: 'JWT' }, { sub: 'bob', role: 'admin' }), secret), null);
+});
+
+test('verifyPassword accepts the right password only', async () => {
+  const stored = await hashPassword('s3cret');
+  assert.match(stored, /^scrypt\$16384\$8\$1\$[^$]+\$[^$]+$/);
+  assert.notEqual(await hashPassword('s3cret'), stored); // salted
+
+  assert.equal(await verifyPassword('s3cret', stored), true);
+  assert.equal(await verifyPassword('s3cret ', stored), false);
+  assert.equal(await verifyPassword('s3cret', 'bcrypt$whatever'), false);
+  assert.equal(await verifyPassword('s3cret', undefined), false);
+});
+
+test('hasRole orders viewer < operator < admin', () => {
+  assert.equal(hasRole({ role: 'admin' }, 'viewer'), true);
+  assert.equal(hasRole({ role: 'operator' }, 'operator'), true);
+  assert.equal(hasRole({ role: 'operator' }, 'admin'), false);
+  assert.equal(hasRole({ role: 'viewer' }, 'operator'), false);
+  assert.equal(hasRole({ role: 'superuser' }, 'viewer'), false);
+  assert.equal(hasRole(null, 'viewer'), false);
+});
+
+test('locks out one username and IP after repeated failures', async () => {
+  const auth = createAuth(`alice:admin:${aliceHash}`);
+  const attacker = auth.loginKey('Alice', '203.0.113.9');
+  const colleague = auth.loginKey('alice', '198.51.100.7');
+
+  for (let i = 0; i < auth.maxFailedLogins; i++) {
+    assert.equal(auth.isLockedOut(attacker), false);
+    assert.equal(await auth.login('alice', 'wrong', attacker), null);
+  }
+  assert.equal(auth.isLockedOut(attacker), true);
+  assert.equal(auth.isLockedOut(auth.loginKey('ALICE', '203.0.113.9')), true);
+  // Neither the account nor other accounts from that IP are locked for everyone
+  assert.equal(auth.isLockedOut(colleague), false);
+  assert.equal(auth.isLockedOut(auth.loginKey('bob', '203.0.113.9')), false);
+
+  now += auth.lockoutMs + 1;
+  assert.equal(auth.isLockedOut(attacker), false);
+});
+
+test('a successful login clears the failure count', async () => {
+  const auth = createAuth(`alice:admin:${aliceHash}`);
+  const key = auth.loginKey('alice', '203.0.113.9');
+
+  for (let i = 0; i < auth.maxFailedLogins - 1; i++) await auth.login('alice', 'wrong', key);
+  const session = await auth.login('alice', 'correct horse', key);
+  assert.deepEqual(session.user, { username: 'alice', role: 'admin' });
+  assert.equal(session.expiresAt, now + 12 * 60 * 60 * 1000);
+
+  await auth.login('alice', 'wrong', key);
+  assert.equal(auth.isLockedOut(key), false);
+});
+
+test('unknown usernames fail like wrong passwords', async (t) => {
+  mockUsersTable(t, {});
+  const auth = createAuth(`alice:admin:${aliceHash}`);
+  assert.equal(await auth.login('mallory', 'correct horse', auth.loginKey('mallory', '203.0.113.9')), null);
+});
+
+test('requireRole answers 401 without a valid token and 403 below the role', async (t) => {
+  mockUsersTable(t, {});
+  const auth = createAuth(`alice:admin:${aliceHash},victor:viewer:${aliceHash}`);
+  const viewerToken = signToken({ sub: 'victor', role: 'viewer' }, secret);
+
+  const call = async (middleware, authorization) => {
+    const res = { statusCode: 200, status(code) { this.statusCode = code; return this; }, json(body) { this.body = body; return this; } };
+    const req = { headers: authorization ? { authorization } : {} };
+    let nextCalled = false;
+    await middleware(req, res, () => { nextCalled = true; });
+    return { status: res.statusCode, nextCalled, user: req.user };
+  };
+
+  assert.deepEqual(await call(auth.requireRole('viewer')), { status: 401, nextCalled: false, user: undefined });
+  assert.equal((await call(auth.requireRole('viewer'), `Bearer ${viewerToken}x`)).status, 401);
+  assert.equal((await call(auth.requireRole('operator'), `Bearer ${viewerToken}`)).status, 403);
+
+  const allowed = await call(auth.requireRole('viewer'), `Bearer ${viewerToken}`);
+  assert.equal(allowed.nextCalled, true);
+  assert.equal(allowed.user.role, 'viewer');
+});
+
+test('tokens stop working once their user is disabled or given another role', async (t) => {
+  const rows = { olivia: { username: 'olivia', password_hash: aliceHash, role: 'operator', disabled: false } };
+  mockUsersTable(t, rows);
+  const auth = createAuth();
+  const token = signToken({ sub: 'olivia', role: 'operator' }, secret);
+
+  assert.equal((await auth.authenticate(token)).role, 'operator');
+
+  rows.olivia = { ...rows.olivia, role: 'viewer' };
+  // Cached briefly, then looked up again
+  assert.equal((await auth.authenticate(token)).role, 'operator');
+  now += 31 * 1000;
+  assert.equal(await auth.authenticate(token), null);
+
+  rows.olivia = { ...rows.olivia, role: 'operator', disabled: true };
+  now += 31 * 1000;
+  assert.equal(await auth.authenticate(token), null);
+
+  delete rows.olivia;
+  now += 31 * 1000;
+  assert.equal(await auth.authenticate(token), null);
+});
+
+test('keeps the last known user while the users table cannot be read', async (t) => {
+  const rows = { olivia: { username: 'olivia', password_hash: aliceHash, role: 'operator', disabled: false } };
+  mockUsersTable(t, rows);
+  const auth = createAuth();
+  const token = signToken({ sub: 'olivia', role: 'operator' }, secret);
+  assert.equal((await auth.authenticate(token)).role, 'operator');
+
+  supabase.from.mock.mockImplementation(() => { throw new Error('connection refused'); });
+  now += 31 * 1000;
+  assert.equal((await auth.authenticate(token)).role, 'operator');
+  assert.equal(await auth.authenticate(signToken({ sub: 'nobody', role: 'admin' }, secret)), null);
+});
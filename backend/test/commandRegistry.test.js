@@ -0,0 +1,121 @@
+// backend/test/commandRegistry.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CommandRegistry } from '../src/commandRegistry.js';
+import { createCommandRegistry } from '../src/commands.js';
+
+const handler = async () => {};
+
+// Same shape as normalizeGroupSettings output, limited to what match() reads
+const settingsFor = (registry, overrides = {}) => ({
+  prefixes: ['!', '@'],
+  matchAtStart: true,
+  legacyTriggers: true,
+  enabledCommands: registry.names(),
+  ...overrides
+});
+
+const summary = (match) => match && {
+  name: match.command.name,
+  prefix: match.prefix,
+  args: match.args,
+  force: match.force,
+  legacy: match.legacy
+};
+
+test('register rejects bad names, missing handlers and taken aliases', () => {
+  const registry = new CommandRegistry();
+  registry.register({ name: 'ai', aliases: ['bot'], handler });
+
+  assert.throws(() => registry.register({ name: 'two words', handler }), /without spaces/);
+  assert.throws(() => registry.register({ name: 'help' }), /handler function/);
+  assert.throws(() => registry.register({ name: 'robot', aliases: ['BOT'], handler }), /already used by command "ai"/);
+  assert.equal(registry.get('BOT').name, 'ai');
+});
+
+test('matches a prefix followed by the command name or an alias', () => {
+  const registry = createCommandRegistry();
+  const settings = settingsFor(registry);
+
+  assert.deepEqual(summary(registry.match('!ai what happened?', settings)),
+    { name: 'ai', prefix: '!', args: 'what happened?', force: false, legacy: false });
+  assert.deepEqual(summary(registry.match('@BOT what happened?', settings)),
+    { name: 'ai', prefix: '@', args: 'what happened?', force: false, legacy: false });
+  assert.equal(registry.match('ai what happened?', settings), null);
+  assert.equal(registry.match('#ai what happened?', settings), null);
+});
+
+test('a longer prefix wins over a shorter one it starts with', () => {
+  const registry = createCommandRegistry();
+  const settings = settingsFor(registry, { prefixes: ['!!', '!'] });
+
+  assert.equal(registry.match('!!ai question', settings).prefix, '!!');
+  assert.equal(registry.match('!ai question', settings).prefix, '!');
+  assert.equal(registry.match('@ai question', settings), null);
+});
+
+test('the longest trigger wins when several commands match', () => {
+  const registry = createCommandRegistry();
+  const settings = settingsFor(registry);
+
+  assert.deepEqual(summary(registry.match('!ai_search weather in Oslo', settings)),
+    { name: 'ai_search', prefix: '!', args: 'weather in Oslo', force: false, legacy: false });
+
+  const custom = new CommandRegistry();
+  custom.register({ name: 'q', handler });
+  custom.register({ name: 'queue', handler });
+  assert.equal(custom.match('!queue', settingsFor(custom)).command.name, 'queue');
+  assert.equal(custom.match('!q now', settingsFor(custom)).command.name, 'q');
+});
+
+test('a trigger must not run into the next word, but punctuation may follow it', () => {
+  const registry = new CommandRegistry();
+  registry.register({ name: 'ai', handler });
+  const settings = settingsFor(registry);
+
+  assert.equal(registry.match('!aim high', settings), null);
+  assert.equal(registry.match('!ai_search x', settings), null);
+  assert.equal(registry.match('!ai, what now?', settings).args, 'what now?');
+  assert.equal(registry.match('!ai: what now?', settings).args, 'what now?');
+  assert.equal(registry.match('!ai', settings).args, '');
+});
+
+test('a "!" after the trigger forces the command only when a space or the end follows', () => {
+  const registry = createCommandRegistry();
+  const settings = settingsFor(registry);
+
+  assert.deepEqual(summary(registry.match('!ai! again please', settings)),
+    { name: 'ai', prefix: '!', args: 'again please', force: true, legacy: false });
+  assert.equal(registry.match('!ai!', settings).force, true);
+  assert.equal(registry.match('!ai!x', settings), null);
+  assert.equal(registry.match('!ai!! x', settings), null);
+});
+
+test('matches anywhere after whitespace unless the group requires the start', () => {
+  const registry = createCommandRegistry();
+  const anywhere = settingsFor(registry, { matchAtStart: false });
+
+  assert.deepEqual(summary(registry.match('so !ai what now', anywhere)),
+    { name: 'ai', prefix: '!', args: 'so what now', force: false, legacy: false });
+  assert.equal(registry.match('so!ai what now', anywhere), null);
+  assert.equal(registry.match('so !ai what now', settingsFor(registry)), null);
+});
+
+test('legacy triggers work without a prefix unless the group turns them off', () => {
+  const registry = createCommandRegistry();
+
+  assert.deepEqual(summary(registry.match('Bot, what did I miss?', settingsFor(registry))),
+    { name: 'ai', prefix: '', args: 'what did I miss?', force: false, legacy: true });
+  assert.equal(registry.match('bot,! what did I miss?', settingsFor(registry)).force, true);
+  assert.equal(registry.match('bot, what did I miss?', settingsFor(registry, { legacyTriggers: false })), null);
+  assert.equal(registry.match('robot, hi', settingsFor(registry, { matchAtStart: false })), null);
+});
+
+test('disabled commands never match', () => {
+  const registry = createCommandRegistry();
+  const settings = settingsFor(registry, { enabledCommands: registry.names().filter(name => name !== 'ai') });
+
+  assert.equal(registry.match('!ai question', settings), null);
+  assert.equal(registry.match('bot, question', settings), null);
+  assert.equal(registry.match('!ai_search question', settings).command.name, 'ai_search');
+});
@@ -0,0 +1,72 @@
+// backend/test/cron.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, getNextRun, isValidTimeZone } from '../src/cron.js';
+
+const next = (cron, after, timeZone) => getNextRun(cron, after, timeZone)?.toISOString() ?? null;
+
+test('parses lists, ranges, steps and shortcuts', () => {
+  const cron = parseCron('0,30 9-17/4 * * 1-5');
+  assert.deepEqual([...cron.minute], [0, 30]);
+  assert.deepEqual([...cron.hour], [9, 13, 17]);
+  assert.deepEqual([...cron.dayOfWeek], [1, 2, 3, 4, 5]);
+  assert.deepEqual(parseCron('@daily'), parseCron('0 0 * * *'));
+  assert.ok(parseCron('0 0 * * 7').dayOfWeek.has(0));
+});
+
+test('rejects malformed expressions', () => {
+  assert.throws(() => parseCron('0 0 * *'), /5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /minute/);
+  assert.throws(() => parseCron('0 0 0 * *'), /dayOfMonth/);
+  assert.throws(() => parseCron('*/0 * * * *'), /minute/);
+  assert.throws(() => parseCron(null), /string/);
+});
+
+test('rejects dates that never happen', () => {
+  assert.throws(() => parseCron('0 0 30 2 *'), /never matches/);
+  assert.throws(() => parseCron('0 0 31 4,6,9,11 *'), /never matches/);
+  // With a weekday as well, either one matching is enough
+  assert.doesNotThrow(() => parseCron('0 0 30 2 1'));
+});
+
+test('finds a leap day years ahead', () => {
+  assert.equal(next('0 0 29 2 *', '2026-01-01T00:00:00Z', 'UTC'), '2028-02-29T00:00:00.000Z');
+});
+
+test('the next run is strictly after the given time', () => {
+  assert.equal(next('0 * * * *', '2026-01-01T10:00:00Z', 'UTC'), '2026-01-01T11:00:00.000Z');
+  assert.equal(next('0 * * * *', '2026-01-01T10:00:30Z', 'UTC'), '2026-01-01T11:00:00.000Z');
+});
+
+test('either day field matches when both are restricted', () => {
+  // The 13th or any Friday; 2026-01-02 is a Friday
+  assert.equal(next('0 12 13 * 5', '2026-01-01T00:00:00Z', 'UTC'), '2026-01-02T12:00:00.000Z');
+});
+
+test('evaluates wall-clock time in the given timezone', () => {
+  assert.equal(next('0 9 * * *', '2026-01-01T00:00:00Z', 'Asia/Jakarta'), '2026-01-01T02:00:00.000Z');
+  assert.equal(next('0 9 * * *', '2026-01-01T00:00:00Z', 'Asia/Kolkata'), '2026-01-01T03:30:00.000Z');
+});
+
+test('follows DST offset changes', () => {
+  // 09:00 New York is 14:00 UTC in winter and 13:00 UTC after the clocks go forward on 8 March 2026
+  assert.equal(next('0 9 * * *', '2026-03-07T15:00:00Z', 'America/New_York'), '2026-03-08T13:00:00.000Z');
+});
+
+test('skips a time that does not exist when clocks go forward', () => {
+  // 02:30 doesn't happen in New York on 8 March 2026
+  assert.equal(next('30 2 * * *', '2026-03-08T05:00:00Z', 'America/New_York'), '2026-03-09T06:30:00.000Z');
+});
+
+test('runs a repeated time once when clocks go back', () => {
+  // 01:30 happens twice in New York on 1 November 2026: 05:30 UTC (EDT) and 06:30 UTC (EST)
+  assert.equal(next('30 1 * * *', '2026-11-01T04:00:00Z', 'America/New_York'), '2026-11-01T05:30:00.000Z');
+  assert.equal(next('30 1 * * *', '2026-11-01T05:30:00Z', 'America/New_York'), '2026-11-02T06:30:00.000Z');
+  // Schedules that run every hour keep running through the repeated hour
+  assert.equal(next('*/15 * * * *', '2026-11-01T05:50:00Z', 'America/New_York'), '2026-11-01T06:00:00.000Z');
+});
+
+test('validates timezones', () => {
+  assert.equal(isValidTimeZone('Europe/Berlin'), true);
+  assert.equal(isValidTimeZone('Mars/Olympus'), false);
+});
@@ -0,0 +1,150 @@
+// backend/test/localRemoteAuthStore.test.js
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import { randomBytes } from 'crypto';
+import os from 'os';
+import path from 'path';
+
+process.env.SESSION_ENCRYPTION_KEYS = `test:${randomBytes(32).toString('base64')}`;
+delete process.env.SESSION_REQUIRE_ENCRYPTION;
+const { LocalRemoteAuthStore } = await import('../src/LocalRemoteAuthStore.js');
+
+const originalDirectory = process.cwd();
+let workDirectory;
+let storeDirectory;
+
+before(async () => {
+  workDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'local-session-store-'));
+  // RemoteAuth writes and reads its zip files in the working directory
+  process.chdir(workDirectory);
+});
+
+after(async () => {
+  process.chdir(originalDirectory);
+  await fs.rm(workDirectory, { recursive: true, force: true });
+});
+
+beforeEach(async (t) => {
+  storeDirectory = await fs.mkdtemp(path.join(workDirectory, 'store-'));
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+afterEach(async () => {
+  await fs.rm(storeDirectory, { recursive: true, force: true });
+});
+
+// What RemoteAuth leaves behind before it calls save()
+async function writeZip(session, text) {
+  const data = Buffer.from(`PK\u0003\u0004 ${text}`);
+  await fs.writeFile(`${session}.zip`, data);
+  return data;
+}
+
+const sessionFiles = async (store) => (await fs.readdir(store.directory)).filter(file => file.endsWith('.session'));
+
+test('saves an encrypted session and extracts it again', async () => {
+  const store = new LocalRemoteAuthStore('bot1', storeDirectory);
+  const zip = await writeZip('RemoteAuth-bot1', 'first save');
+
+  assert.equal(await store.sessionExists({ session: 'RemoteAuth-bot1' }), false);
+  assert.equal(await store.save({ session: 'RemoteAuth-bot1' }), true);
+  assert.equal(await store.sessionExists({ session: 'RemoteAuth-bot1' }), true);
+
+  const [file] = await sessionFiles(store);
+  assert.equal((await fs.readFile(path.join(store.directory, file))).includes(zip), false);
+
+  const extracted = await store.extract({ session: 'RemoteAuth-bot1', path: 'restored.zip' });
+  assert.deepEqual(extracted, zip);
+  assert.deepEqual(await fs.readFile('restored.zip'), zip);
+});
+
+test('a new save replaces the previous data file', async () => {
+  const store = new LocalRemoteAuthStore('bot1', storeDirectory);
+  await writeZip('RemoteAuth-bot1', 'first save');
+  await store.save({ session: 'RemoteAuth-bot1' });
+
+  const latest = await writeZip('RemoteAuth-bot1', 'second save');
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await store.save({ session: 'RemoteAuth-bot1' });
+
+  assert.equal((await sessionFiles(store)).length, 1);
+  assert.deepEqual(await store.readSessionData('bot1-RemoteAuth-bot1'), latest);
+});
+
+test('lists sessions with their size, version, key and last use', async () => {
+  const store = new LocalRemoteAuthStore('bot1', storeDirectory);
+  await writeZip('RemoteAuth-bot1', 'data');
+  await store.save({ session: 'RemoteAuth-bot1' });
+  await store.extract({ session: 'RemoteAuth-bot1', path: 'restored.zip' });
+
+  const [session] = await store.list();
+  assert.equal(session.id, 'bot1-RemoteAuth-bot1');
+  assert.equal(session.client_id, 'bot1');
+  assert.equal(session.encryption_key_id, 'test');
+  assert.ok(Number.isInteger(session.version));
+  assert.ok(session.total_size > 0);
+  assert.ok(session.last_accessed >= session.updated_at);
+
+  assert.deepEqual(await store.getSessionInfo({ session: 'RemoteAuth-bot1' }), session);
+  assert.equal((await store.getStorageStats()).sessionsCount, 1);
+});
+
+test('a tampered data file is not restored', async () => {
+  const store = new LocalRemoteAuthStore('bot1', storeDirectory);
+  await writeZip('RemoteAuth-bot1', 'data');
+  await store.save({ session: 'RemoteAuth-bot1' });
+
+  const [file] = await sessionFiles(store);
+  const dataPath = path.join(store.directory, file);
+  const data = await fs.readFile(dataPath);
+  data[data.length - 1] ^= 0x01;
+  await fs.writeFile(dataPath, data);
+
+  assert.equal(await store.extract({ session: 'RemoteAuth-bot1', path: 'restored.zip' }), null);
+});
+
+test('delete removes the metadata and the data file', async () => {
+  const store = new LocalRemoteAuthStore('bot1', storeDirectory);
+  await writeZip('RemoteAuth-bot1', 'data');
+  await store.save({ session: 'RemoteAuth-bot1' });
+
+  assert.equal(await store.delete({ session: 'RemoteAuth-bot1' }), true);
+  assert.equal(await store.sessionExists({ session: 'RemoteAuth-bot1' }), false);
+  assert.deepEqual(await fs.readdir(store.directory), []);
+  assert.equal(await store.extract({ session: 'RemoteAuth-bot1', path: 'restored.zip' }), null);
+});
+
+test('each client only sees its own sessions', async () => {
+  const first = new LocalRemoteAuthStore('bot1', storeDirectory);
+  const second = new LocalRemoteAuthStore('bot2', storeDirectory);
+  await writeZip('RemoteAuth-bot1', 'data');
+  await first.save({ session: 'RemoteAuth-bot1' });
+
+  assert.deepEqual(await second.list(), []);
+  assert.equal(await second.sessionExists({ session: 'RemoteAuth-bot1' }), false);
+});
+
+test('cleanup deletes only sessions unused for longer than the limit', async () => {
+  const store = new LocalRemoteAuthStore('bot1', storeDirectory);
+  for (const session of ['RemoteAuth-old', 'RemoteAuth-recent']) {
+    await writeZip(session, session);
+    await store.save({ session });
+  }
+
+  const dayAgo = new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString();
+  const meta = await store.readMeta('bot1-RemoteAuth-old');
+  await store.writeMeta('bot1-RemoteAuth-old', { ...meta, updatedAt: dayAgo, lastAccessedAt: dayAgo });
+
+  assert.equal(await store.cleanupOldSessions(24), 1);
+  assert.deepEqual((await store.list()).map(session => session.id), ['bot1-RemoteAuth-recent']);
+});
+
+test('a missing zip file is not saved', async () => {
+  const store = new LocalRemoteAuthStore('bot1', storeDirectory);
+
+  assert.equal(await store.save({ session: 'RemoteAuth-missing' }), false);
+  assert.deepEqual(await store.list(), []);
+});
@@ -0,0 +1,166 @@
+// backend/test/progressiveReply.test.js
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ProgressiveReply } from '../src/progressiveReply.js';
+import { splitMessage } from '../src/utils.js';
+
+beforeEach((t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(console, 'warn', () => {});
+});
+
+// Records what would reach WhatsApp: replies to the user's message, plain messages and edits
+function fakeChat({ editFails = false } = {}) {
+  const log = [];
+  const sentMessage = (kind, text) => {
+    const sent = {
+      text,
+      edit: async (newText) => {
+        if (editFails) throw new Error('edit not supported');
+        sent.text = newText;
+        log.push(['edit', newText]);
+      },
+      delete: async () => log.push(['delete', sent.text])
+    };
+    log.push([kind, text]);
+    return sent;
+  };
+  return {
+    log,
+    message: { reply: async (text) => sentMessage('reply', text) },
+    chat: { sendMessage: async (text) => sentMessage('send', text) }
+  };
+}
+
+// Feeds text to the reply the way a stream does and waits for the flush it starts
+async function stream(reply, text) {
+  reply.update(text);
+  if (reply.pending) await reply.pending;
+}
+
+test('splitMessage keeps short text whole and trims it', () => {
+  assert.deepEqual(splitMessage('  hello  ', 10), ['hello']);
+  assert.deepEqual(splitMessage('', 10), []);
+});
+
+test('splitMessage prefers paragraph, then line, then word boundaries', () => {
+  assert.deepEqual(splitMessage('first part\n\nsecond part', 15), ['first part', 'second part']);
+  assert.deepEqual(splitMessage('first part\nsecond part', 15), ['first part', 'second part']);
+  assert.deepEqual(splitMessage('first part second part', 15), ['first part', 'second part']);
+  // A boundary in the first half would make tiny parts, so the next kind of boundary is used
+  assert.deepEqual(splitMessage('a\n\nbcdefgh ijklmnop', 12), ['a\n\nbcdefgh', 'ijklmnop']);
+});
+
+test('splitMessage cuts words longer than the limit', () => {
+  assert.deepEqual(splitMessage('abcdefghij', 4), ['abcd', 'efgh', 'ij']);
+  for (const part of splitMessage('word '.repeat(500), 100)) {
+    assert.ok(part.length <= 100);
+  }
+});
+
+test('edit mode edits the placeholder as text arrives and splits the final answer', async () => {
+  const { log, message, chat } = fakeChat();
+  const reply = new ProgressiveReply(message, chat, { mode: 'edit', maxLength: 20, editIntervalMs: 0 });
+
+  await reply.start();
+  await stream(reply, 'Hello');
+  const sent = await reply.finish('Hello world, this is long');
+
+  assert.deepEqual(log, [
+    ['reply', '_Generating response..._'],
+    ['edit', 'Hello ▍'],
+    ['edit', 'Hello world, this is'],
+    ['send', 'long']
+  ]);
+  assert.deepEqual(sent.map(m => m.text), ['Hello world, this is', 'long']);
+});
+
+test('falls back to paragraph messages when editing fails', async () => {
+  const { log, message, chat } = fakeChat({ editFails: true });
+  const reply = new ProgressiveReply(message, chat, { mode: 'edit', editIntervalMs: 0 });
+
+  await reply.start();
+  await stream(reply, 'One');
+  assert.equal(reply.mode, 'chunks');
+  await reply.finish('One answer');
+
+  assert.deepEqual(log, [
+    ['reply', '_Generating response..._'],
+    ['delete', '_Generating response..._'],
+    ['reply', 'One answer']
+  ]);
+});
+
+test('chunks mode sends finished paragraphs and then the rest', async () => {
+  const { log, message, chat } = fakeChat();
+  const reply = new ProgressiveReply(message, chat, { mode: 'chunks', editIntervalMs: 0 });
+
+  await stream(reply, 'First paragraph.');
+  await stream(reply, 'First paragraph.\n\nSecond');
+  await stream(reply, 'First paragraph.\n\nSecond paragraph.\n\nThird');
+  await reply.finish('First paragraph.\n\nSecond paragraph.\n\nThird paragraph.');
+
+  assert.deepEqual(log, [
+    ['reply', 'First paragraph.'],
+    ['send', 'Second paragraph.'],
+    ['send', 'Third paragraph.']
+  ]);
+});
+
+test('chunks mode finishes correctly when the final answer is trimmed or re-wrapped', async () => {
+  const { log, message, chat } = fakeChat();
+  const reply = new ProgressiveReply(message, chat, { mode: 'chunks', editIntervalMs: 0 });
+
+  await stream(reply, '\n  Intro line.\n\nDetails');
+  await reply.finish('Intro\nline.\n\nDetails follow.');
+
+  assert.deepEqual(log, [
+    ['reply', 'Intro line.'],
+    ['send', 'Details follow.']
+  ]);
+});
+
+test('chunks mode finishes with the streamed text when the final answer is different', async () => {
+  const { log, message, chat } = fakeChat();
+  const reply = new ProgressiveReply(message, chat, { mode: 'chunks', editIntervalMs: 0 });
+
+  await stream(reply, 'Streamed intro.\n\nStreamed rest.');
+  await reply.finish('A completely different answer.');
+
+  assert.deepEqual(log, [
+    ['reply', 'Streamed intro.'],
+    ['send', 'Streamed rest.']
+  ]);
+});
+
+test('none mode sends only the final answer', async () => {
+  const { log, message, chat } = fakeChat();
+  const reply = new ProgressiveReply(message, chat, { mode: 'none', maxLength: 10, editIntervalMs: 0 });
+
+  await stream(reply, 'Partial\n\ntext');
+  await reply.finish('Final\n\nanswer');
+
+  assert.deepEqual(log, [['reply', 'Final'], ['send', 'answer']]);
+});
+
+test('can restart until a paragraph has been sent', async () => {
+  const { message, chat } = fakeChat();
+  const reply = new ProgressiveReply(message, chat, { mode: 'chunks', editIntervalMs: 0 });
+
+  await stream(reply, 'Half a paragraph');
+  assert.equal(await reply.canRestart(), true);
+  await reply.restart();
+  assert.equal(reply.latestText, '');
+
+  await stream(reply, 'Done.\n\nMore');
+  assert.equal(await reply.canRestart(), false);
+});
+
+test('fail replaces the placeholder', async () => {
+  const { log, message, chat } = fakeChat();
+  const reply = new ProgressiveReply(message, chat, { mode: 'edit', editIntervalMs: 0 });
+
+  await reply.start();
+  await reply.fail();
+  assert.deepEqual(log.at(-1), ['edit', '_Generation failed._']);
+});
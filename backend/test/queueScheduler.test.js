@@ -0,0 +1,160 @@
+// backend/test/queueScheduler.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pickNextRequest, scheduledOrder, ProcessingTimeTracker } from '../src/queueScheduler.js';
+
+let nextId = 1;
+const request = (groupId, fields = {}) => ({ id: `r${nextId++}`, groupId, ...fields });
+const ids = (requests) => requests.map(r => r.id);
+
+// Start requests the way BotManager.processQueue does: up to `workers` at once, at most
+// `perGroupLimit` per group, each start counting as the group's latest turn
+function startRequests(queue, active, lastServed, { workers, perGroupLimit }) {
+  const started = [];
+  while (active.length < workers) {
+    const inFlight = new Map();
+    active.forEach(r => inFlight.set(r.groupId, (inFlight.get(r.groupId) || 0) + 1));
+
+    const next = pickNextRequest(queue, inFlight, lastServed, perGroupLimit);
+    if (!next) break;
+
+    queue.splice(queue.indexOf(next), 1);
+    active.push(next);
+    lastServed.set(next.groupId, lastServed.size === 0 ? 1 : Math.max(...lastServed.values()) + 1);
+    started.push(next);
+  }
+  return started;
+}
+
+test('returns null for an empty queue', () => {
+  assert.equal(pickNextRequest([], new Map(), new Map(), 1), null);
+});
+
+test('takes the oldest request of the group served least recently', () => {
+  const a1 = request('a');
+  const a2 = request('a');
+  const b1 = request('b');
+  const lastServed = new Map([['a', 200], ['b', 100]]);
+
+  assert.equal(pickNextRequest([a1, a2, b1], new Map(), lastServed, 1), b1);
+  assert.equal(pickNextRequest([a2, a1], new Map(), new Map(), 1), a2);
+});
+
+test('groups never served go first, in queue order', () => {
+  const a1 = request('a');
+  const b1 = request('b');
+  const c1 = request('c');
+  const lastServed = new Map([['a', 100]]);
+
+  assert.equal(pickNextRequest([a1, b1, c1], new Map(), lastServed, 1), b1);
+});
+
+test('a busy group cannot starve the others', () => {
+  const queue = [request('a'), request('a'), request('a'), request('a'), request('b'), request('c')];
+  const active = [];
+  const lastServed = new Map();
+  const order = [];
+
+  while (queue.length > 0) {
+    const [started] = startRequests(queue, active, lastServed, { workers: 1, perGroupLimit: 1 });
+    order.push(started.groupId);
+    active.splice(active.indexOf(started), 1);
+  }
+
+  assert.deepEqual(order, ['a', 'b', 'c', 'a', 'a', 'a']);
+});
+
+test('skips groups at their per-group limit', () => {
+  const a1 = request('a');
+  const b1 = request('b');
+  const inFlight = new Map([['a', 1]]);
+
+  assert.equal(pickNextRequest([a1, b1], inFlight, new Map(), 1), b1);
+  assert.equal(pickNextRequest([a1], inFlight, new Map(), 1), null);
+  assert.equal(pickNextRequest([a1], inFlight, new Map(), 2), a1);
+});
+
+test('prioritized requests go first unless their group is at its limit', () => {
+  const a1 = request('a');
+  const b1 = request('b');
+  const b2 = request('b', { prioritized: true });
+
+  assert.equal(pickNextRequest([a1, b1, b2], new Map(), new Map(), 1), b2);
+  assert.equal(pickNextRequest([a1, b1, b2], new Map([['b', 1]]), new Map(), 1), a1);
+});
+
+test('never runs more requests than there are workers', () => {
+  const queue = ['a', 'b', 'c', 'd', 'e'].map(groupId => request(groupId));
+  const active = [];
+  const lastServed = new Map();
+
+  const started = startRequests(queue, active, lastServed, { workers: 2, perGroupLimit: 1 });
+  assert.deepEqual(started.map(r => r.groupId), ['a', 'b']);
+  assert.equal(active.length, 2);
+
+  assert.deepEqual(startRequests(queue, active, lastServed, { workers: 2, perGroupLimit: 1 }), []);
+
+  active.shift();
+  const next = startRequests(queue, active, lastServed, { workers: 2, perGroupLimit: 1 });
+  assert.deepEqual(next.map(r => r.groupId), ['c']);
+  assert.equal(active.length, 2);
+});
+
+test('leaves workers idle rather than exceed the per-group limit', () => {
+  const queue = [request('a'), request('a'), request('a'), request('b')];
+  const active = [];
+  const lastServed = new Map();
+
+  const started = startRequests(queue, active, lastServed, { workers: 4, perGroupLimit: 2 });
+  assert.deepEqual(started.map(r => r.groupId), ['a', 'b', 'a']);
+  assert.equal(queue.length, 1);
+});
+
+test('scheduledOrder alternates groups and matches what pickNextRequest starts', () => {
+  const queue = [request('a'), request('a'), request('b'), request('a'), request('c'), request('b')];
+  const lastServed = new Map([['a', 5]]);
+
+  const order = scheduledOrder(queue, lastServed);
+  assert.deepEqual(order.map(r => r.groupId), ['b', 'c', 'a', 'b', 'a', 'a']);
+
+  const remaining = [...queue];
+  const served = new Map(lastServed);
+  const started = [];
+  while (remaining.length > 0) {
+    started.push(...startRequests(remaining, [], served, { workers: 1, perGroupLimit: 1 }));
+  }
+  assert.deepEqual(ids(started), ids(order));
+});
+
+test('scheduledOrder does not change its inputs', () => {
+  const queue = [request('a'), request('b')];
+  const lastServed = new Map([['a', 1]]);
+
+  scheduledOrder(queue, lastServed);
+
+  assert.equal(queue.length, 2);
+  assert.deepEqual([...lastServed], [['a', 1]]);
+});
+
+test('ProcessingTimeTracker averages the most recent samples', () => {
+  const tracker = new ProcessingTimeTracker(3, 60000);
+  assert.equal(tracker.average(), 60000);
+
+  [1000, 2000, 3000].forEach(ms => tracker.record(ms));
+  assert.equal(tracker.average(), 2000);
+
+  tracker.record(7000);
+  assert.deepEqual(tracker.samples, [2000, 3000, 7000]);
+  assert.equal(tracker.average(), 4000);
+});
+
+test('ProcessingTimeTracker estimates waits in rounds of parallel workers', () => {
+  const tracker = new ProcessingTimeTracker();
+  tracker.record(10000);
+
+  assert.equal(tracker.estimateWait(1, 1), 10000);
+  assert.equal(tracker.estimateWait(3, 1), 30000);
+  assert.equal(tracker.estimateWait(1, 2), 10000);
+  assert.equal(tracker.estimateWait(2, 2), 10000);
+  assert.equal(tracker.estimateWait(3, 2), 20000);
+});
@@ -0,0 +1,94 @@
+// backend/test/rateLimiter.test.js
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Keep the limiter off any real database, even when backend/.env has Supabase credentials
+process.env.SUPABASE_URL = '';
+const { RateLimiter } = await import('../src/rateLimiter.js');
+
+const MINUTE = 60 * 1000;
+const limits = {
+  group: { capacity: 3, refillPerMinute: 1, dailyQuota: 5 },
+  user: { capacity: 0, refillPerMinute: 0, dailyQuota: 0 },
+};
+
+let now;
+beforeEach((t) => {
+  now = Date.UTC(2026, 0, 10, 12, 0, 0);
+  t.mock.method(Date, 'now', () => now);
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(console, 'log', () => {});
+});
+
+test('allows a burst up to capacity, then limits with a retry time', async () => {
+  const limiter = new RateLimiter(limits);
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await limiter.consume('g1', 'u1')).allowed, true);
+  }
+
+  const denied = await limiter.consume('g1', 'u1');
+  assert.equal(denied.allowed, false);
+  assert.equal(denied.scope, 'group');
+  assert.equal(denied.reason, 'rate');
+  assert.equal(denied.retryAfterMs, MINUTE);
+});
+
+test('refills tokens over time without exceeding capacity', async () => {
+  const limiter = new RateLimiter({ ...limits, group: { ...limits.group, dailyQuota: 0 } });
+  for (let i = 0; i < 3; i++) await limiter.consume('g1', 'u1');
+
+  now += MINUTE;
+  assert.equal((await limiter.consume('g1', 'u1')).allowed, true);
+  assert.equal((await limiter.consume('g1', 'u1')).allowed, false);
+
+  now += 10 * MINUTE;
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await limiter.consume('g1', 'u1')).allowed, true);
+  }
+  assert.equal((await limiter.consume('g1', 'u1')).allowed, false);
+});
+
+test('daily quota resets at UTC midnight', async () => {
+  const limiter = new RateLimiter({ ...limits, group: { capacity: 0, refillPerMinute: 0, dailyQuota: 2 } });
+  now = Date.UTC(2026, 0, 10, 23, 59, 0);
+  await limiter.consume('g1', 'u1');
+  await limiter.consume('g1', 'u1');
+
+  const denied = await limiter.consume('g1', 'u1');
+  assert.equal(denied.reason, 'quota');
+  assert.equal(denied.retryAfterMs, MINUTE);
+
+  now = Date.UTC(2026, 0, 11, 0, 0, 0);
+  assert.equal((await limiter.consume('g1', 'u1')).allowed, true);
+});
+
+test('nothing is consumed when the sender is limited', async () => {
+  const limiter = new RateLimiter({ ...limits, user: { capacity: 1, refillPerMinute: 0, dailyQuota: 0 } });
+  await limiter.consume('g1', 'u1');
+
+  assert.equal((await limiter.consume('g1', 'u1')).scope, 'user');
+  assert.equal(limiter.states.get('admin:group:g1').tokens, 2);
+});
+
+test('keys are scoped by bot so bots do not share counters', async () => {
+  const first = new RateLimiter(limits, { botId: 'first' });
+  const second = new RateLimiter(limits, { botId: 'second' });
+  for (let i = 0; i < 3; i++) await first.consume('g1', 'u1');
+
+  assert.equal((await first.consume('g1', 'u1')).allowed, false);
+  assert.equal((await second.consume('g1', 'u1')).allowed, true);
+  assert.ok(first.states.has('first:group:g1'));
+  assert.ok(second.states.has('second:group:g1'));
+});
+
+test('evicts keys that have been idle for the idle TTL', async () => {
+  const limiter = new RateLimiter(limits, { idleTtlMs: 60 * MINUTE });
+  await limiter.consume('g1', 'u1');
+  now += 30 * MINUTE;
+  await limiter.consume('g2', 'u2');
+
+  now += 40 * MINUTE;
+  await limiter.consume('g2', 'u2');
+  assert.equal(limiter.states.has('admin:group:g1'), false);
+  assert.equal(limiter.states.has('admin:group:g2'), true);
+});
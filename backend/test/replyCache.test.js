@@ -0,0 +1,113 @@
+// backend/test/replyCache.test.js
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReplyCache, buildCacheKey, cachedReplyNote, normalizePrompt } from '../src/replyCache.js';
+import { createCommandRegistry } from '../src/commands.js';
+
+delete process.env.UPSTASH_REDIS_REST_URL;
+delete process.env.UPSTASH_REDIS_REST_TOKEN;
+
+const request = (fields = {}) => ({
+  groupId: 'group@g.us',
+  commandType: 'ai',
+  provider: 'openai',
+  model: 'gpt-4o-mini',
+  prompt: 'What did we decide about the venue?',
+  messages: [{ message_id: 'm1' }, { message_id: 'm2' }],
+  conversationHistory: [],
+  ...fields
+});
+
+let now;
+beforeEach((t) => {
+  now = 1000000;
+  t.mock.method(Date, 'now', () => now);
+  t.mock.method(console, 'log', () => {});
+});
+
+test('normalizes case, whitespace and trailing punctuation', () => {
+  assert.equal(normalizePrompt('  What did we   decide about X?!  '), 'what did we decide about x');
+});
+
+test('the same question about the same context gets the same key', () => {
+  assert.equal(buildCacheKey(request()), buildCacheKey(request({ prompt: 'what did we decide about the venue' })));
+
+  const key = buildCacheKey(request());
+  assert.notEqual(buildCacheKey(request({ messages: [{ message_id: 'm1' }, { message_id: 'm3' }] })), key);
+  assert.notEqual(buildCacheKey(request({ conversationHistory: [{ prompt: 'p', answer: 'a' }] })), key);
+  assert.notEqual(buildCacheKey(request({ commandType: 'ai_search' })), key);
+  assert.notEqual(buildCacheKey(request({ model: 'gpt-4o' })), key);
+  assert.notEqual(buildCacheKey(request({ groupId: 'other@g.us' })), key);
+});
+
+test('answers a repeated question from the cache', async () => {
+  const cache = new ReplyCache();
+
+  const first = await cache.lookup(request(), { enabled: true });
+  assert.equal(first.cached, null);
+  assert.ok(first.key);
+  assert.equal(await cache.remember(first.key, 'The town hall.', 60), true);
+
+  now += 5 * 60 * 1000;
+  const second = await cache.lookup(request({ prompt: 'what did we decide about the venue' }), { enabled: true });
+  assert.equal(second.key, first.key);
+  assert.equal(second.cached.answer, 'The town hall.');
+  assert.equal(second.cached.cachedAt, 1000000);
+  assert.deepEqual(cache.getStats(), { backend: 'memory', hits: 1, misses: 1, keys: 1 });
+});
+
+test('a forced request skips the cached answer but still gets a key to refresh it', async () => {
+  const cache = new ReplyCache();
+  const { key } = await cache.lookup(request(), { enabled: true });
+  await cache.remember(key, 'Old answer', 60);
+
+  const forced = await cache.lookup(request(), { enabled: true, bypass: true });
+  assert.equal(forced.key, key);
+  assert.equal(forced.cached, null);
+
+  await cache.remember(forced.key, 'New answer', 60);
+  assert.equal((await cache.lookup(request(), { enabled: true })).cached.answer, 'New answer');
+});
+
+test('groups with the cache turned off neither read nor store answers', async () => {
+  const cache = new ReplyCache();
+  const enabled = await cache.lookup(request(), { enabled: true });
+  await cache.remember(enabled.key, 'Cached', 60);
+
+  const disabled = await cache.lookup(request(), { enabled: false });
+  assert.deepEqual(disabled, { key: null, cached: null });
+  assert.equal(await cache.remember(disabled.key, 'Not cached', 60), false);
+  assert.equal(cache.getStats().keys, 1);
+});
+
+test('answers expire after the group\'s TTL', async () => {
+  const cache = new ReplyCache();
+  const { key } = await cache.lookup(request(), { enabled: true });
+  await cache.remember(key, 'The town hall.', 10);
+
+  now += 10 * 60 * 1000 - 1;
+  assert.equal((await cache.lookup(request(), { enabled: true })).cached.answer, 'The town hall.');
+
+  now += 2;
+  assert.equal((await cache.lookup(request(), { enabled: true })).cached, null);
+});
+
+test('the note names the cache age and the forcing command', () => {
+  const note = cachedReplyNote({ cachedAt: now - 90 * 60 * 1000 }, { prefix: '@', commandType: 'ai_search' });
+  assert.equal(note, '\n\n_♻️ Same answer as 1h 30m ago. Send @ai_search! to ask again._');
+});
+
+test('the command in the note forces a fresh answer', () => {
+  const registry = createCommandRegistry();
+  const settings = { prefixes: ['!', '@'], matchAtStart: true, legacyTriggers: true, enabledCommands: registry.names() };
+
+  for (const commandType of ['ai', 'ai_search']) {
+    const note = cachedReplyNote({ cachedAt: now }, { prefix: settings.prefixes[0], commandType });
+    const command = note.match(/Send (\S+) to ask again/)[1];
+
+    const match = registry.match(`${command} what did we decide?`, settings);
+    assert.equal(match.command.name, commandType);
+    assert.equal(match.force, true);
+    assert.equal(match.args, 'what did we decide?');
+  }
+});
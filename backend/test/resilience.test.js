@@ -0,0 +1,147 @@
+// backend/test/resilience.test.js
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { CircuitBreaker, CircuitOpenError, callWithRetry, classifyError } from '../src/resilience.js';
+
+const options = { failureThreshold: 2, resetTimeoutMs: 1000 };
+const noDelay = { maxRetries: 2, baseDelayMs: 0, maxDelayMs: 0 };
+
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { response: { status } });
+const networkError = () => Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+
+let now;
+beforeEach((t) => {
+  now = 1000000;
+  t.mock.method(Date, 'now', () => now);
+  t.mock.method(console, 'log', () => {});
+});
+
+test('classifies errors by status and code', () => {
+  assert.equal(classifyError(httpError(429)), 'rate_limited');
+  assert.equal(classifyError(httpError(503)), 'server');
+  assert.equal(classifyError(httpError(401)), 'client');
+  assert.equal(classifyError(Object.assign(new Error('x'), { code: 'ETIMEDOUT' })), 'timeout');
+  assert.equal(classifyError(networkError()), 'network');
+  assert.equal(classifyError(new TypeError('cannot read properties of undefined')), 'unknown');
+});
+
+test('opens after the failure threshold, then half-opens after the reset timeout', () => {
+  const breaker = new CircuitBreaker('test', options);
+  breaker.recordFailure(networkError());
+  assert.equal(breaker.state, 'closed');
+  breaker.recordFailure(networkError());
+  assert.equal(breaker.state, 'open');
+  assert.equal(breaker.canRequest(), false);
+  assert.equal(breaker.retryAfterMs(), 1000);
+
+  now += 1000;
+  assert.equal(breaker.canRequest(), true);
+  assert.equal(breaker.state, 'half_open');
+  // Only one trial call at a time
+  assert.equal(breaker.canRequest(), false);
+});
+
+test('callers turned away during a trial get a positive retry time', async () => {
+  const breaker = new CircuitBreaker('test', options);
+  breaker.recordFailure(networkError());
+  breaker.recordFailure(networkError());
+  now += 1000;
+  assert.equal(breaker.canRequest(), true);
+
+  await assert.rejects(callWithRetry(async () => 'answer', { breaker, ...noDelay }), (error) => {
+    assert.equal(error.kind, 'circuit_open');
+    assert.equal(error.retryAfterMs, 1000);
+    return true;
+  });
+
+  const slowRecovery = new CircuitBreaker('slow', { failureThreshold: 1, resetTimeoutMs: 5 * 60 * 1000 });
+  slowRecovery.recordFailure(networkError());
+  now += 5 * 60 * 1000;
+  slowRecovery.canRequest();
+  assert.equal(slowRecovery.retryAfterMs(), 15 * 1000);
+
+  slowRecovery.releaseTrial();
+  assert.equal(slowRecovery.retryAfterMs(), 0);
+});
+
+test('a successful trial closes the breaker and a failed one reopens it', () => {
+  const breaker = new CircuitBreaker('test', options);
+  breaker.recordFailure(networkError());
+  breaker.recordFailure(networkError());
+  now += 1000;
+  breaker.canRequest();
+  breaker.recordFailure(networkError());
+  assert.equal(breaker.state, 'open');
+
+  now += 1000;
+  breaker.canRequest();
+  breaker.recordSuccess();
+  assert.equal(breaker.state, 'closed');
+  assert.equal(breaker.consecutiveFailures, 0);
+});
+
+test('retries retryable failures and returns the first success', async () => {
+  const breaker = new CircuitBreaker('test', options);
+  let calls = 0;
+  const result = await callWithRetry(async () => {
+    if (++calls === 1) throw networkError();
+    return 'answer';
+  }, { breaker, ...noDelay });
+
+  assert.equal(result, 'answer');
+  assert.equal(calls, 2);
+  assert.equal(breaker.consecutiveFailures, 0);
+});
+
+test('does not retry client errors, which count as the service being up', async () => {
+  const breaker = new CircuitBreaker('test', options);
+  breaker.recordFailure(networkError());
+  let calls = 0;
+
+  await assert.rejects(
+    callWithRetry(async () => { calls++; throw httpError(400); }, { breaker, ...noDelay }),
+    { kind: 'client' }
+  );
+  assert.equal(calls, 1);
+  assert.equal(breaker.consecutiveFailures, 0);
+});
+
+test('unknown errors neither reset the breaker nor hold a half-open trial', async () => {
+  const breaker = new CircuitBreaker('test', options);
+  breaker.recordFailure(networkError());
+
+  await assert.rejects(
+    callWithRetry(async () => { throw new TypeError('bad response'); }, { breaker, ...noDelay }),
+    { kind: 'unknown' }
+  );
+  assert.equal(breaker.consecutiveFailures, 1);
+
+  breaker.recordFailure(networkError());
+  now += 1000;
+  await assert.rejects(callWithRetry(async () => { throw new TypeError('bad response'); }, { breaker, ...noDelay }));
+  assert.equal(breaker.state, 'half_open');
+  assert.equal(breaker.canRequest(), true);
+});
+
+test('stops with CircuitOpenError once the breaker opens', async () => {
+  const breaker = new CircuitBreaker('test', options);
+  let calls = 0;
+
+  await assert.rejects(
+    callWithRetry(async () => { calls++; throw httpError(500); }, { breaker, ...noDelay }),
+    CircuitOpenError
+  );
+  assert.equal(calls, 2);
+  await assert.rejects(callWithRetry(async () => 'never', { breaker, ...noDelay }), { kind: 'circuit_open' });
+});
+
+test('canRetry can veto a retry', async () => {
+  const breaker = new CircuitBreaker('test', { ...options, failureThreshold: 10 });
+  let calls = 0;
+
+  await assert.rejects(
+    callWithRetry(async () => { calls++; throw networkError(); }, { breaker, ...noDelay, canRetry: async () => false }),
+    { kind: 'network' }
+  );
+  assert.equal(calls, 1);
+});
@@ -0,0 +1,105 @@
+// backend/test/sessionCrypto.test.js
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomBytes } from 'crypto';
+import { SessionCipher, SessionIntegrityError, parseSessionKeys } from '../src/sessionCrypto.js';
+
+const keyA = randomBytes(32);
+const keyB = randomBytes(32);
+const plaintext = Buffer.from('PK\u0003\u0004 session zip contents');
+
+// Offsets into the layout MAGIC(4) | id length(1) | id | IV(12) | tag(16) | ciphertext
+const headerLength = (keyId) => 4 + 1 + keyId.length;
+const flipByte = (data, index) => {
+  const copy = Buffer.from(data);
+  copy[index] ^= 0x01;
+  return copy;
+};
+
+beforeEach((t) => {
+  t.mock.method(console, 'warn', () => {});
+  delete process.env.SESSION_REQUIRE_ENCRYPTION;
+});
+
+test('encrypts and decrypts a session with the active key', () => {
+  const cipher = new SessionCipher(`new:${keyA.toString('base64')}`);
+  const sealed = cipher.encrypt(plaintext, 'RemoteAuth-admin');
+
+  assert.equal(cipher.isEncrypted(sealed), true);
+  assert.equal(cipher.keyIdOf(sealed), 'new');
+  assert.equal(sealed.includes(plaintext), false);
+  assert.deepEqual(cipher.decrypt(sealed, 'RemoteAuth-admin'), plaintext);
+  // Fresh IV every time
+  assert.notDeepEqual(cipher.encrypt(plaintext, 'RemoteAuth-admin'), sealed);
+});
+
+test('rejects a modified header, IV, auth tag or ciphertext', () => {
+  const cipher = new SessionCipher(`new:${keyA.toString('hex')}`);
+  const sealed = cipher.encrypt(plaintext, 'RemoteAuth-admin');
+  const header = headerLength('new');
+
+  // Last byte of MAGIC: no longer recognised as encrypted
+  assert.throws(() => cipher.decrypt(flipByte(sealed, 3), 'RemoteAuth-admin'), SessionIntegrityError);
+  for (const index of [header, header + 12, header + 28, sealed.length - 1]) {
+    assert.throws(() => cipher.decrypt(flipByte(sealed, index), 'RemoteAuth-admin'), /failed its integrity check/);
+  }
+});
+
+test('rejects a session decrypted under another session id', () => {
+  const cipher = new SessionCipher(`new:${keyA.toString('base64')}`);
+  const sealed = cipher.encrypt(plaintext, 'RemoteAuth-admin');
+
+  assert.throws(() => cipher.decrypt(sealed, 'RemoteAuth-sales'), /failed its integrity check/);
+});
+
+test('decrypts with an older key after rotation and encrypts with the first key', () => {
+  const before = new SessionCipher(`old:${keyB.toString('base64')}`);
+  const sealedBefore = before.encrypt(plaintext, 'RemoteAuth-admin');
+
+  const after = new SessionCipher(`new:${keyA.toString('base64')},old:${keyB.toString('base64')}`);
+  assert.deepEqual(after.decrypt(sealedBefore, 'RemoteAuth-admin'), plaintext);
+  assert.equal(after.keyIdOf(after.encrypt(plaintext, 'RemoteAuth-admin')), 'new');
+});
+
+test('rejects a session encrypted with a key that is no longer configured', () => {
+  const before = new SessionCipher(`old:${keyB.toString('base64')}`);
+  const sealed = before.encrypt(plaintext, 'RemoteAuth-admin');
+
+  const after = new SessionCipher(`new:${keyA.toString('base64')}`);
+  assert.throws(() => after.decrypt(sealed, 'RemoteAuth-admin'), /unknown key "old"/);
+});
+
+test('rejects truncated data', () => {
+  const cipher = new SessionCipher(`new:${keyA.toString('base64')}`);
+  const sealed = cipher.encrypt(plaintext, 'RemoteAuth-admin');
+
+  assert.throws(() => cipher.decrypt(sealed.subarray(0, headerLength('new') + 20), 'RemoteAuth-admin'), /truncated/);
+  assert.throws(() => cipher.decrypt(sealed.subarray(0, sealed.length - 5), 'RemoteAuth-admin'), SessionIntegrityError);
+});
+
+test('passes plaintext through unless encryption is required', () => {
+  const cipher = new SessionCipher(`new:${keyA.toString('base64')}`);
+  assert.deepEqual(cipher.open(plaintext, 'RemoteAuth-admin'), plaintext);
+
+  process.env.SESSION_REQUIRE_ENCRYPTION = 'true';
+  assert.throws(() => cipher.open(plaintext, 'RemoteAuth-admin'), SessionIntegrityError);
+});
+
+test('stores plaintext when no key is configured', () => {
+  const cipher = new SessionCipher('');
+  assert.equal(cipher.enabled, false);
+  assert.deepEqual(cipher.seal(plaintext, 'RemoteAuth-admin'), plaintext);
+  assert.throws(() => cipher.encrypt(plaintext, 'RemoteAuth-admin'), /No session encryption key/);
+});
+
+test('parseSessionKeys validates ids and key lengths', () => {
+  const keys = parseSessionKeys(` a:${keyA.toString('hex')} , b:${keyB.toString('base64')} `);
+  assert.deepEqual([...keys.keys()], ['a', 'b']);
+  assert.deepEqual(keys.get('a'), keyA);
+
+  assert.equal(parseSessionKeys(undefined).size, 0);
+  assert.throws(() => parseSessionKeys(keyA.toString('base64')), /needs an id/);
+  assert.throws(() => parseSessionKeys(`bad id:${keyA.toString('base64')}`), /needs an id/);
+  assert.throws(() => parseSessionKeys(`a:${keyA.toString('base64')},a:${keyB.toString('base64')}`), /used twice/);
+  assert.throws(() => parseSessionKeys(`a:${randomBytes(16).toString('base64')}`), /must be 32 bytes \(got 16\)/);
+});
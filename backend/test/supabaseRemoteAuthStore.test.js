@@ -0,0 +1,202 @@
+// backend/test/supabaseRemoteAuthStore.test.js
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomBytes } from 'crypto';
+
+// Keep the session tables off any real database, even when backend/.env has Supabase credentials
+process.env.SUPABASE_URL = '';
+process.env.SESSION_ENCRYPTION_KEYS = `test:${randomBytes(32).toString('base64')}`;
+delete process.env.SESSION_REQUIRE_ENCRYPTION;
+const { SupabaseRemoteAuthStore } = await import('../src/SupabaseRemoteAuthStore.js');
+const { supabase } = await import('../src/supabaseClient.js');
+
+const sessionId = 'bot1-RemoteAuth-bot1';
+const zip = (text) => Buffer.from(`PK\u0003\u0004 ${text}`);
+
+let now;
+let tables;
+let failures;
+
+beforeEach((t) => {
+  now = 1700000000000;
+  tables = {};
+  failures = {};
+  t.mock.method(Date, 'now', () => now);
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(supabase, 'from', fakeTable);
+});
+
+// In-memory stand-in for the PostgREST queries the store makes. failures['<table>.<action>']
+// is returned as the error of that kind of query.
+function fakeTable(table) {
+  const filters = [];
+  let action = 'select';
+  let payload;
+  let ordering;
+
+  const matches = (row) => filters.every(filter => filter(row));
+  const run = () => {
+    const failure = failures[`${table}.${action}`];
+    if (failure) return { data: null, error: failure };
+
+    const rows = tables[table] || (tables[table] = []);
+    switch (action) {
+      case 'insert':
+        rows.push({ ...payload });
+        return { data: null, error: null };
+      case 'upsert': {
+        const index = rows.findIndex(row => row.id === payload.id);
+        if (index === -1) rows.push({ ...payload });
+        else rows[index] = { ...payload };
+        return { data: null, error: null };
+      }
+      case 'update':
+        rows.filter(matches).forEach(row => Object.assign(row, payload));
+        return { data: null, error: null };
+      case 'delete':
+        tables[table] = rows.filter(row => !matches(row));
+        return { data: null, error: null };
+      default: {
+        const data = rows.filter(matches).map(row => ({ ...row }));
+        if (ordering) {
+          const [column, ascending] = ordering;
+          data.sort((a, b) => (ascending ? 1 : -1) * (a[column] - b[column]));
+        }
+        return { data, error: null };
+      }
+    }
+  };
+
+  const query = {
+    insert: (row) => { action = 'insert'; payload = row; return query; },
+    upsert: (row) => { action = 'upsert'; payload = row; return query; },
+    update: (fields) => { action = 'update'; payload = fields; return query; },
+    delete: () => { action = 'delete'; return query; },
+    select: () => query,
+    eq: (column, value) => { filters.push(row => row[column] === value); return query; },
+    not: (column, operator, list) => {
+      const values = list.slice(1, -1).split(',').map(Number);
+      filters.push(row => !values.includes(row[column]));
+      return query;
+    },
+    order: (column, { ascending }) => { ordering = [column, ascending]; return query; },
+    single: async () => {
+      const result = run();
+      if (result.error) return result;
+      return result.data.length > 0 ? { data: result.data[0], error: null } : { data: null, error: { code: 'PGRST116' } };
+    },
+    then: (resolve, reject) => Promise.resolve().then(run).then(resolve, reject)
+  };
+  return query;
+}
+
+// Saves one session version per call, a second apart
+async function saveVersions(store, count) {
+  for (let i = 1; i <= count; i++) {
+    now += 1000;
+    await store.writeSessionData(sessionId, zip(`version ${i}`));
+  }
+}
+
+const versionsOf = (table) => [...new Set((tables[table] || []).map(row => row.version))].sort();
+
+test('saves an encrypted session in chunks and reads it back', async () => {
+  const store = new SupabaseRemoteAuthStore('bot1');
+  const sessionData = randomBytes(800 * 1024);
+
+  await store.writeSessionData(sessionId, sessionData);
+
+  const [session] = tables.whatsapp_sessions;
+  assert.equal(session.version, now);
+  assert.equal(session.encryption_key_id, 'test');
+  assert.equal(session.chunks_count, 2);
+  assert.equal(tables.whatsapp_session_chunks.length, 2);
+  assert.equal(tables.whatsapp_session_versions.length, 1);
+
+  const stored = Buffer.from(tables.whatsapp_session_chunks.map(chunk => chunk.chunk_data).join(''), 'base64');
+  assert.equal(stored.includes(sessionData.subarray(0, 64)), false);
+
+  assert.deepEqual(await store.readSessionData(sessionId), sessionData);
+});
+
+test('keeps only the newest versions', async () => {
+  const store = new SupabaseRemoteAuthStore('bot1');
+  store.versionsToKeep = 2;
+
+  await saveVersions(store, 4);
+
+  assert.deepEqual(versionsOf('whatsapp_session_versions'), [now - 1000, now]);
+  assert.deepEqual(versionsOf('whatsapp_session_chunks'), [now - 1000, now]);
+  assert.deepEqual(await store.readSessionData(sessionId), zip('version 4'));
+});
+
+test('pruning also drops chunks of saves that never finished', async () => {
+  const store = new SupabaseRemoteAuthStore('bot1');
+  tables.whatsapp_session_chunks = [{ session_id: sessionId, version: 5, chunk_index: 0, chunk_data: 'abc', total_chunks: 2 }];
+
+  await saveVersions(store, 1);
+
+  assert.deepEqual(versionsOf('whatsapp_session_chunks'), [now]);
+});
+
+test('a failed prune does not fail the save', async () => {
+  const store = new SupabaseRemoteAuthStore('bot1');
+  failures['whatsapp_session_chunks.delete'] = { code: '57014', message: 'canceling statement due to statement timeout' };
+
+  await saveVersions(store, 2);
+
+  assert.equal(tables.whatsapp_sessions[0].version, now);
+  assert.equal(console.error.mock.calls.some(call => /Failed to prune/.test(call.arguments[0])), true);
+});
+
+test('rolls back to the previous version when the live one is corrupt', async () => {
+  const store = new SupabaseRemoteAuthStore('bot1');
+  await saveVersions(store, 2);
+
+  const live = tables.whatsapp_session_chunks.find(chunk => chunk.version === now);
+  live.chunk_data = Buffer.from('tampered').toString('base64');
+
+  assert.deepEqual(await store.readSessionData(sessionId), zip('version 1'));
+});
+
+test('a save interrupted before its version row leaves the live version in place', async () => {
+  const store = new SupabaseRemoteAuthStore('bot1');
+  await saveVersions(store, 1);
+  const liveVersion = now;
+
+  failures['whatsapp_session_versions.insert'] = { code: '08006', message: 'connection failure' };
+  await assert.rejects(saveVersions(store, 1));
+
+  assert.equal(tables.whatsapp_sessions[0].version, liveVersion);
+  assert.deepEqual(await store.readSessionData(sessionId), zip('version 1'));
+});
+
+test('points at the migration when the session tables predate versioned saves', async () => {
+  const store = new SupabaseRemoteAuthStore('bot1');
+  const outdated = [
+    ['whatsapp_session_chunks.insert', { code: '23505', message: 'duplicate key value violates unique constraint' }],
+    ['whatsapp_session_chunks.insert', { code: '42703', message: 'column "version" does not exist' }],
+    ['whatsapp_session_versions.insert', { code: '42P01', message: 'relation "whatsapp_session_versions" does not exist' }],
+    ['whatsapp_sessions.upsert', { code: 'PGRST204', message: 'Could not find the \'checksum\' column' }]
+  ];
+
+  for (const [query, error] of outdated) {
+    failures = { [query]: error };
+    await assert.rejects(store.writeSessionData(sessionId, zip('data')), (thrown) => {
+      assert.match(thrown.message, /npm run migrate/);
+      assert.match(thrown.message, /002_session_encryption_and_versions\.sql/);
+      assert.ok(thrown.message.includes(error.message));
+      return true;
+    });
+  }
+});
+
+test('passes other save errors through unchanged', async () => {
+  const store = new SupabaseRemoteAuthStore('bot1');
+  const error = { code: '08006', message: 'connection failure' };
+  failures['whatsapp_session_chunks.insert'] = error;
+
+  await assert.rejects(store.writeSessionData(sessionId, zip('data')), (thrown) => thrown === error);
+});
@@ -1,42 +1,65 @@
 // whatsapp-bot-dashboard/src/App.js
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import io from 'socket.io-client';
 import './App.css';
-
-const backendUrl = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
-
-// 🧠 Common headers to bypass ngrok warning
-const commonHeaders = {
-  'ngrok-skip-browser-warning': '1',
-  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/118.0 Safari/537.36',
-  'Accept': 'application/json, text/javascript, */*; q=0.01',
-  'Accept-Language': 'en-US,en;q=0.9',
-  'Referer': backendUrl,
-  'Content-Type': 'application/json'
-};
+import { backendUrl, botApiUrl, authHeaders, parseJsonSafely, loadStoredAuth, clearStoredAuth, hasRole } from './api';
+import LoginScreen from './LoginScreen';
+import GroupSettingsPanel from './GroupSettingsPanel';
+import RateLimitPanel from './RateLimitPanel';
+import QueuePanel from './QueuePanel';
+import ServiceHealthPanel from './ServiceHealthPanel';
+import DigestPanel from './DigestPanel';
+import OutboundPanel from './OutboundPanel';
+import AuditPanel from './AuditPanel';
+import SessionPanel from './SessionPanel';
+import BotSwitcher from './BotSwitcher';
+
+// Active groups are cached per bot
+const activeGroupsKey = (botId) => botId ? `activeGroups:${botId}` : 'activeGroups';
 
 function App() {
+  const [auth, setAuth] = useState(loadStoredAuth);
   const [socket, setSocket] = useState(null);
+  const [bots, setBots] = useState([]);
+  const [botId, setBotId] = useState(() => localStorage.getItem('selectedBot') || '');
+  // Socket handlers are registered once, so they read the selected bot from a ref
+  const botIdRef = useRef(botId);
   const [qrCode, setQrCode] = useState('');
   const [botStatus, setBotStatus] = useState('disconnected');
   const [savedGroups, setSavedGroups] = useState([]);
   const [searchResults, setSearchResults] = useState([]);
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedGroups, setSelectedGroups] = useState(() => {
-    const saved = localStorage.getItem('activeGroups');
+    const saved = localStorage.getItem(activeGroupsKey(botId));
     return saved ? JSON.parse(saved) : [];
   });
   const [isLoading, setIsLoading] = useState(false);
   const [searching, setSearching] = useState(false);
   const [sessionRetryInfo, setSessionRetryInfo] = useState(null);
   const [canUseSession, setCanUseSession] = useState(false);
+  const [settingsGroupId, setSettingsGroupId] = useState(null);
+
+  const token = auth?.token;
+  const canOperate = hasRole(auth?.user, 'operator');
+  const isAdmin = hasRole(auth?.user, 'admin');
+
+  const logout = useCallback(() => {
+    clearStoredAuth();
+    setAuth(null);
+  }, []);
+
+  // 🔐 Any API call answered with 401 logs the dashboard out
+  useEffect(() => {
+    window.addEventListener('auth-expired', logout);
+    return () => window.removeEventListener('auth-expired', logout);
+  }, [logout]);
 
   // 🆕 NEW: Force QR generation
   const forceQR = () => {
     if (!socket) return;
     console.log('Requesting force QR generation...');
-    socket.emit('force-qr');
+    socket.emit('force-qr', { botId });
     setIsLoading(true);
   };
 
@@ -47,27 +70,14 @@ function App() {
     
     // Use different events based on current status
     if (botStatus === 'session_exists' || botStatus === 'authenticating_with_session') {
-      socket.emit('force-retry');
+      socket.emit('force-retry', { botId });
     } else {
-      socket.emit('retry-session');
+      socket.emit('retry-session', { botId });
     }
     
     setIsLoading(true);
   };
 
-  // 🧠 Helper: safely parse JSON or detect ngrok splash
-  const parseJsonSafely = async (response) => {
-    const text = await response.text();
-    if (text.startsWith('<!DOCTYPE html') || text.includes('ERR_NGROK_6024')) {
-      throw new Error('Blocked by ngrok splash page (ERR_NGROK_6024)');
-    }
-    try {
-      return JSON.parse(text);
-    } catch {
-      throw new Error('Invalid JSON response');
-    }
-  };
-
   // 🚀 Load saved groups
   const loadSavedGroups = useCallback(async () => {
     if (selectedGroups.length === 0) {
@@ -75,9 +85,9 @@ function App() {
       return;
     }
     try {
-      const response = await fetch(`${backendUrl}/api/groups/saved`, {
+      const response = await fetch(botApiUrl(botId, '/groups/saved'), {
         method: 'POST',
-        headers: commonHeaders,
+        headers: authHeaders(),
         body: JSON.stringify({ groupIds: selectedGroups }),
       });
       if (response.ok) {
@@ -89,7 +99,7 @@ function App() {
     } catch (error) {
       console.error('Error loading saved groups:', error);
     }
-  }, [selectedGroups]); // Add dependencies that this function uses
+  }, [botId, selectedGroups]); // Add dependencies that this function uses
 
   // 🚀 Load saved groups when selection changes
   useEffect(() => {
@@ -107,8 +117,8 @@ function App() {
 
     setSearching(true);
     try {
-      const response = await fetch(`${backendUrl}/api/groups/search?q=${encodeURIComponent(searchQuery)}`, {
-        headers: commonHeaders,
+      const response = await fetch(botApiUrl(botId, `/groups/search?q=${encodeURIComponent(searchQuery)}`), {
+        headers: authHeaders(),
       });
       if (response.ok) {
         const results = await parseJsonSafely(response);
@@ -126,20 +136,48 @@ function App() {
 
   // 🚀 Socket connection
   useEffect(() => {
+    if (!token) return;
+
     const newSocket = io(backendUrl, {
       transports: ['websocket', 'polling'],
-      timeout: 10000
+      timeout: 10000,
+      auth: { token, botId: botIdRef.current }
     });
 
     setSocket(newSocket);
 
+    newSocket.on('connect_error', (error) => {
+      if (error.message === 'Unauthorized') logout();
+    });
+
+    // The backend closes the socket when the login expires
+    newSocket.on('auth-expired', logout);
+
+    // Events from a bot the dashboard just switched away from
+    const fromOtherBot = (data) => Boolean(data.botId) && Boolean(botIdRef.current) && data.botId !== botIdRef.current;
+
+    newSocket.on('bots-updated', (data) => {
+      setBots(data.bots);
+      // Unknown or removed bot: the backend has subscribed this socket to the default bot
+      if (!data.bots.some(bot => bot.id === botIdRef.current)) {
+        const defaultBot = data.bots.find(bot => bot.isDefault);
+        if (defaultBot) {
+          botIdRef.current = defaultBot.id;
+          setBotId(defaultBot.id);
+          localStorage.setItem('selectedBot', defaultBot.id);
+        }
+      }
+    });
+
     newSocket.on('qr-code', (data) => {
+      if (fromOtherBot(data)) return;
       setQrCode(data.qr);
       setCanUseSession(data.canUseSession || false);
       setIsLoading(false);
     });
 
     newSocket.on('bot-status', (data) => {
+      if (fromOtherBot(data)) return;
       setBotStatus(data.status);
       setIsLoading(false);
       
@@ -164,24 +202,31 @@ function App() {
     });
 
     newSocket.on('active-groups-updated', (data) => {
+      if (fromOtherBot(data)) return;
       setSelectedGroups(data.groups);
-      localStorage.setItem('activeGroups', JSON.stringify(data.groups));
+      localStorage.setItem(activeGroupsKey(data.botId), JSON.stringify(data.groups));
     });
 
     newSocket.on('bot-error', (data) => {
+      if (fromOtherBot(data)) return;
       alert('Bot error: ' + data.error);
       setIsLoading(false);
     });
 
-    return () => newSocket.close();
-  }, []);
+    return () => {
+      newSocket.close();
+      setSocket(null);
+    };
+  }, [token, logout]);
 
   // 🚀 Initial session check
   useEffect(() => {
+    if (!token) return;
+
     const checkSessionStatus = async () => {
       try {
-        const response = await fetch(`${backendUrl}/api/bot-status`, {
-          headers: commonHeaders,
+        const response = await fetch(botApiUrl(botId, '/bot-status'), {
+          headers: authHeaders(),
         });
         const data = await parseJsonSafely(response);
         setBotStatus(data.status);
@@ -190,18 +235,38 @@ function App() {
       }
     };
     checkSessionStatus();
-  }, []);
+  }, [token, botId]);
+
+  // 🤖 Switch the dashboard to another WhatsApp account
+  const selectBot = (id) => {
+    if (!id || id === botIdRef.current) return;
+
+    botIdRef.current = id;
+    setBotId(id);
+    localStorage.setItem('selectedBot', id);
+
+    // The backend sends the new bot's status, QR code, groups and queue right after 'select-bot'
+    setQrCode('');
+    setCanUseSession(false);
+    setSessionRetryInfo(null);
+    setIsLoading(false);
+    setSearchResults([]);
+    setSettingsGroupId(null);
+    setSavedGroups([]);
+    setSelectedGroups([]);
+    if (socket) socket.emit('select-bot', { botId: id });
+  };
 
   // 🚀 Bot controls
   const startBot = () => {
     if (isLoading || !socket) return;
     setIsLoading(true);
-    socket.emit('start-bot');
+    socket.emit('start-bot', { botId });
   };
 
   const stopBot = () => {
     if (!socket) return;
-    socket.emit('stop-bot');
+    socket.emit('stop-bot', { botId });
     setIsLoading(false);
     setQrCode('');
     setCanUseSession(false);
@@ -239,14 +304,14 @@ function App() {
       : [...selectedGroups, groupId];
     
     setSelectedGroups(newSelectedGroups);
-    localStorage.setItem('activeGroups', JSON.stringify(newSelectedGroups));
+    localStorage.setItem(activeGroupsKey(botId), JSON.stringify(newSelectedGroups));
   };
 
   const saveActiveGroups = async () => {
     try {
-      const response = await fetch(`${backendUrl}/api/active-groups`, {
+      const response = await fetch(botApiUrl(botId, '/active-groups'), {
         method: 'POST',
-        headers: commonHeaders,
+        headers: authHeaders(),
         body: JSON.stringify({ groups: selectedGroups }),
       });
 
@@ -267,11 +332,19 @@ function App() {
     searchGroups();
   };
 
+  if (!auth) {
+    return <LoginScreen onLogin={setAuth} />;
+  }
+
   // 🚀 UI Rendering
   return (
     <div className="App">
       <header className="App-header">
         <h1>WhatsApp Bot Dashboard</h1>
+        <div className="user-info">
+          Logged in as <strong>{auth.user.username}</strong> ({auth.user.role})
+          <button onClick={logout} className="btn-link">Log out</button>
+        </div>
         <div className={`status ${botStatus}`}>
           Status: {getStatusDisplay()}
         </div>
@@ -285,11 +358,19 @@ function App() {
       </header>
 
       <div className="dashboard">
+        {bots.length > 0 && (
+          <BotSwitcher bots={bots} botId={botId} onSelect={selectBot} isAdmin={isAdmin} />
+        )}
+
         <section className="connection-section">
           <h2>Bot Connection</h2>
 
+          {!isAdmin && (
+            <p className="section-hint">Only admins can start, stop or reconnect the bot.</p>
+          )}
+
           {/* 🆕 ADD: Retry options for stuck auto-connection */}
-          {(botStatus === 'session_exists' || botStatus === 'authenticating_with_session') && (
+          {isAdmin && (botStatus === 'session_exists' || botStatus === 'authenticating_with_session') && (
             <div className="session-controls">
               <p>Auto-connection is taking longer than expected.</p>
               <div className="button-group">
@@ -304,7 +385,7 @@ function App() {
           )}
           
           {/* 🆕 ADD: Retry options for other stuck states */}
-          {(botStatus === 'waiting_for_session' || botStatus === 'session_retry') && (
+          {isAdmin && (botStatus === 'waiting_for_session' || botStatus === 'session_retry') && (
             <div className="session-controls">
               <p>Session restoration is taking longer than expected.</p>
               <div className="button-group">
@@ -318,34 +399,36 @@ function App() {
             </div>
           )}
 
-          <div className="button-group">
-            <button 
-              onClick={startBot} 
-              disabled={[
-                'connected', 'scan_qr', 'session_exists', 
-                'waiting_for_session', 'authenticating_with_session',
-                'session_retry', 'session_retry_after_qr'
-              ].includes(botStatus) || isLoading}
-              className="btn btn-primary"
-            >
-              {isLoading ? 'Loading...' : 
-              botStatus === 'connected' ? 'Connected' : 
-              botStatus === 'scan_qr' ? 'Scan QR Code' : 
-              botStatus === 'waiting_for_session' ? 'Restoring Session...' :
-              botStatus === 'authenticating_with_session' ? 'Authenticating...' :
-              botStatus === 'session_retry' ? 'Retrying Session...' :
-              botStatus === 'session_retry_after_qr' ? 'Retrying Authentication...' :
-              botStatus === 'session_exists' ? 'Auto-Connecting...' : 'Start Bot'}
-            </button>
-            
-            {botStatus === 'connected' && (
-              <button onClick={stopBot} className="btn btn-danger">
-                Stop Bot
+          {isAdmin && (
+            <div className="button-group">
+              <button 
+                onClick={startBot} 
+                disabled={[
+                  'connected', 'scan_qr', 'session_exists', 
+                  'waiting_for_session', 'authenticating_with_session',
+                  'session_retry', 'session_retry_after_qr'
+                ].includes(botStatus) || isLoading}
+                className="btn btn-primary"
+              >
+                {isLoading ? 'Loading...' : 
+                botStatus === 'connected' ? 'Connected' : 
+                botStatus === 'scan_qr' ? 'Scan QR Code' : 
+                botStatus === 'waiting_for_session' ? 'Restoring Session...' :
+                botStatus === 'authenticating_with_session' ? 'Authenticating...' :
+                botStatus === 'session_retry' ? 'Retrying Session...' :
+                botStatus === 'session_retry_after_qr' ? 'Retrying Authentication...' :
+                botStatus === 'session_exists' ? 'Auto-Connecting...' : 'Start Bot'}
               </button>
-            )}
-          </div>
+            
+              {botStatus === 'connected' && (
+                <button onClick={stopBot} className="btn btn-danger">
+                  Stop Bot
+                </button>
+              )}
+            </div>
+          )}
           
-          {qrCode && botStatus === 'scan_qr' && (
+          {isAdmin && qrCode && botStatus === 'scan_qr' && (
             <div className="qr-code">
               <p>Scan this QR code with WhatsApp to connect:</p>
               <img src={qrCode} alt="QR Code" />
@@ -376,40 +459,42 @@ function App() {
             <h2>Manage Active Groups</h2>
             
             {/* 🚀 Search section */}
-            <div className="search-section">
-              <h3>Add New Groups</h3>
-              <form onSubmit={handleSearch} className="search-form">
-                <input
-                  type="text"
-                  placeholder="Search for groups by name..."
-                  value={searchQuery}
-                  onChange={(e) => setSearchQuery(e.target.value)}
-                  className="search-input"
-                />
-                <button type="submit" disabled={searching || !searchQuery} className="btn btn-secondary">
-                  {searching ? 'Searching...' : 'Search'}
-                </button>
-              </form>
-
-              {searchResults.length > 0 && (
-                <div className="search-results">
-                  <h4>Search Results ({searchResults.length})</h4>
-                  {searchResults.map(group => (
-                    <div key={group.id} className="group-item">
-                      <label>
-                        <input
-                          type="checkbox"
-                          checked={selectedGroups.includes(group.id)}
-                          onChange={() => toggleGroup(group.id)}
-                          disabled={botStatus === 'session_exists'}
-                        />
-                        <span className="group-name">{group.name}</span>
-                      </label>
-                    </div>
-                  ))}
-                </div>
-              )}
-            </div>
+            {canOperate && (
+              <div className="search-section">
+                <h3>Add New Groups</h3>
+                <form onSubmit={handleSearch} className="search-form">
+                  <input
+                    type="text"
+                    placeholder="Search for groups by name..."
+                    value={searchQuery}
+                    onChange={(e) => setSearchQuery(e.target.value)}
+                    className="search-input"
+                  />
+                  <button type="submit" disabled={searching || !searchQuery} className="btn btn-secondary">
+                    {searching ? 'Searching...' : 'Search'}
+                  </button>
+                </form>
+
+                {searchResults.length > 0 && (
+                  <div className="search-results">
+                    <h4>Search Results ({searchResults.length})</h4>
+                    {searchResults.map(group => (
+                      <div key={group.id} className="group-item">
+                        <label>
+                          <input
+                            type="checkbox"
+                            checked={selectedGroups.includes(group.id)}
+                            onChange={() => toggleGroup(group.id)}
+                            disabled={botStatus === 'session_exists'}
+                          />
+                          <span className="group-name">{group.name}</span>
+                        </label>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
 
             {/* 🚀 Saved groups */}
             <div className="saved-groups">
@@ -420,29 +505,49 @@ function App() {
               ) : (
                 <div className="groups-list">
                   {savedGroups.map(group => (
-                    <div key={group.id} className="group-item saved">
-                      <label>
-                        <input
-                          type="checkbox"
-                          checked={true}
-                          onChange={() => toggleGroup(group.id)}
-                          disabled={botStatus === 'session_exists'}
+                    <React.Fragment key={group.id}>
+                      <div className="group-item saved">
+                        <label>
+                          <input
+                            type="checkbox"
+                            checked={true}
+                            onChange={() => toggleGroup(group.id)}
+                            disabled={botStatus === 'session_exists' || !canOperate}
+                          />
+                          <span className="group-name">{group.name}</span>
+                          <button
+                            onClick={() => setSettingsGroupId(settingsGroupId === group.id ? null : group.id)}
+                            className="btn-settings"
+                            title="Group settings"
+                          >
+                            ⚙️
+                          </button>
+                          {canOperate && (
+                            <button 
+                              onClick={() => toggleGroup(group.id)}
+                              className="btn-remove"
+                              title="Remove group"
+                            >
+                              ×
+                            </button>
+                          )}
+                        </label>
+                      </div>
+                      {settingsGroupId === group.id && (
+                        <GroupSettingsPanel
+                          botId={botId}
+                          groupId={group.id}
+                          groupName={group.name}
+                          readOnly={!canOperate}
+                          onClose={() => setSettingsGroupId(null)}
                         />
-                        <span className="group-name">{group.name}</span>
-                        <button 
-                          onClick={() => toggleGroup(group.id)}
-                          className="btn-remove"
-                          title="Remove group"
-                        >
-                          ×
-                        </button>
-                      </label>
-                    </div>
+                      )}
+                    </React.Fragment>
                   ))}
                 </div>
               )}
 
-              {selectedGroups.length > 0 && (
+              {canOperate && selectedGroups.length > 0 && (
                 <button 
                   onClick={saveActiveGroups} 
                   disabled={botStatus === 'session_exists'}
@@ -460,6 +565,20 @@ function App() {
             )}
           </section>
         )}
+
+        {botStatus === 'connected' && <QueuePanel socket={socket} botId={botId} readOnly={!canOperate} />}
+
+        {botStatus === 'connected' && <ServiceHealthPanel socket={socket} botId={botId} readOnly={!canOperate} />}
+
+        {botStatus === 'connected' && canOperate && <OutboundPanel socket={socket} botId={botId} groups={savedGroups} />}
+
+        {botStatus === 'connected' && canOperate && <DigestPanel socket={socket} botId={botId} groups={savedGroups} />}
+
+        {botStatus === 'connected' && isAdmin && <RateLimitPanel socket={socket} botId={botId} />}
+
+        <SessionPanel botId={botId} isAdmin={isAdmin} />
+
+        {isAdmin && <AuditPanel />}
       </div>
     </div>
   );
@@ -1,8 +1,21 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+beforeEach(() => localStorage.clear());
+
+test('shows the login screen when there is no stored login', () => {
+  render(<App />);
+  expect(screen.getByRole('heading', { name: /log in/i })).toBeInTheDocument();
+  expect(screen.getByLabelText(/username/i)).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: /log in/i })).toBeDisabled();
+});
+
+test('shows the login screen when the stored login has expired', () => {
+  localStorage.setItem('dashboardAuth', JSON.stringify({
+    token: 'expired',
+    user: { username: 'alice', role: 'admin' },
+    expiresAt: Date.now() - 1000,
+  }));
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByRole('heading', { name: /log in/i })).toBeInTheDocument();
 });
@@ -0,0 +1,168 @@
+// whatsapp-bot-dashboard/src/AuditPanel.js
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { backendUrl, authHeaders, parseJsonSafely } from './api';
+
+const actions = [
+  'login', 'login-failed',
+  'start-bot', 'stop-bot', 'force-qr', 'retry-session', 'force-retry',
+  'set-active-groups', 'update-group-settings', 'update-rate-limits',
+  'queue-cancel', 'queue-prioritize', 'queue-retry', 'circuit-reset',
+  'send-message', 'cancel-message', 'resend-message', 'save-digest', 'delete-digest', 'run-digest',
+  'session-cleanup', 'session-purge', 'session-export', 'session-import',
+  'authenticated', 'disconnected', 'auth_failure',
+];
+
+const emptyFilters = { action: '', actor: '', category: '', since: '', until: '' };
+
+// datetime-local values are local time; the backend expects ISO dates
+const toQueryString = (filters) => {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    if (!value) return;
+    params.set(key, key === 'since' || key === 'until' ? new Date(value).toISOString() : value);
+  });
+  return params.toString();
+};
+
+const formatDetails = (details) => Object.entries(details)
+  .map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`)
+  .join(' · ');
+
+function AuditPanel() {
+  const [entries, setEntries] = useState([]);
+  const [filters, setFilters] = useState(emptyFilters);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const loadEntries = useCallback(async (activeFilters) => {
+    setIsLoading(true);
+    try {
+      const response = await fetch(`${backendUrl}/api/audit?${toQueryString(activeFilters)}`, {
+        headers: authHeaders(),
+      });
+      const result = await parseJsonSafely(response);
+      if (!response.ok) throw new Error(result.error || 'Failed to load audit log');
+      setEntries(result.entries || []);
+    } catch (error) {
+      console.error('Error loading audit log:', error);
+      alert(`❌ ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadEntries(emptyFilters);
+  }, [loadEntries]);
+
+  const exportCsv = async () => {
+    try {
+      const response = await fetch(`${backendUrl}/api/audit/export?${toQueryString(filters)}`, {
+        headers: authHeaders(),
+      });
+      if (!response.ok) {
+        const result = await parseJsonSafely(response);
+        throw new Error(result.error || 'Failed to export audit log');
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting audit log:', error);
+      alert(`❌ ${error.message}`);
+    }
+  };
+
+  const setFilter = (key, value) => setFilters({ ...filters, [key]: value });
+
+  return (
+    <section className="audit-section">
+      <h2>Audit Log</h2>
+      <p className="section-hint">Dashboard actions and WhatsApp connection events, newest first.</p>
+
+      <div className="digest-form">
+        <label className="settings-field">
+          <span>Action</span>
+          <select value={filters.action} onChange={(e) => setFilter('action', e.target.value)} className="search-input">
+            <option value="">All actions</option>
+            {actions.map(action => <option key={action} value={action}>{action}</option>)}
+          </select>
+        </label>
+
+        <label className="settings-field">
+          <span>Type</span>
+          <select value={filters.category} onChange={(e) => setFilter('category', e.target.value)} className="search-input">
+            <option value="">All</option>
+            <option value="admin">Dashboard actions</option>
+            <option value="bot">Connection events</option>
+          </select>
+        </label>
+
+        <label className="settings-field">
+          <span>User</span>
+          <input
+            type="text"
+            value={filters.actor}
+            onChange={(e) => setFilter('actor', e.target.value)}
+            className="search-input"
+            placeholder="Username or 'system'"
+          />
+        </label>
+
+        <label className="settings-field">
+          <span>From</span>
+          <input
+            type="datetime-local"
+            value={filters.since}
+            onChange={(e) => setFilter('since', e.target.value)}
+            className="search-input"
+          />
+        </label>
+
+        <label className="settings-field">
+          <span>Until</span>
+          <input
+            type="datetime-local"
+            value={filters.until}
+            onChange={(e) => setFilter('until', e.target.value)}
+            className="search-input"
+          />
+        </label>
+      </div>
+
+      <div className="button-group">
+        <button onClick={() => loadEntries(filters)} disabled={isLoading} className="btn btn-secondary">
+          {isLoading ? 'Loading...' : 'Apply Filters'}
+        </button>
+        <button onClick={exportCsv} className="btn btn-secondary">
+          Export CSV
+        </button>
+      </div>
+
+      <h3>Entries ({entries.length})</h3>
+      {entries.length === 0 ? (
+        <p className="no-groups">No matching entries.</p>
+      ) : entries.map(entry => (
+        <div key={entry.id} className="queue-item">
+          <div className="queue-item-info">
+            <div className="queue-item-meta">
+              <strong>{entry.actor}</strong>
+              <span className={`queue-tag ${entry.category}`}>{entry.action}</span>
+              {entry.botId && <span className="queue-tag">bot: {entry.botId}</span>}
+              <span className="queue-age">{new Date(entry.createdAt).toLocaleString()}</span>
+            </div>
+            {Object.keys(entry.details).length > 0 && (
+              <div className="queue-prompt">{formatDetails(entry.details)}</div>
+            )}
+          </div>
+        </div>
+      ))}
+    </section>
+  );
+}
+
+export default AuditPanel;
@@ -0,0 +1,122 @@
+// whatsapp-bot-dashboard/src/BotSwitcher.js
+
+import React, { useState } from 'react';
+import { backendUrl, authHeaders, parseJsonSafely } from './api';
+
+const statusIcons = {
+  connected: '🟢',
+  scan_qr: '📱',
+  disconnected: '🔴',
+};
+
+function BotSwitcher({ bots, botId, onSelect, isAdmin }) {
+  const [showAddForm, setShowAddForm] = useState(false);
+  const [newBot, setNewBot] = useState({ id: '', name: '' });
+  const [isSaving, setIsSaving] = useState(false);
+
+  const currentBot = bots.find(bot => bot.id === botId);
+
+  const addBot = async () => {
+    setIsSaving(true);
+    try {
+      const response = await fetch(`${backendUrl}/api/bots`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify(newBot),
+      });
+      const result = await parseJsonSafely(response);
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to add bot');
+      }
+
+      setNewBot({ id: '', name: '' });
+      setShowAddForm(false);
+      // The new bot starts right away; switching to it shows its QR code
+      onSelect(result.bot.id);
+    } catch (error) {
+      console.error('Error adding bot:', error);
+      alert(`❌ Failed to add bot: ${error.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const removeBot = async () => {
+    if (!window.confirm(`Remove "${currentBot.name}"? Its WhatsApp session is deleted and it has to be linked again to come back.`)) return;
+
+    try {
+      const response = await fetch(`${backendUrl}/api/bots/${encodeURIComponent(botId)}/delete`, {
+        method: 'POST',
+        headers: authHeaders(),
+      });
+      const result = await parseJsonSafely(response);
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to remove bot');
+      }
+      onSelect(bots.find(bot => bot.isDefault)?.id);
+    } catch (error) {
+      console.error('Error removing bot:', error);
+      alert(`❌ Failed to remove bot: ${error.message}`);
+    }
+  };
+
+  return (
+    <section className="bot-switcher-section">
+      <div className="bot-switcher">
+        <label className="settings-field">
+          <span>WhatsApp account</span>
+          <select value={botId || ''} onChange={(e) => onSelect(e.target.value)} className="search-input">
+            {bots.map(bot => (
+              <option key={bot.id} value={bot.id}>
+                {statusIcons[bot.status] || '🟡'} {bot.name} ({bot.id}) · {bot.activeGroupsCount} groups
+              </option>
+            ))}
+          </select>
+        </label>
+
+        {isAdmin && (
+          <div className="button-group">
+            <button onClick={() => setShowAddForm(!showAddForm)} className="btn btn-secondary btn-small">
+              {showAddForm ? 'Cancel' : 'Add Bot'}
+            </button>
+            {currentBot && !currentBot.isDefault && (
+              <button onClick={removeBot} className="btn btn-danger btn-small">
+                Remove Bot
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {showAddForm && (
+        <div className="digest-form">
+          <label className="settings-field">
+            <span>Id (lowercase letters, digits and dashes)</span>
+            <input
+              type="text"
+              value={newBot.id}
+              onChange={(e) => setNewBot({ ...newBot, id: e.target.value.toLowerCase() })}
+              className="search-input"
+              placeholder="e.g. support"
+            />
+          </label>
+          <label className="settings-field">
+            <span>Name</span>
+            <input
+              type="text"
+              value={newBot.name}
+              onChange={(e) => setNewBot({ ...newBot, name: e.target.value })}
+              className="search-input"
+              placeholder="e.g. Support line"
+            />
+          </label>
+          <button onClick={addBot} disabled={isSaving || !newBot.id} className="btn btn-success save-btn">
+            {isSaving ? 'Adding...' : 'Add and Show QR Code'}
+          </button>
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default BotSwitcher;
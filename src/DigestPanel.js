@@ -0,0 +1,219 @@
+// whatsapp-bot-dashboard/src/DigestPanel.js
+
+import React, { useState, useEffect } from 'react';
+import { botApiUrl, authHeaders, parseJsonSafely } from './api';
+
+const presets = [
+  { label: 'Every day at 18:00', cron: '0 18 * * *', period: 'day' },
+  { label: 'Weekdays at 09:00', cron: '0 9 * * 1-5', period: 'day' },
+  { label: 'Mondays at 09:00', cron: '0 9 * * 1', period: 'week' },
+];
+
+const browserTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const emptyForm = () => ({
+  id: null,
+  groupId: '',
+  cron: presets[0].cron,
+  timezone: browserTimeZone,
+  period: 'day',
+  enabled: true,
+});
+
+const formatTime = (ms, timeZone) => {
+  if (!ms) return '—';
+  try {
+    return new Date(ms).toLocaleString(undefined, { timeZone, dateStyle: 'medium', timeStyle: 'short' });
+  } catch (error) {
+    return new Date(ms).toLocaleString();
+  }
+};
+
+function DigestPanel({ socket, botId, groups }) {
+  const [schedules, setSchedules] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (!socket) return;
+    const onUpdate = (data) => setSchedules(data.schedules || []);
+    socket.on('digests-updated', onUpdate);
+    return () => socket.off('digests-updated', onUpdate);
+  }, [socket]);
+
+  const groupName = (groupId) => groups.find(g => g.id === groupId)?.name || groupId;
+
+  const postJson = async (path, body) => {
+    const response = await fetch(botApiUrl(botId, path), {
+      method: 'POST',
+      headers: authHeaders(),
+      body: JSON.stringify(body || {}),
+    });
+    const result = await parseJsonSafely(response);
+    if (!response.ok || result.error) {
+      throw new Error(result.error || `Request failed with status ${response.status}`);
+    }
+    return result;
+  };
+
+  const saveSchedule = async () => {
+    setIsSaving(true);
+    try {
+      await postJson('/digests', form);
+      setForm(emptyForm());
+    } catch (error) {
+      console.error('Error saving digest schedule:', error);
+      alert(`❌ Failed to save schedule: ${error.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const deleteSchedule = async (schedule) => {
+    if (!window.confirm(`Delete the digest schedule for ${groupName(schedule.groupId)}?`)) return;
+    try {
+      await postJson(`/digests/${schedule.id}/delete`);
+    } catch (error) {
+      alert(`❌ Failed to delete schedule: ${error.message}`);
+    }
+  };
+
+  const runNow = async (schedule) => {
+    try {
+      const result = await postJson(`/digests/${schedule.id}/run`);
+      if (!result.success) alert('❌ The digest could not be sent. Check the schedule for details.');
+    } catch (error) {
+      alert(`❌ Failed to send digest: ${error.message}`);
+    }
+  };
+
+  const toggleEnabled = async (schedule) => {
+    try {
+      await postJson('/digests', { ...schedule, enabled: !schedule.enabled });
+    } catch (error) {
+      alert(`❌ Failed to update schedule: ${error.message}`);
+    }
+  };
+
+  return (
+    <section className="digest-section">
+      <h2>Scheduled Digests</h2>
+      <p className="section-hint">
+        Summaries of the recorded conversation, sent to the group on a cron schedule.
+        Missed digests are sent once when the bot comes back online.
+      </p>
+
+      {schedules.length === 0 ? (
+        <p className="no-groups">No digests scheduled.</p>
+      ) : schedules.map(schedule => (
+        <div key={schedule.id} className="queue-item">
+          <div className="queue-item-info">
+            <div className="queue-item-meta">
+              <strong>{groupName(schedule.groupId)}</strong>
+              <span className="queue-tag">{schedule.period === 'week' ? 'weekly' : 'daily'}</span>
+              {!schedule.enabled && <span className="queue-tag priority">paused</span>}
+              {schedule.running && <span className="queue-tag">sending...</span>}
+            </div>
+            <div className="queue-prompt">
+              <code>{schedule.cron}</code> ({schedule.timezone}) · next: {formatTime(schedule.nextRunAt, schedule.timezone)} · last: {formatTime(schedule.lastRunAt, schedule.timezone)}
+            </div>
+            {schedule.lastError && <div className="queue-error">{schedule.lastError}</div>}
+          </div>
+          <div className="queue-item-actions">
+            <button onClick={() => runNow(schedule)} disabled={schedule.running} className="btn btn-secondary btn-small">
+              Send Now
+            </button>
+            <button onClick={() => setForm({ ...schedule })} className="btn btn-secondary btn-small">
+              Edit
+            </button>
+            <button onClick={() => toggleEnabled(schedule)} className="btn btn-warning btn-small">
+              {schedule.enabled ? 'Pause' : 'Resume'}
+            </button>
+            <button onClick={() => deleteSchedule(schedule)} className="btn btn-danger btn-small">
+              Delete
+            </button>
+          </div>
+        </div>
+      ))}
+
+      <h3>{form.id ? 'Edit schedule' : 'New schedule'}</h3>
+      <div className="digest-form">
+        <label className="settings-field">
+          <span>Group</span>
+          <select
+            value={form.groupId}
+            onChange={(e) => setForm({ ...form, groupId: e.target.value })}
+            className="search-input"
+            disabled={Boolean(form.id)}
+          >
+            <option value="">Choose an active group...</option>
+            {groups.map(group => (
+              <option key={group.id} value={group.id}>{group.name}</option>
+            ))}
+          </select>
+        </label>
+
+        <label className="settings-field">
+          <span>Preset</span>
+          <select
+            value=""
+            onChange={(e) => {
+              const preset = presets[e.target.value];
+              if (preset) setForm({ ...form, cron: preset.cron, period: preset.period });
+            }}
+            className="search-input"
+          >
+            <option value="">Pick a preset...</option>
+            {presets.map((preset, index) => (
+              <option key={preset.cron} value={index}>{preset.label}</option>
+            ))}
+          </select>
+        </label>
+
+        <label className="settings-field">
+          <span>Cron expression (minute hour day month weekday)</span>
+          <input
+            type="text"
+            value={form.cron}
+            onChange={(e) => setForm({ ...form, cron: e.target.value })}
+            className="search-input"
+          />
+        </label>
+
+        <label className="settings-field">
+          <span>Timezone</span>
+          <input
+            type="text"
+            value={form.timezone}
+            onChange={(e) => setForm({ ...form, timezone: e.target.value })}
+            className="search-input"
+            placeholder="e.g. Asia/Jakarta"
+          />
+        </label>
+
+        <label className="settings-field">
+          <span>Summarize</span>
+          <select
+            value={form.period}
+            onChange={(e) => setForm({ ...form, period: e.target.value })}
+            className="search-input"
+          >
+            <option value="day">The last 24 hours</option>
+            <option value="week">The last 7 days</option>
+          </select>
+        </label>
+      </div>
+
+      <button onClick={saveSchedule} disabled={isSaving || !form.groupId} className="btn btn-success save-btn">
+        {isSaving ? 'Saving...' : form.id ? 'Save Schedule' : 'Add Schedule'}
+      </button>
+      {form.id && (
+        <button onClick={() => setForm(emptyForm())} className="btn btn-secondary">
+          Cancel
+        </button>
+      )}
+    </section>
+  );
+}
+
+export default DigestPanel;
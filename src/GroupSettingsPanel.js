@@ -0,0 +1,228 @@
+// whatsapp-bot-dashboard/src/GroupSettingsPanel.js
+
+import React, { useState, useEffect } from 'react';
+import { botApiUrl, authHeaders, parseJsonSafely } from './api';
+
+const numberFields = [
+  { key: 'contextMessages', label: 'AI context: last N messages' },
+  { key: 'contextHours', label: 'AI context: last M hours (0 = no limit)' },
+  { key: 'retentionDays', label: 'Keep message history for (days)' },
+  { key: 'maxMessageLength', label: 'Max characters per message sent to the AI' },
+  { key: 'maxQuotedLength', label: 'Max characters of a quoted reply (0 = leave out)' },
+  { key: 'replyCacheTtlMinutes', label: 'Reuse answers to repeated questions for (minutes)' },
+];
+
+const pickNumbers = (settings) => Object.fromEntries(numberFields.map(field => [field.key, settings[field.key]]));
+
+function GroupSettingsPanel({ botId, groupId, groupName, readOnly, onClose }) {
+  const [commands, setCommands] = useState([]);
+  const [prefixes, setPrefixes] = useState('');
+  const [enabledCommands, setEnabledCommands] = useState([]);
+  const [matchAtStart, setMatchAtStart] = useState(true);
+  const [legacyTriggers, setLegacyTriggers] = useState(true);
+  const [uploadMedia, setUploadMedia] = useState(false);
+  const [replyCacheEnabled, setReplyCacheEnabled] = useState(true);
+  const [providers, setProviders] = useState([]);
+  const [defaultProvider, setDefaultProvider] = useState('');
+  const [aiProvider, setAiProvider] = useState('');
+  const [aiModel, setAiModel] = useState('');
+  const [numbers, setNumbers] = useState({});
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // 🚀 Load current settings for this group
+  useEffect(() => {
+    const loadSettings = async () => {
+      setIsLoading(true);
+      try {
+        const response = await fetch(botApiUrl(botId, `/group-settings/${encodeURIComponent(groupId)}`), {
+          headers: authHeaders(),
+        });
+        const data = await parseJsonSafely(response);
+        setCommands(data.commands || []);
+        setPrefixes((data.settings.prefixes || []).join(' '));
+        setEnabledCommands(data.settings.enabledCommands || []);
+        setMatchAtStart(data.settings.matchAtStart);
+        setLegacyTriggers(data.settings.legacyTriggers);
+        setUploadMedia(data.settings.uploadMedia);
+        setReplyCacheEnabled(data.settings.replyCacheEnabled);
+        setProviders(data.providers || []);
+        setDefaultProvider(data.defaultProvider || '');
+        setAiProvider(data.settings.aiProvider || '');
+        setAiModel(data.settings.aiModel || '');
+        setNumbers(pickNumbers(data.settings));
+      } catch (error) {
+        console.error('Error loading group settings:', error);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    loadSettings();
+  }, [botId, groupId]);
+
+  const toggleCommand = (command) => {
+    setEnabledCommands(enabledCommands.includes(command)
+      ? enabledCommands.filter(c => c !== command)
+      : [...enabledCommands, command]);
+  };
+
+  const saveSettings = async () => {
+    setIsSaving(true);
+    try {
+      const response = await fetch(botApiUrl(botId, `/group-settings/${encodeURIComponent(groupId)}`), {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({
+          prefixes: prefixes.split(/[\s,]+/).filter(Boolean),
+          enabledCommands,
+          matchAtStart,
+          legacyTriggers,
+          uploadMedia,
+          replyCacheEnabled,
+          aiProvider,
+          aiModel,
+          ...numbers,
+        }),
+      });
+
+      const result = await parseJsonSafely(response);
+      if (result.success) {
+        setPrefixes(result.settings.prefixes.join(' '));
+        setEnabledCommands(result.settings.enabledCommands);
+        setNumbers(pickNumbers(result.settings));
+        setAiProvider(result.settings.aiProvider);
+        setAiModel(result.settings.aiModel);
+        alert('✅ Group settings saved!');
+      } else {
+        throw new Error(result.error || 'Failed to save settings');
+      }
+    } catch (error) {
+      console.error('Error saving group settings:', error);
+      alert(`❌ Failed to save settings: ${error.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const firstPrefix = prefixes.split(/[\s,]+/).filter(Boolean)[0] || '!';
+  const selectedProvider = providers.find(p => p.name === (aiProvider || defaultProvider));
+
+  return (
+    <div className="group-settings">
+      <div className="group-settings-header">
+        <h4>⚙️ Settings for {groupName}</h4>
+        <button onClick={onClose} className="btn-link">Close</button>
+      </div>
+
+      {isLoading ? (
+        <p>Loading settings...</p>
+      ) : (
+        <>
+          <label className="settings-field">
+            <span>Command prefixes (separated by spaces)</span>
+            <input
+              type="text"
+              value={prefixes}
+              onChange={(e) => setPrefixes(e.target.value)}
+              className="search-input"
+            />
+          </label>
+
+          <div className="settings-field">
+            <span>Enabled commands</span>
+            {commands.map(command => (
+              <label key={command} className="settings-checkbox">
+                <input
+                  type="checkbox"
+                  checked={enabledCommands.includes(command)}
+                  onChange={() => toggleCommand(command)}
+                />
+                <code>{firstPrefix}{command}</code>
+              </label>
+            ))}
+          </div>
+
+          <label className="settings-checkbox">
+            <input
+              type="checkbox"
+              checked={matchAtStart}
+              onChange={(e) => setMatchAtStart(e.target.checked)}
+            />
+            Command must be at the start of the message
+          </label>
+
+          <label className="settings-checkbox">
+            <input
+              type="checkbox"
+              checked={legacyTriggers}
+              onChange={(e) => setLegacyTriggers(e.target.checked)}
+            />
+            Also accept the old <code>bot, question</code> form without a prefix
+          </label>
+
+          <label className="settings-field">
+            <span>AI provider</span>
+            <select value={aiProvider} onChange={(e) => setAiProvider(e.target.value)} className="search-input">
+              <option value="">Server default ({defaultProvider})</option>
+              {providers.map(provider => (
+                <option key={provider.name} value={provider.name}>{provider.label}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="settings-field">
+            <span>Model (empty = provider default)</span>
+            <input
+              type="text"
+              value={aiModel}
+              placeholder={selectedProvider?.defaultModel || ''}
+              onChange={(e) => setAiModel(e.target.value)}
+              className="search-input"
+            />
+          </label>
+
+          {numberFields.map(field => (
+            <label key={field.key} className="settings-field">
+              <span>{field.label}</span>
+              <input
+                type="number"
+                min="0"
+                value={numbers[field.key] ?? ''}
+                onChange={(e) => setNumbers({ ...numbers, [field.key]: e.target.value })}
+                className="search-input"
+              />
+            </label>
+          ))}
+
+          <label className="settings-checkbox">
+            <input
+              type="checkbox"
+              checked={uploadMedia}
+              onChange={(e) => setUploadMedia(e.target.checked)}
+            />
+            Upload images and files to the media endpoint (if the server has one configured)
+          </label>
+
+          <label className="settings-checkbox">
+            <input
+              type="checkbox"
+              checked={replyCacheEnabled}
+              onChange={(e) => setReplyCacheEnabled(e.target.checked)}
+            />
+            Reuse answers to repeated questions (<code>{firstPrefix}ai! ...</code> always asks again)
+          </label>
+
+          {readOnly ? (
+            <p className="section-hint">Only operators and admins can change these settings.</p>
+          ) : (
+            <button onClick={saveSettings} disabled={isSaving} className="btn btn-success save-btn">
+              {isSaving ? 'Saving...' : 'Save Settings'}
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default GroupSettingsPanel;
@@ -0,0 +1,82 @@
+// whatsapp-bot-dashboard/src/LoginScreen.js
+
+import React, { useState } from 'react';
+import { backendUrl, commonHeaders, storeAuth } from './api';
+
+function LoginScreen({ onLogin }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [isLoggingIn, setIsLoggingIn] = useState(false);
+
+  const login = async (e) => {
+    e.preventDefault();
+    setIsLoggingIn(true);
+    setError('');
+    try {
+      const response = await fetch(`${backendUrl}/api/auth/login`, {
+        method: 'POST',
+        headers: commonHeaders,
+        body: JSON.stringify({ username, password }),
+      });
+      // Not parseJsonSafely: a 401 here means wrong credentials, not an expired login
+      const result = await response.json().catch(() => ({}));
+      if (!result.success) {
+        throw new Error(result.error || 'Login failed');
+      }
+
+      const auth = { token: result.token, user: result.user, expiresAt: result.expiresAt };
+      storeAuth(auth);
+      onLogin(auth);
+    } catch (error) {
+      console.error('Error logging in:', error);
+      setError(error.message);
+    } finally {
+      setIsLoggingIn(false);
+    }
+  };
+
+  return (
+    <div className="App">
+      <header className="App-header">
+        <h1>WhatsApp Bot Dashboard</h1>
+      </header>
+
+      <div className="dashboard">
+        <section className="login-section">
+          <h2>Log In</h2>
+          <form onSubmit={login} className="login-form">
+            <label className="settings-field">
+              <span>Username</span>
+              <input
+                type="text"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                autoComplete="username"
+                className="search-input"
+              />
+            </label>
+            <label className="settings-field">
+              <span>Password</span>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                autoComplete="current-password"
+                className="search-input"
+              />
+            </label>
+
+            {error && <div className="error-message">{error}</div>}
+
+            <button type="submit" disabled={isLoggingIn || !username || !password} className="btn btn-primary">
+              {isLoggingIn ? 'Logging in...' : 'Log In'}
+            </button>
+          </form>
+        </section>
+      </div>
+    </div>
+  );
+}
+
+export default LoginScreen;
@@ -0,0 +1,175 @@
+// whatsapp-bot-dashboard/src/OutboundPanel.js
+
+import React, { useState, useEffect } from 'react';
+import { botApiUrl, authHeaders, parseJsonSafely } from './api';
+
+const statusLabels = {
+  pending: '⏳ Pending',
+  sending: '📤 Sending',
+  unconfirmed: '⚠️ Unconfirmed',
+  sent: '✔️ Sent',
+  delivered: '✅ Delivered',
+  failed: '❌ Failed',
+  cancelled: '🚫 Cancelled',
+};
+
+function OutboundPanel({ socket, botId, groups }) {
+  const [messages, setMessages] = useState([]);
+  const [groupIds, setGroupIds] = useState([]);
+  const [body, setBody] = useState('');
+  const [sendAt, setSendAt] = useState('');
+  const [isSending, setIsSending] = useState(false);
+
+  useEffect(() => {
+    if (!socket) return;
+    const onUpdate = (data) => setMessages(data.messages || []);
+    socket.on('outbound-updated', onUpdate);
+    return () => socket.off('outbound-updated', onUpdate);
+  }, [socket]);
+
+  const groupName = (groupId) => groups.find(g => g.id === groupId)?.name || groupId;
+
+  const toggleGroup = (groupId) => {
+    setGroupIds(groupIds.includes(groupId)
+      ? groupIds.filter(id => id !== groupId)
+      : [...groupIds, groupId]);
+  };
+
+  const sendMessage = async () => {
+    const scheduledAt = sendAt ? new Date(sendAt).toISOString() : null;
+    const when = scheduledAt ? `at ${new Date(scheduledAt).toLocaleString()}` : 'now';
+    if (!window.confirm(`Send this message to ${groupIds.length} group(s) ${when}?`)) return;
+
+    setIsSending(true);
+    try {
+      const response = await fetch(botApiUrl(botId, '/outbound'), {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({ groupIds, body, scheduledAt }),
+      });
+      const result = await parseJsonSafely(response);
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to queue message');
+      }
+      setBody('');
+      setSendAt('');
+    } catch (error) {
+      console.error('Error sending message:', error);
+      alert(`❌ Failed to send message: ${error.message}`);
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  const messageAction = async (id, action) => {
+    try {
+      const response = await fetch(botApiUrl(botId, `/outbound/${id}/${action}`), {
+        method: 'POST',
+        headers: authHeaders(),
+      });
+      const result = await parseJsonSafely(response);
+      if (!result.success) throw new Error(result.error || `Failed to ${action} message`);
+    } catch (error) {
+      alert(`❌ ${error.message}`);
+    }
+  };
+
+  const resendMessage = (message) => {
+    const question = `The server stopped while this message was being sent to ${groupName(message.groupId)}, ` +
+      'so it may already be there. Check the group first.\n\nSend it again?';
+    if (window.confirm(question)) messageAction(message.id, 'resend');
+  };
+
+  return (
+    <section className="outbound-section">
+      <h2>Send a Message</h2>
+      <p className="section-hint">
+        Messages are sent one at a time with a pause in between to stay within WhatsApp's limits.
+      </p>
+
+      <div className="settings-field">
+        <span>Groups</span>
+        {groups.length === 0 ? (
+          <p className="no-groups">Add active groups first.</p>
+        ) : groups.map(group => (
+          <label key={group.id} className="settings-checkbox">
+            <input
+              type="checkbox"
+              checked={groupIds.includes(group.id)}
+              onChange={() => toggleGroup(group.id)}
+            />
+            {group.name}
+          </label>
+        ))}
+      </div>
+
+      <label className="settings-field">
+        <span>Message</span>
+        <textarea
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          rows={4}
+          className="search-input outbound-textarea"
+        />
+      </label>
+
+      <label className="settings-field">
+        <span>Send at (leave empty to send now)</span>
+        <input
+          type="datetime-local"
+          value={sendAt}
+          onChange={(e) => setSendAt(e.target.value)}
+          className="search-input"
+        />
+      </label>
+
+      <button
+        onClick={sendMessage}
+        disabled={isSending || groupIds.length === 0 || !body.trim()}
+        className="btn btn-success save-btn"
+      >
+        {isSending ? 'Queueing...' : sendAt ? 'Schedule Message' : 'Send Now'}
+      </button>
+
+      <h3>Recent messages ({messages.length})</h3>
+      {messages.length === 0 ? (
+        <p className="no-groups">Nothing sent yet.</p>
+      ) : [...messages].reverse().map(message => (
+        <div key={message.id} className="queue-item">
+          <div className="queue-item-info">
+            <div className="queue-item-meta">
+              <strong>{groupName(message.groupId)}</strong>
+              <span className={`outbound-status ${message.status}`}>{statusLabels[message.status] || message.status}</span>
+              <span className="queue-age">
+                {message.status === 'pending'
+                  ? `scheduled ${new Date(message.scheduledAt).toLocaleString()}`
+                  : message.sentAt && `sent ${new Date(message.sentAt).toLocaleString()}`}
+              </span>
+            </div>
+            <div className="queue-prompt">"{message.body.length > 120 ? `${message.body.substring(0, 120)}...` : message.body}"</div>
+            {message.error && <div className="queue-error">{message.error}</div>}
+          </div>
+          {message.status === 'pending' && (
+            <div className="queue-item-actions">
+              <button onClick={() => messageAction(message.id, 'cancel')} className="btn btn-danger btn-small">
+                Cancel
+              </button>
+            </div>
+          )}
+          {message.status === 'unconfirmed' && (
+            <div className="queue-item-actions">
+              <button onClick={() => resendMessage(message)} className="btn btn-warning btn-small">
+                Resend
+              </button>
+              <button onClick={() => messageAction(message.id, 'cancel')} className="btn btn-secondary btn-small">
+                Don't Resend
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+    </section>
+  );
+}
+
+export default OutboundPanel;
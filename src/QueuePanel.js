@@ -0,0 +1,104 @@
+// whatsapp-bot-dashboard/src/QueuePanel.js
+
+import React, { useState, useEffect } from 'react';
+
+const formatAge = (since, now) => {
+  const seconds = Math.max(0, Math.floor((now - since) / 1000));
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+function QueueRow({ request, now, children }) {
+  return (
+    <div className="queue-item">
+      <div className="queue-item-info">
+        <div className="queue-item-meta">
+          <strong>{request.groupName}</strong> · {request.senderName}
+          {request.commandType === 'ai_search' && <span className="queue-tag">search</span>}
+          {request.prioritized && <span className="queue-tag priority">priority</span>}
+          <span className="queue-age">{formatAge(request.enqueuedAt, now)} ago</span>
+        </div>
+        <div className="queue-prompt">"{request.promptPreview}"</div>
+        {request.error && <div className="queue-error">{request.error}</div>}
+      </div>
+      <div className="queue-item-actions">{children}</div>
+    </div>
+  );
+}
+
+function QueuePanel({ socket, botId, readOnly }) {
+  const [queue, setQueue] = useState({ pending: [], active: [], failed: [], workers: 0 });
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!socket) return;
+    const onUpdate = (data) => setQueue(data);
+    socket.on('queue-updated', onUpdate);
+    return () => socket.off('queue-updated', onUpdate);
+  }, [socket]);
+
+  // Keep the request ages ticking
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const cancelRequest = (id) => {
+    if (!window.confirm('Cancel this request? The sender will be notified.')) return;
+    socket.emit('queue-cancel', { botId, id });
+  };
+
+  return (
+    <section className="queue-section">
+      <h2>Request Queue</h2>
+      <p className="section-hint">
+        {queue.active.length}/{queue.workers} workers busy · {queue.pending.length} waiting
+        {queue.averageProcessingMs ? ` · ~${Math.round(queue.averageProcessingMs / 1000)}s per request` : ''}
+      </p>
+
+      <h3>Processing ({queue.active.length})</h3>
+      {queue.active.length === 0 ? (
+        <p className="no-groups">Nothing is being processed.</p>
+      ) : queue.active.map(request => (
+        <QueueRow key={request.id} request={request} now={now} />
+      ))}
+
+      <h3>Waiting ({queue.pending.length})</h3>
+      {queue.pending.length === 0 ? (
+        <p className="no-groups">The queue is empty.</p>
+      ) : queue.pending.map((request, index) => (
+        <QueueRow key={request.id} request={request} now={now}>
+          {!readOnly && index > 0 && (
+            <button onClick={() => socket.emit('queue-prioritize', { botId, id: request.id })} className="btn btn-secondary btn-small">
+              Move to Front
+            </button>
+          )}
+          {!readOnly && (
+            <button onClick={() => cancelRequest(request.id)} className="btn btn-danger btn-small">
+              Cancel
+            </button>
+          )}
+        </QueueRow>
+      ))}
+
+      {queue.failed.length > 0 && (
+        <>
+          <h3>Failed ({queue.failed.length})</h3>
+          {queue.failed.map(request => (
+            <QueueRow key={request.id} request={request} now={now}>
+              {!readOnly && (
+                <button onClick={() => socket.emit('queue-retry', { botId, id: request.id })} className="btn btn-warning btn-small">
+                  Retry
+                </button>
+              )}
+            </QueueRow>
+          ))}
+        </>
+      )}
+    </section>
+  );
+}
+
+export default QueuePanel;
@@ -0,0 +1,108 @@
+// whatsapp-bot-dashboard/src/RateLimitPanel.js
+
+import React, { useState, useEffect } from 'react';
+import { botApiUrl, authHeaders, parseJsonSafely } from './api';
+
+const scopes = [
+  { key: 'group', label: 'Per group' },
+  { key: 'user', label: 'Per sender' },
+];
+
+const fields = [
+  { key: 'capacity', label: 'Burst size' },
+  { key: 'refillPerMinute', label: 'Requests per minute' },
+  { key: 'dailyQuota', label: 'Daily quota' },
+];
+
+function RateLimitPanel({ socket, botId }) {
+  const [limits, setLimits] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    const loadLimits = async () => {
+      try {
+        const response = await fetch(botApiUrl(botId, '/rate-limits'), {
+          headers: authHeaders(),
+        });
+        const data = await parseJsonSafely(response);
+        setLimits(data.limits);
+      } catch (error) {
+        console.error('Error loading rate limits:', error);
+      }
+    };
+    loadLimits();
+  }, [botId]);
+
+  useEffect(() => {
+    if (!socket) return;
+    const onUpdate = (data) => setLimits(data.limits);
+    socket.on('rate-limits-updated', onUpdate);
+    return () => socket.off('rate-limits-updated', onUpdate);
+  }, [socket]);
+
+  const updateField = (scope, field, value) => {
+    setLimits({
+      ...limits,
+      [scope]: { ...limits[scope], [field]: value },
+    });
+  };
+
+  const saveLimits = async () => {
+    setIsSaving(true);
+    try {
+      const response = await fetch(botApiUrl(botId, '/rate-limits'), {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify(limits),
+      });
+
+      const result = await parseJsonSafely(response);
+      if (result.success) {
+        setLimits(result.limits);
+        alert('✅ Rate limits saved!');
+      } else {
+        throw new Error(result.error || 'Failed to save rate limits');
+      }
+    } catch (error) {
+      console.error('Error saving rate limits:', error);
+      alert(`❌ Failed to save rate limits: ${error.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!limits) return null;
+
+  return (
+    <section className="rate-limit-section">
+      <h2>Rate Limits</h2>
+      <p className="section-hint">Set any value to 0 to disable that limit.</p>
+
+      <div className="rate-limit-grid">
+        {scopes.map(scope => (
+          <div key={scope.key} className="rate-limit-scope">
+            <h3>{scope.label}</h3>
+            {fields.map(field => (
+              <label key={field.key} className="settings-field">
+                <span>{field.label}</span>
+                <input
+                  type="number"
+                  min="0"
+                  value={limits[scope.key][field.key]}
+                  onChange={(e) => updateField(scope.key, field.key, e.target.value)}
+                  className="search-input"
+                />
+              </label>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      <button onClick={saveLimits} disabled={isSaving} className="btn btn-success save-btn">
+        {isSaving ? 'Saving...' : 'Save Rate Limits'}
+      </button>
+    </section>
+  );
+}
+
+export default RateLimitPanel;
@@ -0,0 +1,63 @@
+// whatsapp-bot-dashboard/src/ServiceHealthPanel.js
+
+import React, { useState, useEffect } from 'react';
+
+const stateLabels = {
+  closed: '🟢 Healthy',
+  half_open: '🟡 Testing',
+  open: '🔴 Paused',
+};
+
+function ServiceHealthPanel({ socket, botId, readOnly }) {
+  const [breakers, setBreakers] = useState([]);
+
+  useEffect(() => {
+    if (!socket) return;
+    const onUpdate = (data) => setBreakers(data.breakers || []);
+    socket.on('circuit-breakers-updated', onUpdate);
+    return () => socket.off('circuit-breakers-updated', onUpdate);
+  }, [socket]);
+
+  return (
+    <section className="service-health-section">
+      <h2>AI Service Health</h2>
+      <p className="section-hint">
+        After repeated failures an endpoint is paused for a while instead of being called again.
+      </p>
+
+      {breakers.length === 0 ? (
+        <p className="no-groups">No AI endpoints configured.</p>
+      ) : breakers.map(breaker => (
+        <div key={breaker.name} className="queue-item">
+          <div className="queue-item-info">
+            <div className="queue-item-meta">
+              <strong>{breaker.name}</strong>
+              <span className={`breaker-state ${breaker.state}`}>{stateLabels[breaker.state] || breaker.state}</span>
+              {breaker.state === 'open' && (
+                <span className="queue-age">retrying in {Math.ceil(breaker.retryAfterMs / 1000)}s</span>
+              )}
+            </div>
+            <div className="queue-prompt">
+              {breaker.consecutiveFailures}/{breaker.failureThreshold} consecutive failures
+            </div>
+            {breaker.lastError && (
+              <div className="queue-error">
+                Last error: {breaker.lastError}
+                {breaker.lastFailureAt && ` (${new Date(breaker.lastFailureAt).toLocaleTimeString()})`}
+              </div>
+            )}
+          </div>
+          {!readOnly && breaker.state !== 'closed' && (
+            <div className="queue-item-actions">
+              <button onClick={() => socket.emit('circuit-reset', { botId, name: breaker.name })} className="btn btn-warning btn-small">
+                Resume Now
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+    </section>
+  );
+}
+
+export default ServiceHealthPanel;
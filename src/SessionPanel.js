@@ -0,0 +1,183 @@
+// whatsapp-bot-dashboard/src/SessionPanel.js
+
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { botApiUrl, authHeaders, parseJsonSafely } from './api';
+
+const formatSize = (bytes) => bytes >= 1024 * 1024
+  ? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+  : `${Math.round(bytes / 1024)} KB`;
+
+const formatTime = (time) => time ? new Date(time).toLocaleString() : '—';
+
+// Versions are save timestamps; sessions stored before versioning have none
+const formatVersion = (version) => version ? `saved ${new Date(version).toLocaleString()}` : 'unversioned';
+
+function SessionPanel({ botId, isAdmin }) {
+  const [sessionInfo, setSessionInfo] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isWorking, setIsWorking] = useState(false);
+  const fileInput = useRef(null);
+
+  const loadSessions = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch(botApiUrl(botId, '/sessions'), { headers: authHeaders() });
+      const result = await parseJsonSafely(response);
+      if (!response.ok) throw new Error(result.error || 'Failed to load sessions');
+      setSessionInfo(result);
+    } catch (error) {
+      console.error('Error loading sessions:', error);
+      setSessionInfo(null);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [botId]);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  // The panel may be showing the default bot without knowing its id yet
+  const targetBotId = sessionInfo?.botId || botId;
+
+  const postAction = async (path, body) => {
+    setIsWorking(true);
+    try {
+      const response = await fetch(botApiUrl(botId, path), {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify(body),
+      });
+      const result = await parseJsonSafely(response);
+      if (!response.ok || !result.success) throw new Error(result.error || 'Request failed');
+      alert(`✅ ${result.message}`);
+    } catch (error) {
+      console.error(`Error calling ${path}:`, error);
+      alert(`❌ ${error.message}`);
+    } finally {
+      setIsWorking(false);
+      loadSessions();
+    }
+  };
+
+  const cleanup = () => {
+    const hours = window.prompt('Delete stored sessions not used for how many hours?', '24');
+    if (hours === null) return;
+    postAction('/sessions/cleanup', { maxAgeHours: Number(hours) });
+  };
+
+  const purge = () => {
+    const typed = window.prompt(
+      `This deletes every stored session of "${targetBotId}". A running bot is stopped first and has to be linked with a QR code again.\n\nType the bot id to confirm:`
+    );
+    if (typed === null) return;
+    if (typed !== targetBotId) {
+      alert('❌ The bot id did not match, nothing was deleted');
+      return;
+    }
+    postAction('/sessions/purge', { confirm: typed });
+  };
+
+  const exportBackup = async () => {
+    try {
+      const response = await fetch(botApiUrl(botId, '/sessions/export'), { headers: authHeaders() });
+      if (!response.ok) {
+        const result = await parseJsonSafely(response);
+        throw new Error(result.error || 'Failed to export session');
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `session-${targetBotId}-${new Date().toISOString().slice(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting session:', error);
+      alert(`❌ ${error.message}`);
+    }
+  };
+
+  const importBackup = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    if (!window.confirm(`Replace the stored session of "${targetBotId}" with ${file.name}?`)) return;
+
+    setIsWorking(true);
+    try {
+      const response = await fetch(botApiUrl(botId, '/sessions/import'), {
+        method: 'POST',
+        headers: { ...authHeaders(), 'Content-Type': 'application/octet-stream' },
+        body: file,
+      });
+      const result = await parseJsonSafely(response);
+      if (!response.ok || !result.success) throw new Error(result.error || 'Failed to import session');
+      alert(`✅ ${result.message}`);
+    } catch (error) {
+      console.error('Error importing session:', error);
+      alert(`❌ ${error.message}`);
+    } finally {
+      setIsWorking(false);
+      loadSessions();
+    }
+  };
+
+  const sessions = sessionInfo?.sessions || [];
+
+  return (
+    <section className="sessions-section">
+      <h2>Stored Sessions</h2>
+      <p className="section-hint">
+        {sessionInfo
+          ? `${sessionInfo.storageType} · ${sessionInfo.stats.sessionsCount} session(s), ${sessionInfo.stats.totalSizeMB} MB`
+          : 'WhatsApp login sessions saved by this bot.'}
+      </p>
+
+      <div className="button-group">
+        <button onClick={loadSessions} disabled={isLoading} className="btn btn-secondary">
+          {isLoading ? 'Loading...' : 'Refresh'}
+        </button>
+        {isAdmin && (
+          <>
+            <button onClick={exportBackup} disabled={isWorking} className="btn btn-secondary">
+              Export Backup
+            </button>
+            <button onClick={() => fileInput.current.click()} disabled={isWorking} className="btn btn-secondary">
+              Import Backup
+            </button>
+            <button onClick={cleanup} disabled={isWorking} className="btn btn-warning">
+              Clean Up Old Sessions
+            </button>
+            <button onClick={purge} disabled={isWorking} className="btn btn-danger">
+              Purge All Sessions
+            </button>
+            <input type="file" accept=".json,application/json" ref={fileInput} onChange={importBackup} hidden />
+          </>
+        )}
+      </div>
+
+      {sessions.length === 0 ? (
+        <p className="no-groups">{isLoading ? 'Loading sessions...' : 'No stored sessions.'}</p>
+      ) : sessions.map(session => (
+        <div key={session.id} className="queue-item">
+          <div className="queue-item-info">
+            <div className="queue-item-meta">
+              <strong>{session.id}</strong>
+              {session.current && <span className="queue-tag bot">in use</span>}
+              <span className="queue-tag">{session.encryptionKeyId ? `🔐 key ${session.encryptionKeyId}` : 'unencrypted'}</span>
+            </div>
+            <div className="queue-prompt">
+              {formatSize(session.sizeBytes)}
+              {session.chunks !== null && ` · ${session.chunks} chunk(s)`}
+              {` · ${formatVersion(session.version)}`}
+              {` · last accessed ${formatTime(session.lastAccessed)}`}
+            </div>
+          </div>
+        </div>
+      ))}
+    </section>
+  );
+}
+
+export default SessionPanel;
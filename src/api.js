@@ -0,0 +1,64 @@
+// whatsapp-bot-dashboard/src/api.js
+
+export const backendUrl = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
+
+// 🧠 Common headers to bypass ngrok warning
+export const commonHeaders = {
+  'ngrok-skip-browser-warning': '1',
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/118.0 Safari/537.36',
+  'Accept': 'application/json, text/javascript, */*; q=0.01',
+  'Accept-Language': 'en-US,en;q=0.9',
+  'Referer': backendUrl,
+  'Content-Type': 'application/json'
+};
+
+// 🤖 REST URL for one bot; without a bot id the backend uses its default bot
+export const botApiUrl = (botId, path) => botId
+  ? `${backendUrl}/api/bots/${encodeURIComponent(botId)}${path}`
+  : `${backendUrl}/api${path}`;
+
+// 🔐 Dashboard login, kept across reloads until it expires or the user logs out
+const AUTH_KEY = 'dashboardAuth';
+
+export const loadStoredAuth = () => {
+  try {
+    const auth = JSON.parse(localStorage.getItem(AUTH_KEY));
+    return auth && auth.token && auth.expiresAt > Date.now() ? auth : null;
+  } catch {
+    return null;
+  }
+};
+
+export const storeAuth = (auth) => localStorage.setItem(AUTH_KEY, JSON.stringify(auth));
+
+export const clearStoredAuth = () => localStorage.removeItem(AUTH_KEY);
+
+// Headers for authenticated API calls
+export const authHeaders = () => {
+  const auth = loadStoredAuth();
+  return auth ? { ...commonHeaders, Authorization: `Bearer ${auth.token}` } : commonHeaders;
+};
+
+// Roles from least to most privileged; mirrors backend/src/auth.js
+const ROLES = ['viewer', 'operator', 'admin'];
+
+export const hasRole = (user, role) => Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+// 🧠 Helper: safely parse JSON or detect ngrok splash
+export const parseJsonSafely = async (response) => {
+  if (response.status === 401) {
+    clearStoredAuth();
+    window.dispatchEvent(new Event('auth-expired'));
+    throw new Error('Your login has expired, please log in again');
+  }
+
+  const text = await response.text();
+  if (text.startsWith('<!DOCTYPE html') || text.includes('ERR_NGROK_6024')) {
+    throw new Error('Blocked by ngrok splash page (ERR_NGROK_6024)');
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error('Invalid JSON response');
+  }
+};